@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+/**
+ * Filter Backtest CLI
+ *
+ * Replays archived jobs (data/job-archive.jsonl) through a candidate filter
+ * config and the current one, then reports every job whose verdict flips
+ * between reject, uncertain and certain — with both reasons — plus verdict
+ * totals per school and per subject. Runs fully offline: only the archive,
+ * the config files, the school directory and any calendar files are read.
+ *
+ * Usage:
+ *   pnpm run backtest -- --config candidate.json
+ *   pnpm run backtest -- --config candidate.json --baseline filters.config.json
+ *   pnpm run backtest -- --config candidate.json --since 2026-01-01 --top 0
+ *   pnpm run backtest -- --config candidate.json --raw     # print the comparison as JSON
+ *
+ * The baseline defaults to the active config (filters.config.json, or the
+ * built-in defaults when there is none). Each job is judged by the profile
+ * its config would have used on the day it was first seen (the manual
+ * override is ignored). Calendar blackouts only cover busy periods from
+ * yesterday onward, so past jobs aren't blocked by them on either side.
+ */
+
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+
+import { filterJob, setFilterCriteria } from './filters.mjs';
+import { readFilterConfig, getFilterConfigPath, selectProfile, applyProfile, profileDate } from './filter-config.mjs';
+import { refreshCalendarBlackouts } from './calendar-blackouts.mjs';
+import { refreshSchoolDirectory } from './school-directory.mjs';
+import { loadJobArchive, JOB_ARCHIVE_FILE } from './job-archive.mjs';
+
+dotenv.config({ quiet: true }); // Keep --raw output pure JSON
+
+const USAGE = `Usage: pnpm run backtest -- --config candidate.json [--baseline current.json]
+       [--archive data/job-archive.jsonl] [--since YYYY-MM-DD] [--top N] [--raw]`;
+
+const VERDICTS = ['certain', 'uncertain', 'reject'];
+
+function verdictOf(result) {
+  if (!result.match) return 'reject';
+  return result.uncertain ? 'uncertain' : 'certain';
+}
+
+/**
+ * Read a config file (or the built-in defaults when it's missing and optional).
+ * @returns {Promise<{ name: string, criteria: Object }>}
+ */
+async function loadConfig(filePath, { required }) {
+  const { found, criteria } = await readFilterConfig(filePath);
+  if (!found && required) {
+    throw new Error(`Filter config ${filePath} not found`);
+  }
+  return { name: found ? filePath : 'built-in defaults', criteria };
+}
+
+/**
+ * Apply criteria along with the calendar + school directory they point at.
+ */
+async function useCriteria(criteria) {
+  setFilterCriteria(criteria);
+
+  const calendar = await refreshCalendarBlackouts({ force: true });
+  for (const calendarError of calendar.errors) {
+    console.error(`⚠️  Calendar file error: ${calendarError}`);
+  }
+  const directory = await refreshSchoolDirectory({ force: true });
+  if (directory.status === 'invalid') {
+    console.error(`⚠️  ${directory.error}`);
+  }
+}
+
+/**
+ * Run every job through a config, each under the profile active when it was first seen.
+ */
+async function evaluateAll(entries, criteria) {
+  const byProfile = new Map();
+  entries.forEach((entry, i) => {
+    const { name } = selectProfile(criteria, { date: profileDate(new Date(entry.firstSeen)) });
+    if (!byProfile.has(name)) byProfile.set(name, []);
+    byProfile.get(name).push(i);
+  });
+
+  const results = new Array(entries.length);
+  for (const [name, indexes] of byProfile) {
+    await useCriteria(applyProfile(criteria, name));
+    for (const i of indexes) results[i] = filterJob(entries[i].job);
+  }
+  return results;
+}
+
+function emptyCounts() {
+  return {
+    baseline: { certain: 0, uncertain: 0, reject: 0 },
+    candidate: { certain: 0, uncertain: 0, reject: 0 },
+  };
+}
+
+/**
+ * Compare baseline and candidate results job by job.
+ */
+function compare(entries, baseline, candidate) {
+  const flips = [];
+  const totals = emptyCounts();
+  const bySchool = new Map();
+  const bySubject = new Map();
+
+  entries.forEach((entry, i) => {
+    const before = verdictOf(baseline[i]);
+    const after = verdictOf(candidate[i]);
+    const { job } = entry;
+
+    const schoolKey = candidate[i].schoolId || baseline[i].schoolId || (job.school || 'N/A').trim();
+    const subjectKey = (job.position || 'N/A').trim();
+    for (const [groups, key] of [[bySchool, schoolKey], [bySubject, subjectKey]]) {
+      if (!groups.has(key)) groups.set(key, emptyCounts());
+      groups.get(key).baseline[before]++;
+      groups.get(key).candidate[after]++;
+    }
+    totals.baseline[before]++;
+    totals.candidate[after]++;
+
+    if (before !== after) {
+      flips.push({
+        key: entry.key,
+        firstSeen: entry.firstSeen,
+        job: { date: job.date, school: job.school, position: job.position, duration: job.duration, teacher: job.teacher },
+        from: before,
+        to: after,
+        baselineReason: baseline[i].reason,
+        candidateReason: candidate[i].reason,
+        baselineProfile: baseline[i].profile,
+        candidateProfile: candidate[i].profile,
+      });
+    }
+  });
+
+  const toRows = groups => [...groups.entries()]
+    .map(([name, counts]) => ({
+      name,
+      jobs: VERDICTS.reduce((sum, v) => sum + counts.baseline[v], 0),
+      changed: VERDICTS.some(v => counts.baseline[v] !== counts.candidate[v]),
+      ...counts,
+    }))
+    .sort((a, b) => b.jobs - a.jobs || a.name.localeCompare(b.name));
+
+  return { totals, flips, bySchool: toRows(bySchool), bySubject: toRows(bySubject) };
+}
+
+function formatCounts(counts) {
+  return VERDICTS.map(v => String(counts[v]).padStart(4)).join(' ');
+}
+
+function printGroups(title, rows, top) {
+  const shown = top > 0 ? rows.slice(0, top) : rows;
+  console.log(`\n${title} (certain / uncertain / reject, baseline → candidate${shown.length < rows.length ? `, top ${shown.length} of ${rows.length}` : ''}):`);
+  for (const row of shown) {
+    const name = row.name.length > 36 ? row.name.slice(0, 35) + '…' : row.name;
+    console.log(`  ${row.changed ? '*' : ' '} ${name.padEnd(36)} ${formatCounts(row.baseline)}  →  ${formatCounts(row.candidate)}`);
+  }
+}
+
+function printReport(report, top) {
+  console.log(`\nBaseline:  ${report.baseline}`);
+  console.log(`Candidate: ${report.candidate}`);
+  console.log(`Jobs replayed: ${report.jobCount}${report.since ? ` (first seen on or after ${report.since})` : ''}`);
+
+  console.log('\nTotals (certain / uncertain / reject):');
+  console.log(`  baseline   ${formatCounts(report.totals.baseline)}`);
+  console.log(`  candidate  ${formatCounts(report.totals.candidate)}`);
+
+  if (report.flips.length === 0) {
+    console.log('\nNo job changes verdict.');
+  } else {
+    console.log(`\n${report.flips.length} job(s) change verdict:`);
+    for (const flip of report.flips) {
+      const { job } = flip;
+      console.log(`\n  ${flip.from.toUpperCase()} → ${flip.to.toUpperCase()}: ${job.position} at ${job.school} — ${job.date} (${job.duration})`);
+      console.log(`    before: ${flip.baselineReason}${flip.baselineProfile ? ` [${flip.baselineProfile}]` : ''}`);
+      console.log(`    after:  ${flip.candidateReason}${flip.candidateProfile ? ` [${flip.candidateProfile}]` : ''}`);
+    }
+  }
+
+  printGroups('By school', report.bySchool, top);
+  printGroups('By subject', report.bySubject, top);
+  console.log('');
+}
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        config: { type: 'string' },
+        baseline: { type: 'string' },
+        archive: { type: 'string', default: JOB_ARCHIVE_FILE },
+        since: { type: 'string' },
+        top: { type: 'string', default: '20' },
+        raw: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!values.config) {
+    console.error(`--config is required\n\n${USAGE}`);
+    process.exit(1);
+  }
+  if (values.since && !/^\d{4}-\d{2}-\d{2}$/.test(values.since)) {
+    console.error('--since must be a date like 2026-01-15');
+    process.exit(1);
+  }
+  const top = Number(values.top);
+  if (!Number.isInteger(top) || top < 0) {
+    console.error('--top must be a whole number (0 = show every row)');
+    process.exit(1);
+  }
+
+  let archive;
+  try {
+    archive = await loadJobArchive(values.archive);
+  } catch (error) {
+    console.error(`❌ Could not read job archive: ${error.message}`);
+    process.exit(1);
+  }
+  if (archive.skipped > 0) {
+    console.error(`⚠️  Skipped ${archive.skipped} unreadable archive line(s)`);
+  }
+
+  const entries = [...archive.jobs.values()]
+    .filter(entry => !values.since || entry.firstSeen >= values.since);
+  if (entries.length === 0) {
+    console.error(`❌ No archived jobs to replay in ${values.archive}`);
+    process.exit(1);
+  }
+
+  let baselineConfig;
+  let candidateConfig;
+  let baseline;
+  let candidate;
+  try {
+    baselineConfig = await loadConfig(values.baseline || getFilterConfigPath(), { required: Boolean(values.baseline) });
+    baseline = await evaluateAll(entries, baselineConfig.criteria);
+    candidateConfig = await loadConfig(values.config, { required: true });
+    candidate = await evaluateAll(entries, candidateConfig.criteria);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const report = {
+    baseline: baselineConfig.name,
+    candidate: candidateConfig.name,
+    since: values.since || null,
+    jobCount: entries.length,
+    ...compare(entries, baseline, candidate),
+  };
+
+  if (values.raw) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, top);
+  }
+}
+
+main();
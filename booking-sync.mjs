@@ -0,0 +1,143 @@
+/**
+ * Booking Sync
+ *
+ * notified-jobs.json only knows about bookings the daemon made itself. This
+ * module reads Frontline's Scheduled Jobs tab — the real list of upcoming
+ * assignments — and reconciles the local entries with it:
+ *
+ * - On the schedule but not booked locally (accepted by hand in the browser,
+ *   or a booking we thought failed) → marked 'booked'
+ * - Booked locally, gone from the schedule, and listed on Available Jobs
+ *   again → marked 'removed' (we, or the district, took us off the job)
+ * - Booked locally, gone from the schedule and not listed anywhere → marked
+ *   'cancelled' (the absence was cancelled)
+ *
+ * The last two only run with `detectCancellations`: they act on a job's absence,
+ * which a wrong scheduledJobBodies selector would fake for every booking.
+ *
+ * Jobs whose last day is today or earlier are left alone: the Scheduled Jobs
+ * tab only lists upcoming work. After a sync the booked entries mirror the
+ * schedule, so conflict checks and booking caps (which read the booked
+ * entries) follow Frontline rather than local history.
+ */
+
+import { SELECTORS } from './selectors.mjs';
+import { extractJobs } from './job-extract.mjs';
+import { getJobDaysAhead } from './filters.mjs';
+import { createJobHash } from './utils.mjs';
+
+// Entries mid-booking are left to executePendingBookings
+const IN_FLIGHT_STATUSES = ['book_requested', 'booking'];
+
+// A job the daemon just booked may take a moment to show up on the Scheduled Jobs tab
+const BOOKED_GRACE_MS = 5 * 60 * 1000;
+
+/**
+ * Open the Scheduled Jobs tab, read every booked job, then return to Available Jobs.
+ * @param {import('playwright').Page} page - Logged in, on the Available Jobs tab
+ * @returns {Promise<Array<Object>>} Scheduled jobs (same fields as extractJobs)
+ * @throws {Error} When the Scheduled Jobs tab can't be read (the page is put back on Available Jobs,
+ *   with its list rendered again, first)
+ */
+export async function readScheduledJobs(page) {
+  try {
+    const tab = page.locator(SELECTORS.navigation.scheduledJobsTab);
+    if (await tab.count() === 0) {
+      throw new Error(`Scheduled Jobs tab not found (navigation.scheduledJobsTab: ${SELECTORS.navigation.scheduledJobsTab})`);
+    }
+    await tab.click();
+    await page.waitForSelector(SELECTORS.navigation.scheduledJobsPanel, { timeout: 15000 });
+
+    // Cards arrive via AJAX like the Available Jobs list; an empty schedule shows the no-data row
+    await page.locator(`${SELECTORS.jobs.scheduledJobBodies}, ${SELECTORS.jobs.scheduledNoDataRow}`).first()
+      .waitFor({ state: 'attached', timeout: 10000 });
+
+    const jobs = await extractJobs(page, SELECTORS.jobs.scheduledJobBodies);
+    return jobs.map(({ job }) => job);
+  } finally {
+    await page.locator(SELECTORS.navigation.availableJobsTab).click();
+    await page.waitForSelector(SELECTORS.navigation.availableJobsPanel, { timeout: 15000 });
+    // The panel shows before its rows: wait for the cards (or the no-jobs row) so the page is scrapeable again
+    await page.locator(`${SELECTORS.jobs.jobBodies}, ${SELECTORS.jobs.noDataRow}`).first()
+      .waitFor({ state: 'attached', timeout: 10000 });
+  }
+}
+
+function hasJobNumber(job) {
+  return Boolean(job?.jobNumber) && job.jobNumber !== 'N/A';
+}
+
+/**
+ * Same job? By confirmation number when both have one, otherwise by date/school/position.
+ */
+function sameJob(a, b) {
+  if (hasJobNumber(a) && hasJobNumber(b)) return a.jobNumber === b.jobNumber;
+  return createJobHash(a) === createJobHash(b);
+}
+
+/**
+ * Has the job's last day started already? Such jobs drop off the Scheduled Jobs
+ * tab without being cancelled. Unparseable dates count as over (never flagged).
+ */
+function isJobOver(job) {
+  const lastDay = job.isMultiDay && job.days?.length > 0 ? job.days[job.days.length - 1] : job;
+  return getJobDaysAhead({ date: lastDay.date }) <= 0;
+}
+
+/**
+ * Reconcile notified-jobs entries with the Scheduled Jobs list. Mutates `notifiedJobs`.
+ * @param {Object} notifiedJobs - hash → entry (see loadNotifiedJobs in scraper.mjs)
+ * @param {Array<Object>} scheduledJobs - From readScheduledJobs()
+ * @param {Array<Object>} availableJobs - Jobs on the Available Jobs tab this cycle
+ * @param {Object} [options]
+ * @param {boolean} [options.detectCancellations] - Also mark booked jobs missing from the schedule
+ *   as 'cancelled' / 'removed' (only once the scheduledJobs selectors are confirmed)
+ * @returns {Array<{ change: 'booked'|'cancelled'|'removed', hash: string, job: Object, from: string|null }>}
+ *   `from` is the entry's previous status (null for a job the daemon never saw)
+ */
+export function reconcileBookings(notifiedJobs, scheduledJobs, availableJobs, { detectCancellations = false } = {}) {
+  const changes = [];
+  const syncedAt = new Date().toISOString();
+  const entries = Object.entries(notifiedJobs).filter(([, entry]) => entry.jobData);
+
+  for (const job of scheduledJobs) {
+    const found = entries.find(([, entry]) => sameJob(entry.jobData, job));
+
+    if (!found) {
+      const hash = createJobHash(job);
+      notifiedJobs[hash] = {
+        status: 'booked',
+        timestamp: Date.now(),
+        expiresAt: null,
+        telegramMessageId: null,
+        jobData: job,
+        uncertain: false,
+        syncedAt,
+      };
+      changes.push({ change: 'booked', hash, job, from: null });
+      continue;
+    }
+
+    const [hash, entry] = found;
+    if (entry.status === 'booked' || IN_FLIGHT_STATUSES.includes(entry.status)) continue;
+    changes.push({ change: 'booked', hash, job: entry.jobData, from: entry.status });
+    entry.status = 'booked';
+    entry.expiresAt = null;
+    entry.syncedAt = syncedAt;
+  }
+
+  if (!detectCancellations) return changes;
+
+  for (const [hash, entry] of entries) {
+    if (entry.status !== 'booked' || isJobOver(entry.jobData)) continue;
+    if (entry.bookedAt && Date.now() - entry.bookedAt < BOOKED_GRACE_MS) continue;
+    if (scheduledJobs.some(job => sameJob(entry.jobData, job))) continue;
+
+    const change = availableJobs.some(job => sameJob(entry.jobData, job)) ? 'removed' : 'cancelled';
+    changes.push({ change, hash, job: entry.jobData, from: entry.status });
+    entry.status = change;
+    entry.syncedAt = syncedAt;
+  }
+
+  return changes;
+}
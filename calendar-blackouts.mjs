@@ -0,0 +1,112 @@
+/**
+ * Calendar Blackouts
+ *
+ * Reads the .ics files listed in `calendarFiles` (filters.config.json or
+ * CALENDAR_FILES in filters.mjs) and hands their busy periods to the filters.
+ *
+ * Files are re-read when they change on disk, when the file list changes, or
+ * every `calendarRefreshMinutes` (so recurring events keep expanding into the
+ * future). A file that can't be read or parsed keeps its last good periods.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+import { getFilterCriteria, setCalendarBlackouts } from './filters.mjs';
+import { parseIcs, expandBusyPeriods } from './ics.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// How far ahead recurring events are expanded (jobs are posted weeks, not years, out)
+const EXPANSION_DAYS_AHEAD = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// path → { mtimeMs, periods }
+const fileCache = new Map();
+let lastRefreshTime = 0;
+let lastFileList = '';
+
+/**
+ * Resolve a configured calendar path ("~/" = home dir, relative = project root).
+ */
+export function resolveCalendarPath(file) {
+  if (file === '~' || file.startsWith('~/')) return path.join(os.homedir(), file.slice(1));
+  return path.resolve(__dirname, file);
+}
+
+async function loadCalendarFile(filePath, mtimeMs) {
+  const text = await fs.readFile(filePath, 'utf-8');
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('not an iCalendar file (missing BEGIN:VCALENDAR)');
+  }
+  const now = Date.now();
+  const periods = expandBusyPeriods(parseIcs(text), {
+    fromMs: now - DAY_MS,
+    toMs: now + EXPANSION_DAYS_AHEAD * DAY_MS,
+  });
+  fileCache.set(filePath, { mtimeMs, periods });
+}
+
+/**
+ * Re-read calendar files if they changed, the list changed, or the refresh interval passed.
+ *
+ * Status values:
+ *   'unchanged' — Nothing re-read
+ *   'reloaded'  — Busy periods replaced (see `count`)
+ *   'none'      — No calendar files configured
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Re-read every file now
+ * @returns {Promise<{ status: string, count: number, errors: string[] }>}
+ */
+export async function refreshCalendarBlackouts({ force = false } = {}) {
+  const { calendarFiles, calendarRefreshMinutes } = getFilterCriteria();
+  const paths = calendarFiles.map(resolveCalendarPath);
+  const fileList = paths.join('\n');
+  const errors = [];
+
+  if (paths.length === 0) {
+    const hadPeriods = fileCache.size > 0 || lastFileList !== '';
+    fileCache.clear();
+    lastFileList = '';
+    if (hadPeriods) setCalendarBlackouts([]);
+    return { status: 'none', count: 0, errors };
+  }
+
+  const intervalDue = Date.now() - lastRefreshTime >= calendarRefreshMinutes * 60 * 1000;
+  const listChanged = fileList !== lastFileList;
+  let changed = listChanged;
+
+  for (const filePath of paths) {
+    try {
+      const { mtimeMs } = await fs.stat(filePath);
+      const cached = fileCache.get(filePath);
+      if (force || intervalDue || !cached || cached.mtimeMs !== mtimeMs) {
+        await loadCalendarFile(filePath, mtimeMs);
+        changed = true;
+      }
+    } catch (error) {
+      errors.push(`${filePath}: ${error.message}`);
+    }
+  }
+
+  // Forget files no longer configured
+  for (const cachedPath of fileCache.keys()) {
+    if (!paths.includes(cachedPath)) fileCache.delete(cachedPath);
+  }
+
+  if (force || intervalDue) lastRefreshTime = Date.now();
+  lastFileList = fileList;
+
+  if (!changed) {
+    return { status: 'unchanged', count: 0, errors };
+  }
+
+  const periods = [...fileCache.values()].flatMap(entry => entry.periods);
+  setCalendarBlackouts(periods);
+  return { status: 'reloaded', count: periods.length, errors };
+}
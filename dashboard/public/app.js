@@ -75,9 +75,58 @@ function updateLiveStatus(stats, heartbeat) {
   cachedHeartbeatPid = heartbeat?.pid || null;
 
   $('last-check').textContent = cachedLastCheckTime ? formatRelative(cachedLastCheckTime) : '—';
-  $('check-duration').textContent = status.lastCheckDurationMs ? `${status.lastCheckDurationMs}ms` : '—';
+  const checkParts = [
+    status.lastRefresh ? `${status.lastRefresh.strategy} refresh ${status.lastRefresh.ms}ms` : null,
+    status.lastScrapeMs != null ? `scrape ${status.lastScrapeMs}ms` : null,
+  ].filter(Boolean);
+  $('check-duration').textContent = status.lastCheckDurationMs
+    ? `${status.lastCheckDurationMs}ms${checkParts.length > 0 ? ` (${checkParts.join(', ')})` : ''}`
+    : '—';
+  // Today's average per refresh strategy, to compare the in-place refresh with full reloads
+  const refreshTimings = stats?.todayStats?.refresh;
+  $('check-duration').title = refreshTimings
+    ? [
+      `Light refresh: ${refreshTimings.light.count}× avg ${refreshTimings.light.averageMs ?? '—'}ms (${refreshTimings.light.failed} fell back)`,
+      `Full reload: ${refreshTimings.reload.count}× avg ${refreshTimings.reload.averageMs ?? '—'}ms`,
+    ].join('\n')
+    : '';
   $('up-since').textContent = cachedUpSince ? formatRelative(cachedUpSince) : '—';
   $('pid').textContent = cachedHeartbeatPid || '—';
+  $('filter-profile').textContent = heartbeat?.filterProfile || status.filterProfile || '—';
+
+  // Selector drift: the page no longer matches selectors.mjs (see `pnpm run doctor`)
+  const drift = status.selectorDrift;
+  const selectorHealth = $('selector-health');
+  if (!status.lastCheckTime) {
+    selectorHealth.textContent = '—';
+    selectorHealth.className = 'stat-value';
+    selectorHealth.title = '';
+  } else if (drift) {
+    selectorHealth.textContent = `Drift (${drift.cycles} checks)`;
+    selectorHealth.className = 'stat-value error';
+    selectorHealth.title = drift.problems.join('\n');
+  } else {
+    selectorHealth.textContent = 'OK';
+    selectorHealth.className = 'stat-value highlight';
+    selectorHealth.title = '';
+  }
+
+  // Booking sync: upcoming jobs on Frontline's Scheduled Jobs tab
+  const sync = status.bookingSync;
+  const bookingSync = $('booking-sync');
+  if (!sync) {
+    bookingSync.textContent = '—';
+    bookingSync.className = 'stat-value';
+    bookingSync.title = '';
+  } else if (sync.error) {
+    bookingSync.textContent = 'Sync failed';
+    bookingSync.className = 'stat-value error';
+    bookingSync.title = `${sync.error} (${formatRelative(sync.failedAt)})`;
+  } else {
+    bookingSync.textContent = `${sync.upcoming} upcoming`;
+    bookingSync.className = 'stat-value';
+    bookingSync.title = `Synced ${formatRelative(sync.syncedAt)}${sync.changes ? `, ${sync.changes} change(s)` : ''}`;
+  }
 }
 
 /** Tick the relative timestamps every second without re-fetching */
@@ -235,6 +284,26 @@ function updateErrors(stats) {
   `).join('');
 }
 
+// ---- Unmapped Locations (most recently seen first) ----
+
+function updateUnmappedSchools(stats) {
+  const unmapped = Object.entries(stats?.unmappedSchools || {});
+  const el = $('unmapped-list');
+
+  if (unmapped.length === 0) {
+    el.innerHTML = '<p class="muted">Every location is in the school directory</p>';
+    return;
+  }
+
+  unmapped.sort((a, b) => b[1].lastSeen.localeCompare(a[1].lastSeen));
+  el.innerHTML = unmapped.map(([name, u]) => `
+    <div class="error-item unmapped-item">
+      <div class="error-time">${u.count} job${u.count === 1 ? '' : 's'} · last seen ${formatRelative(u.lastSeen)}</div>
+      <div>${name}${u.reportTo ? ` <span class="muted">(report to ${u.reportTo})</span>` : ''}</div>
+    </div>
+  `).join('');
+}
+
 // ---- Logs (newest first) ----
 
 async function updateLogs() {
@@ -269,6 +338,7 @@ async function refresh() {
     updateHistoryChart(stats);
     updateRecentChart(stats);
     updateErrors(stats);
+    updateUnmappedSchools(stats);
   } catch (err) {
     $('status-badge').className = 'badge badge-stopped';
     $('status-badge').textContent = 'Error';
@@ -22,6 +22,7 @@ const PUBLIC_DIR = path.join(__dirname, 'public');
 const STATS_FILE = path.join(PROJECT_DIR, 'data', 'scraper-stats.json');
 const LOG_FILE = path.join(PROJECT_DIR, 'logs', 'scraper.log');
 const HEARTBEAT_FILE = path.join(PROJECT_DIR, 'data', 'heartbeat.json');
+const UNMAPPED_SCHOOLS_FILE = path.join(PROJECT_DIR, 'data', 'unmapped-schools.json');
 
 const MIME_TYPES = {
   '.html': 'text/html',
@@ -79,6 +80,7 @@ const server = http.createServer(async (req, res) => {
   // API endpoints
   if (pathname === '/api/stats') {
     const stats = await readJsonFile(STATS_FILE);
+    if (stats) stats.unmappedSchools = await readJsonFile(UNMAPPED_SCHOOLS_FILE) || {};
     sendJson(res, stats || { error: 'No stats file found. Is the scraper running?' });
     return;
   }
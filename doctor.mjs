@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+/**
+ * Selectors Doctor CLI
+ *
+ * Reports which SELECTORS (selectors.mjs) still match, group by group
+ * (login, popup, navigation, jobs, scheduledJobs, actions, bookingConfirmation)
+ * — the first thing to run when Frontline changes its markup. The live check
+ * also opens the Scheduled Jobs tab for the booking-sync selectors.
+ *
+ * Usage:
+ *   pnpm run doctor                                # log in (headless) and check the live pages
+ *   pnpm run doctor -- --save page.html            # ...and save the Available Jobs HTML
+ *   pnpm run doctor -- --save-responses jobs.json  # ...and record the page's JSON responses
+ *   pnpm run doctor -- --snapshot page.html        # check a saved page offline
+ *   pnpm run doctor -- --snapshot login.html --page login
+ *   pnpm run doctor -- --snapshot scheduled.html --page scheduled   # Scheduled Jobs tab saved from the browser
+ *   pnpm run doctor -- --raw                       # print the report as JSON
+ *
+ * Exits 1 when a required selector matches nothing.
+ */
+
+import { chromium } from 'playwright';
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+
+import { SELECTORS } from './selectors.mjs';
+import { parseHtml } from './html.mjs';
+import { runSelectorChecks, pageSelectorCounter, htmlSelectorCounter, SELECTOR_GROUP_NAMES } from './selector-health.mjs';
+import { watchJobResponses, getJobResponses, parseRecordedResponses } from './network-jobs.mjs';
+
+dotenv.config({ quiet: true }); // Keep --raw output pure JSON
+
+const USAGE = `Usage: pnpm run doctor -- [--snapshot page.html [--page login|jobs|scheduled]] [--save page.html]
+       [--save-responses jobs.json] [--raw]`;
+
+const GLOBAL_TIMEOUT = 120000; // 2 minutes
+const PAGE_KINDS = ['login', 'jobs', 'scheduled'];
+
+const STATUS_ICONS = { ok: '✓', partial: '⚠️ ', missing: '✗', absent: '○', unsupported: '?' };
+
+let raw = false;
+
+function progress(message) {
+  if (!raw) console.log(message);
+}
+
+// ============================================================================
+// LIVE CHECK
+// ============================================================================
+
+/**
+ * Log in and open Available Jobs, checking each page's selectors on the way.
+ * Waits are short: a selector that doesn't show up is what we're looking for.
+ */
+async function checkLivePages(savePath, responsesPath) {
+  for (const name of ['FRONTLINE_USERNAME', 'FRONTLINE_PASSWORD', 'FRONTLINE_LOGIN_URL']) {
+    if (!process.env[name]) throw new Error(`${name} is not set in .env`);
+  }
+
+  const browser = await chromium.launch({ headless: true, args: ['--disable-blink-features=AutomationControlled'] });
+  try {
+    const context = await browser.newContext({
+      viewport: { width: 1280, height: 720 },
+      userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+      locale: 'en-US',
+      timezoneId: 'America/Denver',
+    });
+    const page = await context.newPage();
+    const counter = pageSelectorCounter(page);
+    if (responsesPath) watchJobResponses(page);
+
+    progress('Opening login page...');
+    await page.goto(process.env.FRONTLINE_LOGIN_URL, { waitUntil: 'commit', timeout: 30000 });
+    await page.locator(SELECTORS.login.usernameField).waitFor({ state: 'visible', timeout: 15000 }).catch(() => {});
+    const report = await runSelectorChecks(counter, ['login']);
+
+    const loginBroken = report[0].results.some(r => r.status !== 'ok');
+    if (loginBroken) {
+      progress('Login form selectors missing — not logging in.');
+      return { report, reached: 'login' };
+    }
+
+    progress('Logging in...');
+    await page.locator(SELECTORS.login.usernameField).fill(process.env.FRONTLINE_USERNAME);
+    await page.locator(SELECTORS.login.passwordField).fill(process.env.FRONTLINE_PASSWORD);
+    await page.locator(SELECTORS.login.submitButton).click();
+    await page.waitForLoadState('load', { timeout: 30000 }).catch(() => {});
+
+    progress('Opening Available Jobs...');
+    try {
+      await page.waitForSelector(SELECTORS.navigation.availableJobsTab, { timeout: 10000 });
+    } catch {
+      // "Searching for Jobs" layout — switch to Full View like the scraper does
+      const baseUrl = new URL(page.url()).origin;
+      await page.goto(`${baseUrl}/Substitute/Home/ReturnToSubCalendar`, { waitUntil: 'domcontentloaded', timeout: 30000 }).catch(() => {});
+      await page.waitForSelector(SELECTORS.navigation.availableJobsTab, { timeout: 10000 }).catch(() => {});
+    }
+
+    // Count popups before clearing them, then get them out of the tab's way
+    const popupReport = await runSelectorChecks(counter, ['jobs'], { groups: ['popup'] });
+    await page.evaluate(dialog => document.querySelectorAll(`${dialog}, .ui-widget-overlay`).forEach(el => el.remove()), SELECTORS.popup.dialog);
+
+    await page.locator(SELECTORS.navigation.availableJobsTab).click({ timeout: 5000 }).catch(() => {});
+    await page.waitForSelector(SELECTORS.navigation.availableJobsPanel, { timeout: 15000 }).catch(() => {});
+    await page.locator(`${SELECTORS.jobs.jobBodies}, ${SELECTORS.jobs.noDataRow}`).first()
+      .waitFor({ state: 'attached', timeout: 5000 }).catch(() => {});
+
+    const jobsReport = await runSelectorChecks(counter, ['jobs'], { groups: SELECTOR_GROUP_NAMES.filter(g => g !== 'popup') });
+
+    if (savePath) {
+      await fs.writeFile(savePath, await page.content(), 'utf-8');
+      progress(`Saved Available Jobs HTML to ${savePath}`);
+    }
+
+    if (responsesPath) {
+      // Fixture for parse-snapshot / network-jobs.mjs: every JSON XHR since login
+      const responses = (await getJobResponses(page)).map(({ url, body }) => ({ url, body }));
+      const recording = { recordedAt: new Date().toISOString(), responses };
+      await fs.writeFile(responsesPath, JSON.stringify(recording, null, 2), 'utf-8');
+      const recognized = parseRecordedResponses(recording);
+      progress(`Saved ${responses.length} JSON response(s) to ${responsesPath}${recognized
+        ? ` — job list found in ${recognized.url} (${recognized.jobs.length} job(s))`
+        : ' — none recognized as a job list'}`);
+    }
+
+    const scheduledReport = await checkScheduledJobsTab(page, counter);
+
+    return { report: [...report, ...popupReport, ...jobsReport, ...scheduledReport], reached: 'jobs' };
+  } finally {
+    await browser.close().catch(() => {});
+  }
+}
+
+/**
+ * Open the Scheduled Jobs tab (when there is one) and check the booking-sync selectors.
+ * A missing tab is already reported under navigation.
+ */
+async function checkScheduledJobsTab(page, counter) {
+  const tab = page.locator(SELECTORS.navigation.scheduledJobsTab);
+  if (await tab.count() === 0) return [];
+
+  progress('Opening Scheduled Jobs...');
+  await tab.click({ timeout: 5000 }).catch(() => {});
+  await page.waitForSelector(SELECTORS.navigation.scheduledJobsPanel, { timeout: 15000 }).catch(() => {});
+  await page.locator(`${SELECTORS.jobs.scheduledJobBodies}, ${SELECTORS.jobs.scheduledNoDataRow}`).first()
+    .waitFor({ state: 'attached', timeout: 5000 }).catch(() => {});
+
+  return runSelectorChecks(counter, ['scheduled']);
+}
+
+// ============================================================================
+// SNAPSHOT CHECK
+// ============================================================================
+
+/**
+ * Which page a snapshot shows: Available Jobs if any job-list selector matches,
+ * the login page if a login field does, otherwise both are checked. The
+ * Scheduled Jobs tab shares the page with Available Jobs, so it's only checked
+ * with --page scheduled.
+ */
+function snapshotPageKinds(root) {
+  const matchesAny = selectors => selectors.some(selector => {
+    try {
+      return root.querySelector(selector) !== null;
+    } catch {
+      return false;
+    }
+  });
+
+  if (matchesAny([SELECTORS.navigation.availableJobsTab, SELECTORS.navigation.availableJobsPanel, SELECTORS.jobs.jobListTable])) {
+    return ['jobs'];
+  }
+  if (matchesAny([SELECTORS.login.usernameField, SELECTORS.login.passwordField])) {
+    return ['login'];
+  }
+  return ['login', 'jobs'];
+}
+
+async function checkSnapshot(filePath, pageKind) {
+  const root = parseHtml(await fs.readFile(filePath, 'utf-8'));
+  const pageKinds = pageKind ? [pageKind] : snapshotPageKinds(root);
+  return { report: await runSelectorChecks(htmlSelectorCounter(root), pageKinds), reached: pageKinds.join('+') };
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+function printReport({ report, reached }, source) {
+  console.log(`\nChecked: ${source} (${reached === 'login' && source === 'live' ? 'stopped at the login page' : `${reached} page`})`);
+  for (const { group, note, results } of report) {
+    console.log(`\n${group}${note ? ` (${note})` : ''}:`);
+    for (const r of results) {
+      const counts = r.of !== null ? `${r.count}/${r.of}` : String(r.count);
+      const detail = r.detail ? `  — ${r.detail}` : '';
+      console.log(`  ${STATUS_ICONS[r.status]} ${r.name.padEnd(26)} ${counts.padStart(7)}  ${r.selector}${detail}`);
+    }
+  }
+  console.log('\n✓ matches  ⚠️  some rows only  ✗ required, no match  ○ optional, no match  ? can\'t check offline');
+  console.log('Counts with a slash are rows containing a match / rows checked.\n');
+}
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        snapshot: { type: 'string' },
+        page: { type: 'string' },
+        save: { type: 'string' },
+        'save-responses': { type: 'string' },
+        raw: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (values.page && (!values.snapshot || !PAGE_KINDS.includes(values.page))) {
+    console.error(`--page (login, jobs or scheduled) only applies to --snapshot\n\n${USAGE}`);
+    process.exit(1);
+  }
+  if ((values.save || values['save-responses']) && values.snapshot) {
+    console.error(`--save and --save-responses only apply to a live check\n\n${USAGE}`);
+    process.exit(1);
+  }
+  raw = values.raw;
+
+  // Global timeout to prevent hanging on a live check
+  const globalTimeout = setTimeout(() => {
+    console.error('❌ Global timeout reached (2 minutes). Killing process.');
+    process.exit(1);
+  }, GLOBAL_TIMEOUT);
+
+  let result;
+  try {
+    result = values.snapshot
+      ? await checkSnapshot(values.snapshot, values.page)
+      : await checkLivePages(values.save, values['save-responses']);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  } finally {
+    clearTimeout(globalTimeout);
+  }
+
+  const failing = result.report.flatMap(g => g.results.filter(r => r.status === 'missing').map(r => `${g.group}.${r.name}`));
+
+  if (raw) {
+    console.log(JSON.stringify({ source: values.snapshot || 'live', ...result, failing }, null, 2));
+  } else {
+    printReport(result, values.snapshot || 'live');
+    console.log(failing.length === 0
+      ? '✅ All required selectors match'
+      : `❌ ${failing.length} required selector(s) match nothing: ${failing.join(', ')}`);
+  }
+
+  process.exit(failing.length === 0 ? 0 : 1);
+}
+
+main();
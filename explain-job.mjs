@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * Filter Explain CLI
+ *
+ * Runs a job through the active filters (filters.config.json or built-in
+ * defaults) and prints every check: which pattern matched in which list,
+ * the blackout, time window, multi-day, notes and duration results, the rule
+ * that decided and the score breakdown for matches.
+ * Lets you debug filters without waiting for a real posting.
+ *
+ * Usage:
+ *   pnpm run explain -- --school "Orem High School" --position "PE 9" --date "Wed, 2/25/2026"
+ *   pnpm run explain -- --position "Math 8" --notes "Lunch duty during 4th period"
+ *   pnpm run explain -- --json '{"school": "...", "position": "...", "duration": "Full Day"}'
+ *   pnpm run explain -- --file job.json          # e.g. a jobData entry from notified-jobs.json
+ *   pnpm run explain -- --file job.json --raw    # print the trace as JSON
+ *
+ * Missing fields default to duration "Full Day" and today's date.
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+
+import { explainJob } from './filters.mjs';
+import { reloadFilterConfigIfChanged } from './filter-config.mjs';
+import { refreshCalendarBlackouts } from './calendar-blackouts.mjs';
+import { refreshSchoolDirectory } from './school-directory.mjs';
+
+dotenv.config({ quiet: true }); // Keep --raw output pure JSON
+
+const USAGE = `Usage: pnpm run explain -- [--json '<job>' | --file job.json] [--school ..] [--position ..]
+       [--duration ..] [--date ..] [--teacher ..] [--start ..] [--end ..] [--notes ..] [--raw]`;
+
+const FIELD_FLAGS = {
+  school: 'school',
+  position: 'position',
+  duration: 'duration',
+  date: 'date',
+  teacher: 'teacher',
+  start: 'startTime',
+  end: 'endTime',
+  notes: 'notes',
+};
+
+function todayJobDate() {
+  return new Date().toLocaleDateString('en-US', { timeZone: 'America/Denver', weekday: 'short', month: 'numeric', day: 'numeric', year: 'numeric' });
+}
+
+async function buildJob(values) {
+  let job = {};
+
+  if (values.file) {
+    job = JSON.parse(await fs.readFile(values.file, 'utf-8'));
+  } else if (values.json) {
+    job = JSON.parse(values.json);
+  }
+
+  // notified-jobs.json entries wrap the job in jobData
+  if (job.jobData) job = job.jobData;
+
+  for (const [flag, field] of Object.entries(FIELD_FLAGS)) {
+    if (values[flag] !== undefined) job[field] = values[flag];
+  }
+
+  return {
+    teacher: 'N/A',
+    position: 'N/A',
+    school: 'N/A',
+    duration: 'Full Day',
+    date: todayJobDate(),
+    startTime: 'N/A',
+    endTime: 'N/A',
+    jobNumber: 'N/A',
+    isMultiDay: false,
+    days: [],
+    ...job,
+  };
+}
+
+function formatMatch(entry) {
+  if (!entry.match) return '—';
+  const { pattern, type } = entry.match;
+  return type === 'substring' ? `"${pattern}"` : `"${pattern}" (${type})`;
+}
+
+function printTrace(job, trace) {
+  const { result, facts, lists, rules } = trace;
+  const verdict = !result.match ? '✗ REJECTED' : result.uncertain ? '⚠️  UNCERTAIN MATCH' : '✓ MATCH';
+
+  console.log(`\n${job.position} at ${job.school} — ${job.date} (${job.duration})\n`);
+
+  console.log('Lists:');
+  for (const [key, entry] of Object.entries(lists)) {
+    console.log(`  ${key.padEnd(22)} ${formatMatch(entry).padEnd(32)} in "${entry.text}"`);
+  }
+
+  console.log('\nFacts:');
+  console.log(`  blackout               ${facts.blackout.blacked ? `yes (${facts.blackout.label})` : 'no'}`);
+  console.log(`  timeWindow             ${facts.timeWindow.outside ? `outside → ${facts.timeWindow.action} (${facts.timeWindow.label}: ${facts.timeWindow.date} ${facts.timeWindow.detail})` : 'ok'}`);
+  console.log(`  multiDay               ${facts.multiDay.violated ? `${facts.multiDay.action} (${facts.multiDay.policy}: ${facts.multiDay.detail})` : 'ok'}`);
+  console.log(`  teacherPreference      ${facts.teacherPreference.avoided ? `avoided → ${facts.teacherPreference.avoidedAction}` : facts.teacherPreference.favorite ? 'favorite' : '—'}`);
+  console.log(`  notes                  ${facts.notes.action ? `${facts.notes.action} ("${facts.notes.keyword}")` : facts.notes.hasNotes ? 'no keyword' : '—'}`);
+  console.log(`  schoolId               ${facts.schoolId ?? '— (not in the school directory)'}`);
+  console.log(`  schoolLevelAccepted    ${facts.schoolLevelAccepted}`);
+  console.log(`  schoolBlacklisted      ${facts.schoolBlacklisted}`);
+  console.log(`  schoolNearby           ${facts.schoolNearby}${facts.schoolDistanceMiles !== null ? ` (${facts.schoolDistanceMiles} mi from home)` : ''}`);
+  console.log(`  subjectResult          ${facts.subjectResult}`);
+  console.log(`  fullDay                ${facts.fullDay}`);
+
+  console.log('\nRules:');
+  for (const step of rules) {
+    const status = step.held ? `→ ${step.outcome.toUpperCase()}` : `skipped (${step.failed})`;
+    console.log(`  ${step.held ? '●' : '○'} ${step.rule.padEnd(28)} ${status}`);
+  }
+
+  console.log(`\n${verdict}: ${result.reason}`);
+
+  if (trace.score) {
+    console.log(`\nScore: ${trace.score.score} → ${trace.score.action.toUpperCase()}`);
+    for (const c of trace.score.contributions) {
+      console.log(`  ${(c.points > 0 ? '+' : '') + c.points}`.padEnd(8) + ` ${c.label}`);
+    }
+  }
+  console.log('');
+}
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        json: { type: 'string' },
+        file: { type: 'string' },
+        raw: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+        ...Object.fromEntries(Object.keys(FIELD_FLAGS).map(flag => [flag, { type: 'string' }])),
+      },
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const configResult = await reloadFilterConfigIfChanged({ force: true });
+  if (configResult.status === 'invalid') {
+    console.error(`❌ ${configResult.error}`);
+    process.exit(1);
+  }
+
+  const calendar = await refreshCalendarBlackouts({ force: true });
+  for (const calendarError of calendar.errors) {
+    console.error(`⚠️  Calendar file error: ${calendarError}`);
+  }
+
+  const directory = await refreshSchoolDirectory({ force: true });
+  if (directory.status === 'invalid') {
+    console.error(`⚠️  ${directory.error}`);
+  }
+
+  let job;
+  try {
+    job = await buildJob(values);
+  } catch (error) {
+    console.error(`❌ Could not read job: ${error.message}`);
+    process.exit(1);
+  }
+
+  const trace = explainJob(job);
+
+  if (values.raw) {
+    console.log(JSON.stringify({ job, config: configResult.status === 'reloaded' ? configResult.path : 'defaults', profile: configResult.profile ?? null, ...trace }, null, 2));
+  } else {
+    console.log(`Filter config: ${configResult.status === 'reloaded' ? configResult.path : 'built-in defaults'}${configResult.profile ? ` (profile: ${configResult.profile}, ${configResult.profileSource})` : ''}`);
+    printTrace(job, trace);
+  }
+}
+
+main();
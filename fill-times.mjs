@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * Fill Times CLI
+ *
+ * How fast do jobs get taken? Reads the job archive (data/job-archive.jsonl)
+ * and reports, per school and per subject, how long jobs stayed on the
+ * Available Jobs list before they disappeared — the daemon appends a "gone"
+ * line when one does (see job-archive.mjs). Runs fully offline.
+ *
+ * Usage:
+ *   pnpm run fill-times
+ *   pnpm run fill-times -- --since 2026-01-01 --top 0
+ *   pnpm run fill-times -- --raw                 # print the report as JSON
+ *
+ * Jobs still listed (or listed again after a cancellation) aren't counted.
+ * A fill time is only as precise as the scrape interval.
+ */
+
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+
+import { loadJobArchive, JOB_ARCHIVE_FILE } from './job-archive.mjs';
+import { formatDuration } from './utils.mjs';
+
+dotenv.config({ quiet: true }); // Keep --raw output pure JSON
+
+const USAGE = `Usage: pnpm run fill-times -- [--archive data/job-archive.jsonl] [--since YYYY-MM-DD] [--top N] [--raw]`;
+
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * Summarize fill times by a grouping key, most jobs first.
+ * @returns {Array<{ name: string, jobs: number, medianMs: number, fastestMs: number, slowestMs: number }>}
+ */
+function groupFillTimes(entries, keyOf) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry.fillMs);
+  }
+
+  return [...groups.entries()]
+    .map(([name, times]) => {
+      const sorted = times.sort((a, b) => a - b);
+      return {
+        name,
+        jobs: sorted.length,
+        medianMs: median(sorted),
+        fastestMs: sorted[0],
+        slowestMs: sorted[sorted.length - 1],
+      };
+    })
+    .sort((a, b) => b.jobs - a.jobs || a.medianMs - b.medianMs || a.name.localeCompare(b.name));
+}
+
+function printGroups(title, rows, top) {
+  const shown = top > 0 ? rows.slice(0, top) : rows;
+  console.log(`\n${title} (jobs / median / fastest / slowest${shown.length < rows.length ? `, top ${shown.length} of ${rows.length}` : ''}):`);
+  for (const row of shown) {
+    const name = row.name.length > 36 ? row.name.slice(0, 35) + '…' : row.name;
+    const times = [row.medianMs, row.fastestMs, row.slowestMs].map(ms => formatDuration(ms).padStart(9)).join(' ');
+    console.log(`  ${name.padEnd(36)} ${String(row.jobs).padStart(4)} ${times}`);
+  }
+}
+
+function printReport(report, top) {
+  console.log(`\nArchive: ${report.archive}`);
+  console.log(`Jobs filled: ${report.overall.jobs}${report.since ? ` (first seen on or after ${report.since})` : ''}, ${report.open} still open`);
+  console.log(`Overall: median ${formatDuration(report.overall.medianMs)}, fastest ${formatDuration(report.overall.fastestMs)}, slowest ${formatDuration(report.overall.slowestMs)}`);
+
+  printGroups('By school', report.bySchool, top);
+  printGroups('By subject', report.bySubject, top);
+  console.log('');
+}
+
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        archive: { type: 'string', default: JOB_ARCHIVE_FILE },
+        since: { type: 'string' },
+        top: { type: 'string', default: '20' },
+        raw: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (values.since && !/^\d{4}-\d{2}-\d{2}$/.test(values.since)) {
+    console.error('--since must be a date like 2026-01-15');
+    process.exit(1);
+  }
+  const top = Number(values.top);
+  if (!Number.isInteger(top) || top < 0) {
+    console.error('--top must be a whole number (0 = show every row)');
+    process.exit(1);
+  }
+
+  let archive;
+  try {
+    archive = await loadJobArchive(values.archive);
+  } catch (error) {
+    console.error(`❌ Could not read job archive: ${error.message}`);
+    process.exit(1);
+  }
+  if (archive.skipped > 0) {
+    console.error(`⚠️  Skipped ${archive.skipped} unreadable archive line(s)`);
+  }
+
+  const entries = [...archive.jobs.values()]
+    .filter(entry => !values.since || entry.firstSeen >= values.since);
+  const filled = entries.filter(entry => entry.fillMs !== null);
+  if (filled.length === 0) {
+    console.error(`❌ No filled jobs in ${values.archive} yet — fill times are recorded while the daemon runs`);
+    process.exit(1);
+  }
+
+  const report = {
+    archive: values.archive,
+    since: values.since || null,
+    open: entries.length - filled.length,
+    overall: groupFillTimes(filled, () => 'all')[0],
+    bySchool: groupFillTimes(filled, entry => entry.decision.schoolId || (entry.job.school || 'N/A').trim()),
+    bySubject: groupFillTimes(filled, entry => (entry.job.position || 'N/A').trim()),
+  };
+
+  if (values.raw) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, top);
+  }
+}
+
+main();
@@ -0,0 +1,664 @@
+/**
+ * Filter Config Loader
+ *
+ * Loads filter criteria from a JSON file so preferences can be changed without
+ * editing filters.mjs or restarting the daemon. The file is optional: any key
+ * it contains replaces the matching built-in list, everything else keeps the
+ * default from filters.mjs.
+ *
+ * Location: filters.config.json in the project root, or FILTER_CONFIG_FILE.
+ * See filters.config.example.json for the full format.
+ *
+ * The daemon calls reloadFilterConfigIfChanged() between cycles (and on SIGHUP).
+ * An invalid file is rejected with a descriptive error and the last good
+ * config stays active.
+ *
+ * Filter profiles: "profiles" holds named sets of overrides layered on top of
+ * the file's other keys, each active over its "dates" ranges (Mountain Time).
+ * The first profile whose range contains today wins; otherwise the top-level
+ * keys apply as the "default" profile. A manual override written by
+ * `pnpm run profile` (data/filter-profile.json) beats the dates.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+import { setFilterCriteria, PATTERN_LIST_KEYS, TEACHER_PREFERENCES, DEFAULT_SCORING, SCHOOL_LEVELS, BOOKING_CAP_ACTIONS, CONFLICT_ACTIONS } from './filters.mjs';
+import { validateRules, parseTimeOfDay, WEEKDAYS } from './rules.mjs';
+import { validateScoring } from './scoring.mjs';
+import { normalizePattern } from './matcher.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'filters.config.json');
+const PROFILE_OVERRIDE_FILE = path.join(__dirname, 'data', 'filter-profile.json');
+
+/**
+ * Name of the top-level (non-profile) settings.
+ */
+export const DEFAULT_PROFILE = 'default';
+
+// Reload state: mtime of the file that produced the active config, its
+// validated contents (profiles included) and the profile applied from it
+let loadedMtimeMs = null;
+let loadedCriteria = {};
+let loadedFound = false;
+let appliedProfile = null;
+
+/**
+ * Resolve the config file path (FILTER_CONFIG_FILE env var overrides the default).
+ * Read lazily so dotenv has a chance to populate process.env first.
+ */
+export function getFilterConfigPath() {
+  const fromEnv = process.env.FILTER_CONFIG_FILE;
+  return fromEnv ? path.resolve(__dirname, fromEnv) : DEFAULT_CONFIG_FILE;
+}
+
+function isValidIsoDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const d = new Date(value + 'T00:00:00Z'); // UTC, so toISOString() gives the same day on any host
+  return !isNaN(d.getTime()) && d.toISOString().startsWith(value);
+}
+
+function validatePatternList(key, value, errors) {
+  if (!Array.isArray(value)) {
+    errors.push(`"${key}" must be an array of patterns`);
+    return null;
+  }
+
+  const patterns = [];
+  value.forEach((item, i) => {
+    try {
+      // Lowercases non-regex patterns (job text is lowercased before matching)
+      patterns.push(normalizePattern(item));
+    } catch (error) {
+      errors.push(`"${key}[${i}]" ${error.message}`);
+    }
+  });
+  return patterns;
+}
+
+function validateAliases(value, errors) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push('"aliases" must be an object of { "canonical name": ["alias", ...] }');
+    return null;
+  }
+
+  const aliases = {};
+  for (const [canonical, list] of Object.entries(value)) {
+    if (!Array.isArray(list) || list.length === 0 || list.some(a => typeof a !== 'string' || a.trim() === '')) {
+      errors.push(`"aliases.${canonical}" must be a non-empty array of strings`);
+      continue;
+    }
+    aliases[canonical] = list;
+  }
+  return aliases;
+}
+
+function validateBlackoutDates(value, errors) {
+  if (!Array.isArray(value)) {
+    errors.push('"blackoutDates" must be an array of { start, end, label } objects');
+    return null;
+  }
+
+  const periods = [];
+  value.forEach((item, i) => {
+    const where = `"blackoutDates[${i}]"`;
+    if (!item || typeof item !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    const start = item.start;
+    const end = item.end ?? item.start;
+    if (!isValidIsoDate(start)) {
+      errors.push(`${where}.start must be a YYYY-MM-DD date`);
+      return;
+    }
+    if (!isValidIsoDate(end)) {
+      errors.push(`${where}.end must be a YYYY-MM-DD date`);
+      return;
+    }
+    if (end < start) {
+      errors.push(`${where}.end (${end}) is before start (${start})`);
+      return;
+    }
+    if (item.label !== undefined && typeof item.label !== 'string') {
+      errors.push(`${where}.label must be a string`);
+      return;
+    }
+    periods.push({ start, end, label: item.label || 'Blackout' });
+  });
+  return periods;
+}
+
+function validateWeekdays(where, value, errors) {
+  if (!Array.isArray(value) || value.length === 0 ||
+      value.some(d => typeof d !== 'string' || !WEEKDAYS.includes(d.slice(0, 3).toLowerCase()))) {
+    errors.push(`${where} must be a non-empty array of day names (mon, tue, ...)`);
+    return null;
+  }
+  return value.map(d => d.slice(0, 3).toLowerCase());
+}
+
+function validateWeeklyAvailability(value, errors) {
+  if (!Array.isArray(value)) {
+    errors.push('"weeklyAvailability" must be an array of { label, block | only } objects');
+    return null;
+  }
+
+  const rules = [];
+  value.forEach((item, i) => {
+    const where = `"weeklyAvailability[${i}]"`;
+    if (!item || typeof item !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    const errorCount = errors.length;
+    const rule = { label: item.label };
+
+    if (typeof item.label !== 'string' || item.label.trim() === '') {
+      errors.push(`${where}.label must be a non-empty string`);
+    }
+    if (('block' in item) === ('only' in item)) {
+      errors.push(`${where} must have exactly one of "block" or "only"`);
+    } else if ('block' in item) {
+      rule.block = validateWeekdays(`${where}.block`, item.block, errors);
+    } else {
+      rule.only = validateWeekdays(`${where}.only`, item.only, errors);
+    }
+    for (const key of ['from', 'to', 'anchor']) {
+      if (key in item) {
+        if (isValidIsoDate(item[key])) rule[key] = item[key];
+        else errors.push(`${where}.${key} must be a YYYY-MM-DD date`);
+      }
+    }
+    if (rule.from && rule.to && rule.to < rule.from) {
+      errors.push(`${where}.to (${rule.to}) is before from (${rule.from})`);
+    }
+    if ('everyWeeks' in item) {
+      if (!Number.isInteger(item.everyWeeks) || item.everyWeeks < 1) {
+        errors.push(`${where}.everyWeeks must be a positive whole number`);
+      } else if (item.everyWeeks > 1 && !item.anchor && !item.from) {
+        errors.push(`${where}.everyWeeks needs an "anchor" (or "from") date to count weeks from`);
+      } else {
+        rule.everyWeeks = item.everyWeeks;
+      }
+    }
+
+    if (errors.length === errorCount) rules.push(rule);
+  });
+  return rules;
+}
+
+function validateTimeWindows(value, errors) {
+  if (!Array.isArray(value)) {
+    errors.push('"timeWindows" must be an array of { label, startsAtOrAfter | endsAtOrBefore | maxHours } objects');
+    return null;
+  }
+
+  const windows = [];
+  value.forEach((item, i) => {
+    const where = `"timeWindows[${i}]"`;
+    if (!item || typeof item !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    const errorCount = errors.length;
+    const window = { label: item.label, action: item.action ?? 'reject' };
+
+    if (typeof item.label !== 'string' || item.label.trim() === '') {
+      errors.push(`${where}.label must be a non-empty string`);
+    }
+    if (!['startsAtOrAfter', 'endsAtOrBefore', 'maxHours'].some(key => key in item)) {
+      errors.push(`${where} must have at least one of "startsAtOrAfter", "endsAtOrBefore" or "maxHours"`);
+    }
+    for (const key of ['startsAtOrAfter', 'endsAtOrBefore']) {
+      if (key in item) {
+        if (parseTimeOfDay(item[key]) !== null) window[key] = item[key];
+        else errors.push(`${where}.${key} must be a time like "7:30" or "3:15 PM"`);
+      }
+    }
+    if ('maxHours' in item) {
+      if (typeof item.maxHours !== 'number' || !(item.maxHours > 0) || item.maxHours > 24) {
+        errors.push(`${where}.maxHours must be a number of hours between 0 and 24`);
+      } else {
+        window.maxHours = item.maxHours;
+      }
+    }
+    if ('weekdays' in item) window.weekdays = validateWeekdays(`${where}.weekdays`, item.weekdays, errors);
+    for (const key of ['from', 'to']) {
+      if (key in item) {
+        if (isValidIsoDate(item[key])) window[key] = item[key];
+        else errors.push(`${where}.${key} must be a YYYY-MM-DD date`);
+      }
+    }
+    if (window.from && window.to && window.to < window.from) {
+      errors.push(`${where}.to (${window.to}) is before from (${window.from})`);
+    }
+    if (!['reject', 'uncertain'].includes(window.action)) {
+      errors.push(`${where}.action must be "reject" or "uncertain"`);
+    }
+    for (const key of Object.keys(item)) {
+      if (!['label', 'startsAtOrAfter', 'endsAtOrBefore', 'maxHours', 'weekdays', 'from', 'to', 'action'].includes(key)) {
+        errors.push(`${where}.${key} is not a known setting`);
+      }
+    }
+
+    if (errors.length === errorCount) windows.push(window);
+  });
+  return windows;
+}
+
+function validateMultiDayPolicy(value, errors) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push('"multiDayPolicy" must be an object');
+    return null;
+  }
+
+  const errorCount = errors.length;
+  const policy = {};
+  for (const [key, setting] of Object.entries(value)) {
+    const where = `"multiDayPolicy.${key}"`;
+    if (['minDays', 'maxDays', 'uncertainAfterWeeks'].includes(key)) {
+      if (!Number.isInteger(setting) || setting < 1) errors.push(`${where} must be a positive whole number`);
+      else policy[key] = setting;
+    } else if (['everyDayFullDay', 'everyDaySchool'].includes(key)) {
+      if (typeof setting !== 'boolean') errors.push(`${where} must be true or false`);
+      else policy[key] = setting;
+    } else {
+      errors.push(`${where} is not a known setting`);
+    }
+  }
+  if (policy.minDays && policy.maxDays && policy.maxDays < policy.minDays) {
+    errors.push(`"multiDayPolicy.maxDays" (${policy.maxDays}) is less than minDays (${policy.minDays})`);
+  }
+
+  return errors.length === errorCount ? policy : null;
+}
+
+function validateBookingCaps(value, errors) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push('"bookingCaps" must be an object');
+    return null;
+  }
+
+  const errorCount = errors.length;
+  const caps = {};
+  for (const [key, setting] of Object.entries(value)) {
+    const where = `"bookingCaps.${key}"`;
+    if (['maxDaysPerWeek', 'maxDaysPerMonth', 'maxConsecutiveDays'].includes(key)) {
+      if (!Number.isInteger(setting) || setting < 1) errors.push(`${where} must be a positive whole number`);
+      else caps[key] = setting;
+    } else if (key === 'action') {
+      if (!BOOKING_CAP_ACTIONS.includes(setting)) errors.push(`${where} must be ${BOOKING_CAP_ACTIONS.map(a => `"${a}"`).join(' or ')}`);
+      else caps[key] = setting;
+    } else {
+      errors.push(`${where} is not a known setting`);
+    }
+  }
+
+  return errors.length === errorCount ? caps : null;
+}
+
+function validateProfiles(value, errors) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push('"profiles" must be an object of { "<name>": { "dates": [...], ...filter settings } }');
+    return null;
+  }
+
+  const errorCount = errors.length;
+  const profiles = {};
+  for (const [name, profile] of Object.entries(value)) {
+    const where = `"profiles.${name}"`;
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(name) || name === DEFAULT_PROFILE) {
+      errors.push(`${where}: profile names are lowercase letters, digits and dashes ("${DEFAULT_PROFILE}" is reserved)`);
+      continue;
+    }
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+
+    const { dates = [], ...settings } = profile;
+    if (!Array.isArray(dates)) {
+      errors.push(`${where}.dates must be an array of { "from": "YYYY-MM-DD", "to": "YYYY-MM-DD" }`);
+    } else {
+      dates.forEach((range, i) => {
+        if (!range || !isValidIsoDate(range.from) || !isValidIsoDate(range.to)) {
+          errors.push(`${where}.dates[${i}] must be { "from": "YYYY-MM-DD", "to": "YYYY-MM-DD" }`);
+        } else if (range.to < range.from) {
+          errors.push(`${where}.dates[${i}] ends (${range.to}) before it starts (${range.from})`);
+        }
+      });
+    }
+    if ('profiles' in settings) {
+      errors.push(`${where} can't contain "profiles"`);
+      continue;
+    }
+
+    try {
+      profiles[name] = {
+        dates: Array.isArray(dates) ? dates.map(range => ({ from: range?.from, to: range?.to })) : [],
+        criteria: validateFilterConfig(settings),
+      };
+    } catch (error) {
+      for (const message of error.message.split('\n  - ').slice(1)) {
+        errors.push(`${where}: ${message}`);
+      }
+    }
+  }
+
+  return errors.length === errorCount ? profiles : null;
+}
+
+function validateTeacherPreferences(value, errors) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push('"teacherPreferences" must be an object');
+    return null;
+  }
+
+  const errorCount = errors.length;
+  const preferences = { ...TEACHER_PREFERENCES };
+  for (const [key, setting] of Object.entries(value)) {
+    const where = `"teacherPreferences.${key}"`;
+    if (key === 'avoidedAction') {
+      if (!['reject', 'uncertain'].includes(setting)) errors.push(`${where} must be "reject" or "uncertain"`);
+      else preferences[key] = setting;
+    } else if (key === 'favoriteSkipsMinDaysAhead') {
+      if (typeof setting !== 'boolean') errors.push(`${where} must be true or false`);
+      else preferences[key] = setting;
+    } else {
+      errors.push(`${where} is not a known setting`);
+    }
+  }
+
+  return errors.length === errorCount ? preferences : null;
+}
+
+/**
+ * Validate a parsed config object and normalize it into filter criteria.
+ * @param {Object} raw - Parsed JSON from the config file
+ * @returns {Object} Criteria overrides suitable for setFilterCriteria()
+ * @throws {Error} Listing every problem found (unknown keys, wrong types, bad dates)
+ */
+export function validateFilterConfig(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Filter config must be a JSON object');
+  }
+
+  const errors = [];
+  const criteria = {};
+
+  for (const [key, value] of Object.entries(raw)) {
+    if (key.startsWith('$') || key.startsWith('_')) continue; // $schema, _comment, etc.
+
+    if (PATTERN_LIST_KEYS.includes(key)) {
+      const patterns = validatePatternList(key, value, errors);
+      if (patterns) criteria[key] = patterns;
+    } else if (key === 'blackoutDates') {
+      const periods = validateBlackoutDates(value, errors);
+      if (periods) criteria[key] = periods;
+    } else if (key === 'weeklyAvailability') {
+      const rules = validateWeeklyAvailability(value, errors);
+      if (rules) criteria[key] = rules;
+    } else if (key === 'timeWindows') {
+      const windows = validateTimeWindows(value, errors);
+      if (windows) criteria[key] = windows;
+    } else if (key === 'multiDayPolicy') {
+      const policy = validateMultiDayPolicy(value, errors);
+      if (policy) criteria[key] = policy;
+    } else if (key === 'profiles') {
+      const profiles = validateProfiles(value, errors);
+      if (profiles) criteria[key] = profiles;
+    } else if (key === 'bookingCaps') {
+      const caps = validateBookingCaps(value, errors);
+      if (caps) criteria[key] = caps;
+    } else if (key === 'conflictAction') {
+      if (!CONFLICT_ACTIONS.includes(value)) {
+        errors.push(`"conflictAction" must be ${CONFLICT_ACTIONS.map(a => `"${a}"`).join(' or ')}`);
+      } else {
+        criteria[key] = value;
+      }
+    } else if (key === 'teacherPreferences') {
+      const preferences = validateTeacherPreferences(value, errors);
+      if (preferences) criteria[key] = preferences;
+    } else if (key === 'acceptedLevels') {
+      if (!Array.isArray(value) || value.some(level => !SCHOOL_LEVELS.includes(level))) {
+        errors.push(`"acceptedLevels" must be an array of school levels (${SCHOOL_LEVELS.join(', ')})`);
+      } else {
+        criteria[key] = value;
+      }
+    } else if (key === 'blacklistedSchoolIds' || key === 'nearbySchoolIds') {
+      if (!Array.isArray(value) || value.some(id => typeof id !== 'string' || id.trim() === '')) {
+        errors.push(`"${key}" must be an array of school registry IDs`);
+      } else {
+        criteria[key] = value.map(id => id.trim());
+      }
+    } else if (key === 'home') {
+      if (value === null) {
+        criteria[key] = null;
+      } else if (!value || typeof value !== 'object' || Array.isArray(value) ||
+          typeof value.lat !== 'number' || Math.abs(value.lat) > 90 ||
+          typeof value.lon !== 'number' || Math.abs(value.lon) > 180) {
+        errors.push('"home" must be { "lat": <latitude>, "lon": <longitude> } or null');
+      } else {
+        criteria[key] = { lat: value.lat, lon: value.lon };
+      }
+    } else if (key === 'nearbyRadiusMiles') {
+      if (typeof value !== 'number' || !(value > 0)) {
+        errors.push('"nearbyRadiusMiles" must be a positive number');
+      } else {
+        criteria[key] = value;
+      }
+    } else if (key === 'schoolDirectoryFile') {
+      if (typeof value !== 'string' || value.trim() === '') {
+        errors.push('"schoolDirectoryFile" must be a file path');
+      } else {
+        criteria[key] = value.trim();
+      }
+    } else if (key === 'calendarFiles') {
+      if (!Array.isArray(value) || value.some(f => typeof f !== 'string' || f.trim() === '')) {
+        errors.push('"calendarFiles" must be an array of .ics file paths');
+      } else {
+        criteria[key] = value.map(f => f.trim());
+      }
+    } else if (key === 'calendarRefreshMinutes') {
+      if (typeof value !== 'number' || !(value > 0)) {
+        errors.push('"calendarRefreshMinutes" must be a positive number');
+      } else {
+        criteria[key] = value;
+      }
+    } else if (key === 'aliases') {
+      const aliases = validateAliases(value, errors);
+      if (aliases) criteria[key] = aliases;
+    } else if (key === 'scoring') {
+      try {
+        criteria.scoring = validateScoring(value, DEFAULT_SCORING);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    } else if (key === 'rules') {
+      try {
+        criteria.rules = validateRules(value);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    } else {
+      errors.push(`Unknown key "${key}"`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid filter config:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return criteria;
+}
+
+/**
+ * Read, parse and validate the config file without applying it.
+ * @param {string} [filePath] - Defaults to getFilterConfigPath()
+ * @returns {Promise<{ found: boolean, criteria: Object, mtimeMs: number|null }>} `criteria` still
+ *   holds "profiles" — pass it through applyProfile() before setFilterCriteria()
+ * @throws {Error} If the file exists but is not valid JSON or fails validation
+ */
+export async function readFilterConfig(filePath = getFilterConfigPath()) {
+  let stats;
+  try {
+    stats = await fs.stat(filePath);
+  } catch {
+    return { found: false, criteria: {}, mtimeMs: null };
+  }
+
+  const text = await fs.readFile(filePath, 'utf-8');
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Filter config ${path.basename(filePath)} is not valid JSON: ${error.message}`);
+  }
+
+  return { found: true, criteria: validateFilterConfig(raw), mtimeMs: stats.mtimeMs };
+}
+
+// ============================================================================
+// PROFILES
+// ============================================================================
+
+/**
+ * A date as YYYY-MM-DD in Mountain Time (profile date ranges are local dates).
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function profileDate(date = new Date()) {
+  return date.toLocaleDateString('en-CA', { timeZone: 'America/Denver' });
+}
+
+/**
+ * Pick the profile for a date: the manual override, else the first profile
+ * whose dates contain the date, else "default".
+ * @param {Object} criteria - Validated config (output of validateFilterConfig)
+ * @param {Object} [options]
+ * @param {string} [options.date] - YYYY-MM-DD (defaults to today)
+ * @param {string|null} [options.override] - Manually selected profile name
+ * @returns {{ name: string|null, source: 'override'|'dates'|'default'|null, warning?: string }}
+ *   `name` is null when the config defines no profiles
+ */
+export function selectProfile(criteria, { date = profileDate(), override = null } = {}) {
+  const profiles = criteria.profiles || {};
+  if (Object.keys(profiles).length === 0) {
+    return override ? { name: null, source: null, warning: `Profile override "${override}" ignored: no profiles configured` } : { name: null, source: null };
+  }
+
+  let warning;
+  if (override) {
+    if (override === DEFAULT_PROFILE || profiles[override]) return { name: override, source: 'override' };
+    warning = `Profile override "${override}" ignored: not in the filter config`;
+  }
+
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (profile.dates.some(range => date >= range.from && date <= range.to)) {
+      return { name, source: 'dates', warning };
+    }
+  }
+  return { name: DEFAULT_PROFILE, source: 'default', warning };
+}
+
+/**
+ * Criteria for one profile: its overrides layered on the top-level settings.
+ * @param {Object} criteria - Validated config (output of validateFilterConfig)
+ * @param {string|null} name - Profile name from selectProfile()
+ * @returns {Object} Criteria suitable for setFilterCriteria()
+ */
+export function applyProfile(criteria, name) {
+  const { profiles, ...base } = criteria;
+  return { ...base, ...(profiles?.[name]?.criteria || {}), activeProfile: name };
+}
+
+/**
+ * The manually selected profile, or null for date-based switching.
+ * @returns {Promise<string|null>}
+ */
+export async function readProfileOverride() {
+  try {
+    const data = JSON.parse(await fs.readFile(PROFILE_OVERRIDE_FILE, 'utf-8'));
+    return typeof data.profile === 'string' ? data.profile : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Select a profile manually (null = back to date-based switching).
+ * Picked up by the daemon before its next cycle.
+ * @param {string|null} name
+ */
+export async function writeProfileOverride(name) {
+  if (name === null) {
+    await fs.unlink(PROFILE_OVERRIDE_FILE).catch(() => {});
+    return;
+  }
+  await fs.mkdir(path.dirname(PROFILE_OVERRIDE_FILE), { recursive: true });
+  await fs.writeFile(PROFILE_OVERRIDE_FILE, JSON.stringify({ profile: name, setAt: new Date().toISOString() }, null, 2), 'utf-8');
+}
+
+// ============================================================================
+// RELOAD
+// ============================================================================
+
+/**
+ * Reload the config file if it changed since the last successful load, and
+ * switch profiles when today's date or the manual override calls for another.
+ *
+ * Status values:
+ *   'unchanged' — File mtime and profile match the active config (nothing to do)
+ *   'reloaded'  — New criteria applied
+ *   'defaults'  — No config file; built-in defaults applied
+ *   'profile'   — File unchanged, but a different profile was applied
+ *   'invalid'   — File rejected; previous config kept (see `error`)
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Reload even if mtime is unchanged (SIGHUP)
+ * @returns {Promise<{ status: string, path: string, profile?: string|null, profileSource?: string|null, warning?: string, error?: string }>}
+ */
+export async function reloadFilterConfigIfChanged({ force = false } = {}) {
+  const filePath = getFilterConfigPath();
+  let mtimeMs = null;
+  try {
+    mtimeMs = (await fs.stat(filePath)).mtimeMs;
+  } catch {
+    // Missing file handled below
+  }
+
+  const fileChanged = force || mtimeMs !== loadedMtimeMs;
+  if (fileChanged) {
+    try {
+      const result = await readFilterConfig(filePath);
+      loadedCriteria = result.criteria;
+      loadedFound = result.found;
+      loadedMtimeMs = result.mtimeMs;
+    } catch (error) {
+      // Remember the bad mtime so the same broken file isn't re-reported every cycle
+      loadedMtimeMs = mtimeMs;
+      return { status: 'invalid', path: filePath, error: error.message };
+    }
+  }
+
+  const profile = selectProfile(loadedCriteria, { override: await readProfileOverride() });
+  if (!fileChanged && profile.name === appliedProfile) {
+    return { status: 'unchanged', path: filePath };
+  }
+
+  setFilterCriteria(applyProfile(loadedCriteria, profile.name));
+  appliedProfile = profile.name;
+  return {
+    status: !fileChanged ? 'profile' : loadedFound ? 'reloaded' : 'defaults',
+    path: filePath,
+    profile: profile.name,
+    profileSource: profile.source,
+    ...(profile.warning && { warning: profile.warning }),
+  };
+}
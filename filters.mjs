@@ -7,21 +7,51 @@
  * - Subject area (specific subjects to accept or reject)
  * - School blacklist (specific schools to avoid)
  * - Duration (only Full Day jobs)
+ * - Time-of-day windows (start/end times, hours per day)
+ * - Multi-day policies (length, every day's school and duration)
+ * - Teacher preferences (favorite / avoided teachers)
+ * - Keywords in the teacher's notes (reject / uncertain)
  *
- * When Frontline updates or user preferences change, update these arrays.
+ * Patterns are plain substrings unless written as { pattern, type } with type
+ * 'word', 'prefix' or 'regex' (see matcher.mjs). Short codes like "PE" are
+ * handled through FILTER_ALIASES instead of raw substrings.
+ *
+ * The final certain/uncertain/reject decision comes from an ordered rule list
+ * (DEFAULT_FILTER_RULES, evaluated by rules.mjs). Matched jobs are then scored
+ * (DEFAULT_SCORING, see scoring.mjs) to decide auto-book / ask / drop.
+ *
+ * The arrays below are the built-in defaults. Any of them can be overridden
+ * without touching this file via filters.config.json (see filter-config.mjs),
+ * which the daemon hot-reloads between cycles.
  */
 
+import { validateRules, evaluateRules, traceRules, parseTimeOfDay, WEEKDAYS } from './rules.mjs';
+import { compilePatterns, compileAliases, expandAliases, findMatch } from './matcher.mjs';
+import { isoDate, wallTimeToMs } from './ics.mjs';
+import { computeScore } from './scoring.mjs';
+
 // ============================================================================
 // SCHOOL LEVEL FILTERS
 // ============================================================================
 
+/**
+ * School levels used by the school registry (school-directory.json).
+ */
+export const SCHOOL_LEVELS = ['hs', 'jh', 'ms', 'elementary'];
+
+/**
+ * Registry levels we want to accept. Schools in the registry are judged by
+ * their level; the name patterns below are only used for unmapped locations.
+ */
+export const ACCEPTED_LEVELS = ['hs', 'jh', 'ms'];
+
 /**
  * School levels we want to accept (high school, junior high, middle school)
  * These patterns are matched against the school name (case-insensitive)
  */
 export const ACCEPTED_SCHOOL_LEVELS = [
   'high school',
-  'hs',
+  { pattern: 'hs', type: 'word' },   // "Orem HS" (whole word only)
   'jr. high',
   'jr high',
   'junior high',
@@ -44,10 +74,20 @@ export const REJECTED_SCHOOL_LEVELS = [
 ];
 
 /**
- * Specific schools to reject (blacklist)
+ * Blacklisted schools by registry ID (school-directory.json).
  * Full day + accepted subject at blacklisted schools = uncertain (not rejected)
  * Half days at blacklisted schools are still fully rejected.
  */
+export const BLACKLISTED_SCHOOL_IDS = [
+  'westlake-hs',
+  'vista-heights-ms',
+  'cedar-valley-hs',
+  'frontier-ms',
+];
+
+/**
+ * Blacklist name patterns, used for locations the school registry can't map.
+ */
 export const BLACKLISTED_SCHOOLS = [
   'westlake high school',
   'westlake hs',
@@ -60,10 +100,34 @@ export const BLACKLISTED_SCHOOLS = [
 ];
 
 /**
- * Schools considered "nearby" to Orem, UT.
+ * Nearby schools by registry ID, used when the distance check can't decide
+ * (no HOME_LOCATION, or the registry entry has no coordinates).
+ */
+export const NEARBY_SCHOOL_IDS = [
+  'orem-hs',
+  'mountain-view-hs',
+  'timpanogos-hs',
+  'canyon-view-jh',
+  'lakeridge-jh',
+  'orem-jh',
+  'oak-canyon-jh',
+  'pleasant-grove-hs',
+  'pleasant-grove-jh',
+  'american-fork-hs',
+  'american-fork-jh',
+  'lone-peak-hs',
+  'timberline-ms',
+  'lehi-hs',
+  'skyridge-hs',
+];
+
+/**
+ * Schools considered "nearby" to Orem, UT (name patterns for unmapped locations).
  * Half day + accepted subject at these schools = uncertain match.
  * Half days at schools NOT on this list are fully rejected.
  *
+ * Only used for locations the school registry can't map — see isSchoolNearby.
+ *
  * Cities included: Orem, Lindon, Pleasant Grove, Vineyard,
  *   American Fork, Cedar Hills, Highland, Alpine, Lehi
  */
@@ -86,6 +150,27 @@ export const NEARBY_SCHOOLS = [
   'timberline',        // Timberline MS — Alpine
 ];
 
+// ============================================================================
+// DISTANCE (school directory + home location)
+// ============================================================================
+
+/**
+ * Home location for distance checks: { lat, lon }. null = distance checks off,
+ * NEARBY_SCHOOLS decides what's nearby.
+ */
+export const HOME_LOCATION = null;
+
+/**
+ * Schools within this straight-line distance of HOME_LOCATION are nearby.
+ */
+export const NEARBY_RADIUS_MILES = 10;
+
+/**
+ * School registry (ID, name, aliases, level, lat/lon, city), relative to the
+ * project root. Loaded by school-directory.mjs and re-read when it changes.
+ */
+export const SCHOOL_DIRECTORY_FILE = 'school-directory.json';
+
 // ============================================================================
 // SUBJECT FILTERS
 // ============================================================================
@@ -110,7 +195,7 @@ export const ACCEPTED_SUBJECTS = [
   // English / Language Arts
   'english',
   'language arts',
-  'ela',
+  { pattern: 'ela', type: 'word' },  // whole word: not "relations", "related"
   'literature',
   'writing',
   'composition',
@@ -137,12 +222,12 @@ export const ACCEPTED_SUBJECTS = [
   'physiology',
 
   // CTE (Career and Technical Education)
-  'cte',
+  { pattern: 'cte', type: 'word' },
   'career and technical',
   'career tech',
 
   // Arts
-  'art',
+  { pattern: 'art', type: 'prefix' },  // "Art", "Arts" — not "Department", "Smart"
   'visual arts',
   'drawing',
   'painting',
@@ -186,14 +271,66 @@ export const REJECTED_SUBJECTS = [
   'special ed',
   'sped',
 
-  // NOTE: Removed short abbreviations that caused false rejections:
-  // "cs" → matched inside "physics", "economics"
-  // "pe" → matched inside "performing", "special"
-  // "ell" → matched inside "spelling"
-  // "asl", "esl" → removed (too short, could match substrings)
-  // The full forms above cover these cases adequately.
+  // NOTE: Short abbreviations ("cs", "pe", "ell", "asl", "esl") are NOT listed
+  // here as substrings — they matched inside "physics", "performing", "spelling".
+  // They are whole-word aliases in FILTER_ALIASES below instead.
 ];
 
+// ============================================================================
+// TEACHER PREFERENCES
+// ============================================================================
+
+/**
+ * Teachers whose jobs we especially want (matched against job.teacher).
+ * A favorite turns an uncertain match into a certain one (see the
+ * 'favorite-teacher' rules) and, with TEACHER_PREFERENCES.favoriteSkipsMinDaysAhead,
+ * gets the daysAhead score even when the job is less than DEFAULT_SCORING.minDaysAhead away.
+ */
+export const FAVORITE_TEACHERS = [];
+
+/**
+ * Teachers whose jobs we'd rather not take.
+ * Rejected, or only downgraded to uncertain (TEACHER_PREFERENCES.avoidedAction).
+ */
+export const AVOIDED_TEACHERS = [];
+
+export const TEACHER_PREFERENCES = {
+  avoidedAction: 'reject',            // 'reject' | 'uncertain'
+  favoriteSkipsMinDaysAhead: false,   // score favorites as far enough ahead regardless of date
+};
+
+// ============================================================================
+// TEACHER NOTES
+// ============================================================================
+
+/**
+ * Keywords in a job's notes (job.notes, read from the job card) that reject it,
+ * e.g. 'lunch duty', { pattern: 'recess', type: 'word' }.
+ */
+export const REJECTED_NOTE_KEYWORDS = [];
+
+/**
+ * Keywords in a job's notes that turn a full-day match into an uncertain one
+ * (see the 'note-keyword-uncertain' rule), e.g. 'field trip'.
+ */
+export const UNCERTAIN_NOTE_KEYWORDS = [];
+
+// ============================================================================
+// ALIASES
+// ============================================================================
+
+/**
+ * Short codes that mean the same thing as a longer pattern.
+ * Each alias is matched as a whole word, so "PE 9" counts as "physical education"
+ * but "Performing Arts" and "Physics" are unaffected.
+ */
+export const FILTER_ALIASES = {
+  'physical education': ['pe', 'p.e.'],
+  'computer science': ['cs', 'comp sci'],
+  'english language learner': ['ell', 'esl', 'ells'],
+  'sign language': ['asl'],
+};
+
 // ============================================================================
 // BLACKOUT DATES (do not consider any jobs on these dates)
 // ============================================================================
@@ -208,6 +345,105 @@ export const BLACKOUT_DATES = [
   { start: '2026-05-30', end: '2026-05-30', label: 'Day off' },
 ];
 
+/**
+ * Recurring weekly availability, checked alongside BLACKOUT_DATES.
+ * Each rule has a label (shown in the rejection reason) and either:
+ *   block: ['fri']               — never these weekdays
+ *   only:  ['tue', 'wed', 'thu'] — only these weekdays, every other day is blocked
+ * Optional:
+ *   from / to: 'YYYY-MM-DD'      — rule only applies within this range (inclusive)
+ *   everyWeeks: 2, anchor: 'YYYY-MM-DD' — rule only applies every Nth week,
+ *                                  counting from the week containing `anchor`
+ *
+ * Examples:
+ *   { label: 'No Fridays', block: ['fri'] }
+ *   { label: 'November: Tue-Thu only', only: ['tue', 'wed', 'thu'], from: '2026-11-01', to: '2026-11-30' }
+ *   { label: 'Every other Monday', block: ['mon'], everyWeeks: 2, anchor: '2026-01-05' }
+ */
+export const WEEKLY_AVAILABILITY = [];
+
+/**
+ * Local iCalendar (.ics) files whose busy events count as blackouts
+ * (paths relative to the project root; "~/" is the home directory).
+ * All-day events block the whole day. Timed events only block jobs whose
+ * startTime-endTime overlaps them. Loaded by calendar-blackouts.mjs and
+ * re-read every CALENDAR_REFRESH_MINUTES (or when the file changes).
+ */
+export const CALENDAR_FILES = [];
+export const CALENDAR_REFRESH_MINUTES = 15;
+
+// ============================================================================
+// TIME WINDOWS (startTime / endTime limits)
+// ============================================================================
+
+/**
+ * Time-of-day limits checked against every day of a job. Each window has a
+ * label and any of:
+ *   startsAtOrAfter: '7:30'      — day must start at or after this time
+ *   endsAtOrBefore: '3:15 PM'    — day must end by this time
+ *   maxHours: 8                  — day must be no longer than this
+ * Optional:
+ *   weekdays: ['wed']            — window only applies on these weekdays
+ *   from / to: 'YYYY-MM-DD'      — window only applies within this range (inclusive)
+ *   action: 'reject' | 'uncertain' — what a day outside the window does (default 'reject');
+ *                                  'uncertain' turns a certain match into an uncertain one
+ *
+ * Days whose times can't be parsed are not checked.
+ *
+ * Examples:
+ *   { label: 'Not before 7:30', startsAtOrAfter: '7:30' }
+ *   { label: 'Wednesday pickup', endsAtOrBefore: '3:15 PM', weekdays: ['wed'] }
+ *   { label: 'Max 8 hours', maxHours: 8, action: 'uncertain' }
+ */
+export const TIME_WINDOWS = [];
+
+// ============================================================================
+// MULTI-DAY POLICY
+// ============================================================================
+
+/**
+ * Extra checks for multi-day jobs, which otherwise are judged on their first
+ * day (top-level school/duration). All settings are optional:
+ *   minDays / maxDays: 10          — reject jobs with fewer/more days
+ *   everyDayFullDay: true          — reject if any day's duration isn't full day
+ *   everyDaySchool: true           — reject if any day's location fails the
+ *                                    school level filter or is blacklisted
+ *   uncertainAfterWeeks: 2         — jobs spanning more than this many weeks
+ *                                    are never a certain match
+ * Days whose duration/location couldn't be scraped ('N/A') are not checked.
+ */
+export const MULTI_DAY_POLICY = {};
+
+// ============================================================================
+// BOOKING CAPS
+// ============================================================================
+
+/**
+ * Workload limits, counted over the days of jobs already booked (or being
+ * booked) in notified-jobs.json plus the new job. All settings are optional:
+ *   maxDaysPerWeek: 3          — booked days in one Sunday–Saturday week
+ *   maxDaysPerMonth: 12        — booked days in one calendar month
+ *   maxConsecutiveDays: 4      — booked calendar days in a row
+ *   action: 'ask' | 'suppress' — what happens to a match that would exceed a
+ *                                cap: Book/Ignore buttons instead of
+ *                                auto-booking (default), or no notification
+ */
+export const BOOKING_CAPS = {};
+
+export const BOOKING_CAP_ACTIONS = ['ask', 'suppress'];
+
+/**
+ * What happens to a match whose time overlaps a job already booked (or being
+ * booked) in notified-jobs.json, on any of its days:
+ *   'suppress' — no notification (default)
+ *   'flag'     — Book/Ignore buttons (never auto-booked), replying to the
+ *                booked job's Telegram message
+ * Jobs on the same date that don't overlap in time (AM/PM half days) are fine.
+ */
+export const CONFLICT_ACTION = 'suppress';
+
+export const CONFLICT_ACTIONS = ['suppress', 'flag'];
+
 // ============================================================================
 // DURATION FILTERS
 // ============================================================================
@@ -235,68 +471,433 @@ export const REJECTED_DURATIONS = [
   'partial',
 ];
 
+// ============================================================================
+// FILTER RULES
+// ============================================================================
+
+/**
+ * Ordered rules deciding the final outcome (first matching rule wins).
+ * See rules.mjs for the rule format.
+ *
+ * Matching rules:
+ *   - Blackout date = immediately rejected (Korea trip, birthdays, etc.)
+ *   - Day outside a TIME_WINDOWS entry = rejected (or uncertain, per window)
+ *   - Multi-day job failing MULTI_DAY_POLICY = rejected (uncertain if only too long)
+ *   - Avoided teacher = rejected (or uncertain, per TEACHER_PREFERENCES)
+ *   - Notes mention a REJECTED_NOTE_KEYWORDS entry = rejected
+ *   - Notes mention an UNCERTAIN_NOTE_KEYWORDS entry + full day = UNCERTAIN match
+ *     (even for favorite teachers)
+ *   - Favorite teacher + otherwise uncertain match = CERTAIN match
+ *   - Accepted school level + accepted subject + full day = CERTAIN match
+ *   - Accepted school level + uncertain subject + full day = UNCERTAIN match
+ *   - Blacklisted school + accepted subject + full day = UNCERTAIN match
+ *   - Nearby school + accepted subject + half day = UNCERTAIN match
+ *   - Everything else = rejected
+ */
+export const DEFAULT_FILTER_RULES = [
+  {
+    name: 'blackout',
+    when: { blackout: true },
+    outcome: 'reject',
+    reason: 'Blackout date ({blackoutLabel}): {blackoutDate}',
+  },
+  {
+    name: 'time-window',
+    when: { timeWindow: { action: 'reject' } },
+    outcome: 'reject',
+    reason: 'Outside time window ({timeWindowLabel}): {timeWindowDate} {timeWindowDetail}',
+  },
+  {
+    name: 'multi-day',
+    when: { multiDay: { action: 'reject' } },
+    outcome: 'reject',
+    reason: 'Multi-day policy ({multiDayPolicy}): {multiDayDetail}',
+  },
+  {
+    name: 'avoided-teacher',
+    when: { teacher: { avoidedAction: 'reject' } },
+    outcome: 'reject',
+    reason: 'Avoided teacher: {teacher}',
+  },
+  {
+    name: 'note-keyword',
+    when: { notes: { action: 'reject' } },
+    outcome: 'reject',
+    reason: 'Notes mention "{noteKeyword}": {position} at {school}',
+  },
+  {
+    name: 'rejected-subject',
+    when: { subject: { result: 'reject' } },
+    outcome: 'reject',
+    reason: 'Subject rejected: {position}',
+  },
+  {
+    // Blacklisted schools skip the level check — they have their own rules below
+    name: 'school-level',
+    when: { school: { levelAccepted: false, blacklisted: false } },
+    outcome: 'reject',
+    reason: 'School level not accepted: {school}{distance}',
+  },
+  {
+    // Above the favorite rules: a keyword in this job's notes outweighs who the teacher is
+    name: 'note-keyword-uncertain',
+    when: { notes: { action: 'uncertain' }, duration: { fullDay: true } },
+    outcome: 'uncertain',
+    reason: 'Notes mention "{noteKeyword}" (uncertain): {school}{distance} - {position}',
+  },
+  {
+    // Favorites upgrade every full-day uncertain case below (blacklist, subject, time window, ...)
+    name: 'favorite-teacher-full-day',
+    when: { teacher: { favorite: true, avoided: false }, duration: { fullDay: true } },
+    outcome: 'match',
+    reason: 'Favorite teacher: {teacher} - {school}{distance} - {position}',
+  },
+  {
+    name: 'blacklisted-full-day',
+    when: { school: { blacklisted: true }, duration: { fullDay: true } },
+    outcome: 'uncertain',
+    reason: 'Blacklisted school (uncertain): {school}{distance} - {position}',
+  },
+  {
+    name: 'blacklisted',
+    when: { school: { blacklisted: true } },
+    outcome: 'reject',
+    reason: 'Blacklisted school: {school}{distance}',
+  },
+  {
+    name: 'favorite-teacher-half-day',
+    when: { teacher: { favorite: true, avoided: false }, school: { nearby: true }, subject: { result: 'accept' } },
+    outcome: 'match',
+    reason: 'Favorite teacher (half day): {teacher} - {school}{distance} - {position} - {duration}',
+  },
+  {
+    name: 'avoided-teacher-uncertain',
+    when: { teacher: { avoidedAction: 'uncertain' }, duration: { fullDay: true }, subject: { result: 'accept' } },
+    outcome: 'uncertain',
+    reason: 'Avoided teacher (uncertain): {teacher} - {school}{distance} - {position}',
+  },
+  {
+    // 'uncertain' time windows only downgrade what would otherwise be a certain match
+    name: 'full-day-outside-time-window',
+    when: { timeWindow: { action: 'uncertain' }, duration: { fullDay: true }, subject: { result: 'accept' } },
+    outcome: 'uncertain',
+    reason: 'Outside time window (uncertain, {timeWindowLabel}): {school}{distance} - {position} - {timeWindowDetail}',
+  },
+  {
+    name: 'full-day-multi-day-uncertain',
+    when: { multiDay: { action: 'uncertain' }, duration: { fullDay: true }, subject: { result: 'accept' } },
+    outcome: 'uncertain',
+    reason: 'Multi-day policy (uncertain, {multiDayPolicy}): {school}{distance} - {position} - {multiDayDetail}',
+  },
+  {
+    name: 'full-day',
+    when: { duration: { fullDay: true }, subject: { result: 'accept' } },
+    outcome: 'match',
+    reason: 'All criteria met: {school}{distance} - {position} - {duration}',
+  },
+  {
+    name: 'full-day-uncertain-subject',
+    when: { duration: { fullDay: true } },
+    outcome: 'uncertain',
+    reason: 'Uncertain subject match: {position} at {school}{distance}',
+  },
+  {
+    name: 'half-day-nearby',
+    when: { school: { nearby: true }, subject: { result: 'accept' } },
+    outcome: 'uncertain',
+    reason: 'Half day nearby (uncertain): {school}{distance} - {position} - {duration}',
+  },
+  {
+    name: 'half-day-uncertain-subject',
+    when: { school: { nearby: true } },
+    outcome: 'reject',
+    reason: 'Half day uncertain subject: {school}{distance} - {duration}',
+  },
+  {
+    name: 'half-day-not-nearby',
+    outcome: 'reject',
+    reason: 'Half day not nearby: {school}{distance} - {duration}',
+  },
+];
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * Points per factor for matched jobs, and the thresholds that turn the total
+ * into an action (see scoring.mjs):
+ *   >= autoBook → auto-book, >= ask → Book/Ignore buttons, below ask → drop
+ *
+ * The defaults reproduce the original behavior: a certain match 3+ days away
+ * always reaches autoBook (60 + 30), an uncertain one or one too soon never
+ * does, and every match clears ask. The small factors only shift the score
+ * within those bands until you change the weights.
+ */
+export const DEFAULT_SCORING = {
+  points: {
+    certainMatch: 60,
+    uncertainMatch: 30,
+    subjectAccepted: 5,
+    subjectUncertain: 0,
+    schoolNearby: 5,
+    schoolBlacklisted: -5,
+    fullDay: 5,
+    partialDay: 0,
+    daysAhead: 30,          // awarded when the job is minDaysAhead+ days away
+    favoriteTeacher: 10,
+    avoidedTeacher: -10,
+    distancePerMile: 0,     // per mile from home (e.g. -1: a school 12 mi away loses 12)
+  },
+  minDaysAhead: 3,          // cancellation buffer (Frontline's cutoff is 48 hours)
+  thresholds: {
+    autoBook: 90,
+    ask: 20,
+  },
+};
+
+// ============================================================================
+// ACTIVE CRITERIA (defaults + filters.config.json overrides)
+// ============================================================================
+
+/**
+ * Built-in criteria, keyed the same way as filters.config.json.
+ */
+export const DEFAULT_FILTER_CRITERIA = Object.freeze({
+  acceptedLevels: ACCEPTED_LEVELS,
+  acceptedSchoolLevels: ACCEPTED_SCHOOL_LEVELS,
+  rejectedSchoolLevels: REJECTED_SCHOOL_LEVELS,
+  blacklistedSchoolIds: BLACKLISTED_SCHOOL_IDS,
+  blacklistedSchools: BLACKLISTED_SCHOOLS,
+  nearbySchoolIds: NEARBY_SCHOOL_IDS,
+  nearbySchools: NEARBY_SCHOOLS,
+  acceptedSubjects: ACCEPTED_SUBJECTS,
+  rejectedSubjects: REJECTED_SUBJECTS,
+  blackoutDates: BLACKOUT_DATES,
+  weeklyAvailability: WEEKLY_AVAILABILITY,
+  calendarFiles: CALENDAR_FILES,
+  calendarRefreshMinutes: CALENDAR_REFRESH_MINUTES,
+  timeWindows: TIME_WINDOWS,
+  multiDayPolicy: MULTI_DAY_POLICY,
+  bookingCaps: BOOKING_CAPS,
+  conflictAction: CONFLICT_ACTION,
+  favoriteTeachers: FAVORITE_TEACHERS,
+  avoidedTeachers: AVOIDED_TEACHERS,
+  teacherPreferences: TEACHER_PREFERENCES,
+  rejectedNoteKeywords: REJECTED_NOTE_KEYWORDS,
+  uncertainNoteKeywords: UNCERTAIN_NOTE_KEYWORDS,
+  home: HOME_LOCATION,
+  nearbyRadiusMiles: NEARBY_RADIUS_MILES,
+  schoolDirectoryFile: SCHOOL_DIRECTORY_FILE,
+  scoring: DEFAULT_SCORING,
+  acceptedDurations: ACCEPTED_DURATIONS,
+  rejectedDurations: REJECTED_DURATIONS,
+  aliases: FILTER_ALIASES,
+  rules: validateRules(DEFAULT_FILTER_RULES),
+  // Name of the filter profile these criteria came from (set by filter-config.mjs; null = no profiles)
+  activeProfile: null,
+});
+
+/**
+ * Pattern lists that get compiled into matchers.
+ */
+export const PATTERN_LIST_KEYS = [
+  'acceptedSchoolLevels',
+  'rejectedSchoolLevels',
+  'blacklistedSchools',
+  'nearbySchools',
+  'acceptedSubjects',
+  'rejectedSubjects',
+  'acceptedDurations',
+  'rejectedDurations',
+  'favoriteTeachers',
+  'avoidedTeachers',
+  'rejectedNoteKeywords',
+  'uncertainNoteKeywords',
+];
+
+function compileCriteria(criteria) {
+  const compiled = { aliases: compileAliases(criteria.aliases) };
+  for (const key of PATTERN_LIST_KEYS) {
+    compiled[key] = compilePatterns(criteria[key]);
+  }
+  return compiled;
+}
+
+let activeCriteria = DEFAULT_FILTER_CRITERIA;
+let activeMatchers = compileCriteria(activeCriteria);
+
+/**
+ * Replace the criteria used by the filtering functions.
+ * Keys missing from `overrides` fall back to DEFAULT_FILTER_CRITERIA.
+ * @param {Object} overrides - Validated criteria (see validateFilterConfig)
+ */
+export function setFilterCriteria(overrides = {}) {
+  activeCriteria = Object.freeze({ ...DEFAULT_FILTER_CRITERIA, ...overrides });
+  activeMatchers = compileCriteria(activeCriteria);
+}
+
+// Busy periods from CALENDAR_FILES — runtime data, kept separate from config
+let calendarBlackouts = [];
+
+/**
+ * Replace the busy periods imported from .ics files.
+ * @param {Array<Object>} periods - Output of expandBusyPeriods() (ics.mjs)
+ */
+export function setCalendarBlackouts(periods) {
+  calendarBlackouts = periods;
+}
+
+// School directory entries by normalized name/alias — runtime data, like calendarBlackouts
+let schoolDirectory = new Map();
+
+/**
+ * Normalize a school name for directory lookups: lowercase, punctuation to spaces.
+ * "Orem Jr. High" → "orem jr high"
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeSchoolName(name) {
+  return (name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Replace the school directory.
+ * @param {Array<Object>} schools - Validated entries (see school-directory.mjs)
+ */
+export function setSchoolDirectory(schools) {
+  schoolDirectory = new Map();
+  for (const school of schools) {
+    for (const name of [school.name, ...(school.aliases || [])]) {
+      schoolDirectory.set(normalizeSchoolName(name), school);
+    }
+  }
+}
+
+/**
+ * Look up a location in the school registry.
+ * @param {string} schoolName - Location as scraped
+ * @returns {Object|null} Registry entry, or null if unmapped
+ */
+export function findSchool(schoolName) {
+  return schoolDirectory.get(normalizeSchoolName(schoolName)) || null;
+}
+
+/**
+ * Map a job to its registry entry: the location first, then reportTo.
+ * @param {Object} job - The job object
+ * @returns {Object|null} Registry entry, or null if neither string is mapped
+ */
+export function resolveJobSchool(job) {
+  return findSchool(job.school) || findSchool(job.reportTo);
+}
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+/**
+ * Straight-line (great-circle) distance between two points.
+ * @param {{ lat: number, lon: number }} a
+ * @param {{ lat: number, lon: number }} b
+ * @returns {number} Miles
+ */
+export function distanceMiles(a, b) {
+  const rad = deg => deg * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Distance from home to a school, rounded to 0.1 mile.
+ * @param {string} schoolName - Location as scraped
+ * @param {Object|null} [school] - Registry entry (defaults to a lookup by name)
+ * @returns {number|null} Miles, or null if home isn't set or the school has no coordinates
+ */
+export function getSchoolDistanceMiles(schoolName, school = findSchool(schoolName)) {
+  const home = activeCriteria.home;
+  if (!home || school?.lat == null) return null;
+  return Math.round(distanceMiles(home, school) * 10) / 10;
+}
+
+/**
+ * Lowercase job text and expand aliases ("PE" → "physical education").
+ * @param {string} text - Raw job text
+ * @returns {string}
+ */
+export function normalizeJobText(text) {
+  return expandAliases(text, activeMatchers.aliases);
+}
+
+/**
+ * Find which pattern in a criteria list matches the text.
+ * @param {string} text - Raw job text (school, position, duration)
+ * @param {string} listKey - Criteria key, e.g. 'rejectedSubjects'
+ * @returns {{ pattern: string, type: string }|null}
+ */
+export function matchCriteriaList(text, listKey) {
+  return findMatch(normalizeJobText(text), activeMatchers[listKey]);
+}
+
+/**
+ * @returns {Object} The criteria currently used by filterJob
+ */
+export function getFilterCriteria() {
+  return activeCriteria;
+}
+
 // ============================================================================
 // FILTERING FUNCTIONS
 // ============================================================================
 
 /**
  * Check if a school level is accepted based on school name
+ * (registry level for mapped schools, name patterns otherwise)
  * @param {string} schoolName - The name of the school
+ * @param {Object|null} [school] - Registry entry (defaults to a lookup by name)
  * @returns {boolean} true if school level is accepted
  */
-export function isSchoolLevelAccepted(schoolName) {
-  const lowerSchool = schoolName.toLowerCase();
+export function isSchoolLevelAccepted(schoolName, school = findSchool(schoolName)) {
+  if (school?.level) {
+    return activeCriteria.acceptedLevels.includes(school.level);
+  }
 
   // First check if it matches any rejected school level patterns
-  for (const rejected of REJECTED_SCHOOL_LEVELS) {
-    if (lowerSchool.includes(rejected)) {
-      return false;
-    }
+  if (matchCriteriaList(schoolName, 'rejectedSchoolLevels')) {
+    return false;
   }
 
   // Then check if it matches any accepted school level patterns
-  for (const accepted of ACCEPTED_SCHOOL_LEVELS) {
-    if (lowerSchool.includes(accepted)) {
-      return true;
-    }
-  }
-
-  // If no match on either list, return false (default to not accepting)
-  return false;
+  // (no match on either list = not accepted)
+  return matchCriteriaList(schoolName, 'acceptedSchoolLevels') !== null;
 }
 
 /**
  * Check if a school is on the blacklist
+ * (registry ID for mapped schools, name patterns otherwise)
  * @param {string} schoolName - The name of the school
+ * @param {Object|null} [school] - Registry entry (defaults to a lookup by name)
  * @returns {boolean} true if school is blacklisted
  */
-export function isSchoolBlacklisted(schoolName) {
-  const lowerSchool = schoolName.toLowerCase();
-
-  for (const rejected of BLACKLISTED_SCHOOLS) {
-    if (lowerSchool.includes(rejected)) {
-      return true;
-    }
-  }
-
-  return false;
+export function isSchoolBlacklisted(schoolName, school = findSchool(schoolName)) {
+  if (school) return activeCriteria.blacklistedSchoolIds.includes(school.id);
+  return matchCriteriaList(schoolName, 'blacklistedSchools') !== null;
 }
 
 /**
- * Check if a school is near Orem, UT (for half-day uncertain matching)
+ * Check if a school is near home (for half-day uncertain matching).
+ * Uses the straight-line distance when home is set and the school has
+ * coordinates, then the NEARBY_SCHOOL_IDS list for mapped schools, and the
+ * NEARBY_SCHOOLS patterns for unmapped locations.
  * @param {string} schoolName - The name of the school
+ * @param {Object|null} [school] - Registry entry (defaults to a lookup by name)
  * @returns {boolean} true if school is nearby
  */
-export function isSchoolNearby(schoolName) {
-  const lowerSchool = schoolName.toLowerCase();
-
-  for (const nearby of NEARBY_SCHOOLS) {
-    if (lowerSchool.includes(nearby)) {
-      return true;
-    }
-  }
-
-  return false;
+export function isSchoolNearby(schoolName, school = findSchool(schoolName)) {
+  const miles = getSchoolDistanceMiles(schoolName, school);
+  if (miles !== null) return miles <= activeCriteria.nearbyRadiusMiles;
+  if (school) return activeCriteria.nearbySchoolIds.includes(school.id);
+  return matchCriteriaList(schoolName, 'nearbySchools') !== null;
 }
 
 /**
@@ -305,20 +906,14 @@ export function isSchoolNearby(schoolName) {
  * @returns {string} 'ACCEPT', 'REJECT', or 'UNCERTAIN'
  */
 export function isSubjectAccepted(position) {
-  const lowerPosition = position.toLowerCase();
-
   // First check rejected list - if it contains any rejected subject, immediately reject
-  for (const rejected of REJECTED_SUBJECTS) {
-    if (lowerPosition.includes(rejected)) {
-      return 'REJECT';
-    }
+  if (matchCriteriaList(position, 'rejectedSubjects')) {
+    return 'REJECT';
   }
 
   // Then check accepted list - if it contains any accepted subject, accept
-  for (const accepted of ACCEPTED_SUBJECTS) {
-    if (lowerPosition.includes(accepted)) {
-      return 'ACCEPT';
-    }
+  if (matchCriteriaList(position, 'acceptedSubjects')) {
+    return 'ACCEPT';
   }
 
   // If no match on either list, mark as uncertain
@@ -331,24 +926,14 @@ export function isSubjectAccepted(position) {
  * @returns {boolean} true if duration is accepted
  */
 export function isDurationAccepted(duration) {
-  const lowerDuration = duration.toLowerCase();
-
   // First check if it's explicitly rejected
-  for (const rejected of REJECTED_DURATIONS) {
-    if (lowerDuration.includes(rejected)) {
-      return false;
-    }
+  if (matchCriteriaList(duration, 'rejectedDurations')) {
+    return false;
   }
 
   // Then check if it's explicitly accepted
-  for (const accepted of ACCEPTED_DURATIONS) {
-    if (lowerDuration.includes(accepted)) {
-      return true;
-    }
-  }
-
-  // If no match, default to rejecting (conservative approach)
-  return false;
+  // (no match = rejected, conservative approach)
+  return matchCriteriaList(duration, 'acceptedDurations') !== null;
 }
 
 /**
@@ -366,130 +951,575 @@ function parseJobDate(dateStr) {
 }
 
 /**
- * Check if a date falls within any blackout period.
+ * Parse a job's date and return how many days from now it is.
+ * Job date format: "Wed, 2/25/2026" or "2/25/2026"
+ * For multi-day jobs, uses the first day's date.
+ * Returns -1 if date can't be parsed (treat as "don't auto-book").
+ */
+export function getJobDaysAhead(job) {
+  try {
+    let dateStr = job.date;
+    if (!dateStr || dateStr === 'N/A') return -1;
+
+    // Remove day name prefix: "Wed, 2/25/2026" → "2/25/2026"
+    dateStr = dateStr.replace(/^[A-Za-z]+,\s*/, '');
+    const jobDate = new Date(dateStr);
+    if (isNaN(jobDate.getTime())) return -1;
+
+    // Compare dates in Mountain Time (strip time component)
+    const nowMT = new Date(new Date().toLocaleDateString('en-US', { timeZone: 'America/Denver' }));
+    const jobDateClean = new Date(jobDate.toLocaleDateString('en-US'));
+
+    const diffMs = jobDateClean - nowMT;
+    return Math.ceil(diffMs / (1000 * 60 * 60 * 24));
+  } catch {
+    return -1;
+  }
+}
+
+const MS_PER_WEEK = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Midnight (local) of the Sunday starting the week that contains `date`.
+ */
+function startOfWeek(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+}
+
+/**
+ * Check if a weekly availability rule blocks a date.
+ * @param {Object} rule - Entry from WEEKLY_AVAILABILITY
+ * @param {Date} day - Local midnight of the date to check
+ * @returns {boolean}
+ */
+function isBlockedByWeeklyRule(rule, day) {
+  if (rule.from && day < new Date(rule.from + 'T00:00:00')) return false;
+  if (rule.to && day > new Date(rule.to + 'T00:00:00')) return false;
+
+  if (rule.everyWeeks > 1) {
+    const anchor = new Date((rule.anchor || rule.from) + 'T00:00:00');
+    // Math.round absorbs the hour lost/gained across DST changes
+    const weeks = Math.round((startOfWeek(day) - startOfWeek(anchor)) / MS_PER_WEEK);
+    if (((weeks % rule.everyWeeks) + rule.everyWeeks) % rule.everyWeeks !== 0) return false;
+  }
+
+  const weekday = WEEKDAYS[day.getDay()];
+  if (rule.block?.includes(weekday)) return true;
+  if (rule.only && !rule.only.includes(weekday)) return true;
+  return false;
+}
+
+/**
+ * Check if a calendar busy period blocks a job day.
+ * @param {Date} day - Local midnight of the job day
+ * @param {string} startTime - Job start time ("7:45 AM")
+ * @param {string} endTime - Job end time ("3:15 PM")
+ * @returns {Object|null} The blocking period, or null
+ */
+function findCalendarBlackout(day, startTime, endTime) {
+  if (calendarBlackouts.length === 0) return null;
+
+  const y = day.getFullYear();
+  const m = day.getMonth() + 1;
+  const d = day.getDate();
+  const iso = isoDate(y, m, d);
+
+  // Job window in real time. Unknown times → the whole day (can't rule out overlap)
+  const start = parseTimeOfDay(startTime);
+  const end = parseTimeOfDay(endTime);
+  const known = start !== null && end !== null && end > start;
+  const windowStart = wallTimeToMs({ y, m, d, h: 0, mi: known ? start : 0 });
+  const windowEnd = known ? wallTimeToMs({ y, m, d, h: 0, mi: end }) : wallTimeToMs({ y, m, d: d + 1 });
+
+  for (const period of calendarBlackouts) {
+    if (period.allDay) {
+      if (iso >= period.start && iso <= period.end) return period;
+    } else if (period.startMs < windowEnd && period.endMs > windowStart) {
+      return period;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check if a date falls within any blackout period, is blocked by a
+ * recurring weekly availability rule, or overlaps a calendar busy event.
  * @param {Date} date - The date to check
+ * @param {string} [startTime] - Job start time on that date (for timed calendar events)
+ * @param {string} [endTime] - Job end time on that date
  * @returns {{ blacked: boolean, label: string }} Whether date is blacked out and why
  */
-function isDateBlackedOut(date) {
+function isDateBlackedOut(date, startTime, endTime) {
   // Normalize to YYYY-MM-DD for clean comparison (avoids timezone issues)
-  const check = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const check = day.getTime();
 
-  for (const period of BLACKOUT_DATES) {
+  for (const period of activeCriteria.blackoutDates) {
     const start = new Date(period.start + 'T00:00:00').getTime();
     const end = new Date(period.end + 'T00:00:00').getTime();
     if (check >= start && check <= end) {
       return { blacked: true, label: period.label };
     }
   }
+
+  for (const rule of activeCriteria.weeklyAvailability) {
+    if (isBlockedByWeeklyRule(rule, day)) {
+      return { blacked: true, label: rule.label };
+    }
+  }
+
+  const busy = findCalendarBlackout(day, startTime, endTime);
+  if (busy) {
+    return { blacked: true, label: `Calendar: ${busy.label}` };
+  }
+
   return { blacked: false, label: '' };
 }
 
+/**
+ * The individual days of a job: job.days for multi-day jobs, otherwise the job itself.
+ * @param {Object} job - The job object
+ * @returns {Array<{ date: string, startTime: string, endTime: string }>}
+ */
+function getJobDays(job) {
+  if (job.isMultiDay && job.days?.length > 0) return job.days;
+  return [{ date: job.date, startTime: job.startTime, endTime: job.endTime }];
+}
+
 /**
  * Check if any of a job's dates fall within a blackout period.
  * For multi-day jobs, ALL days are checked — if any day is blacked out, reject.
  * @param {Object} job - The job object
- * @returns {{ blacked: boolean, label: string }}
+ * @returns {{ blacked: boolean, label: string, date?: string }} `date` is the blocked day
  */
 export function isJobBlackedOut(job) {
-  // Check multi-day jobs: reject if ANY day is blacked out
-  if (job.isMultiDay && job.days?.length > 0) {
-    for (const day of job.days) {
-      const d = parseJobDate(day.date);
-      if (d) {
-        const result = isDateBlackedOut(d);
-        if (result.blacked) return result;
-      }
+  for (const day of getJobDays(job)) {
+    const d = parseJobDate(day.date);
+    if (d) {
+      const result = isDateBlackedOut(d, day.startTime, day.endTime);
+      if (result.blacked) return { ...result, date: day.date };
     }
-    return { blacked: false, label: '' };
   }
+  return { blacked: false, label: '' };
+}
 
-  // Single-day job
-  const d = parseJobDate(job.date);
-  if (!d) return { blacked: false, label: '' };
-  return isDateBlackedOut(d);
+/**
+ * Check one job day against a time window.
+ * @param {Object} window - Entry from TIME_WINDOWS
+ * @param {Date|null} date - The day (null = date unknown)
+ * @param {Object} day - { startTime, endTime } as scraped
+ * @returns {string|null} What's outside the window (e.g. "starts 7:00 AM, before 7:30"), or null
+ */
+function checkTimeWindow(window, date, day) {
+  if (window.weekdays || window.from || window.to) {
+    if (!date) return null;
+    const iso = isoDate(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    if (window.from && iso < window.from) return null;
+    if (window.to && iso > window.to) return null;
+    if (window.weekdays && !window.weekdays.includes(WEEKDAYS[date.getDay()])) return null;
+  }
+
+  const start = parseTimeOfDay(day.startTime);
+  const end = parseTimeOfDay(day.endTime);
+
+  if (window.startsAtOrAfter && start !== null && start < parseTimeOfDay(window.startsAtOrAfter)) {
+    return `starts ${day.startTime}, before ${window.startsAtOrAfter}`;
+  }
+  if (window.endsAtOrBefore && end !== null && end > parseTimeOfDay(window.endsAtOrBefore)) {
+    return `ends ${day.endTime}, after ${window.endsAtOrBefore}`;
+  }
+  if (window.maxHours && start !== null && end !== null && end - start > window.maxHours * 60) {
+    const hours = Math.round((end - start) / 6) / 10;
+    return `${hours} hours, over ${window.maxHours}`;
+  }
+  return null;
 }
 
 /**
- * Main filtering function - checks if a job matches all criteria
- *
- * Matching rules:
- *   - Blackout date = immediately rejected (Korea trip, birthdays, etc.)
- *   - Accepted school level + accepted subject + full day = CERTAIN match
- *   - Accepted school level + uncertain subject + full day = UNCERTAIN match
- *   - Blacklisted school + accepted subject + full day = UNCERTAIN match
- *   - Nearby school + accepted subject + half day = UNCERTAIN match
- *   - Everything else = rejected
- *
- * @param {Object} job - The job object with all fields
- * @returns {Object} { match: boolean, reason: string, uncertain: boolean }
+ * Check every day of a job against the time windows.
+ * A 'reject' window outside on any day wins over an 'uncertain' one.
+ * @param {Object} job - The job object
+ * @returns {{ outside: boolean, action: string|null, label: string, date?: string, detail?: string }}
  */
-export function filterJob(job) {
-  // Always reject jobs on blackout dates (trips, days off, etc.)
-  const blackout = isJobBlackedOut(job);
-  if (blackout.blacked) {
-    return { match: false, reason: `Blackout date (${blackout.label}): ${job.date}`, uncertain: false };
+export function checkJobTimeWindows(job) {
+  let uncertain = null;
+
+  for (const day of getJobDays(job)) {
+    const date = parseJobDate(day.date);
+    for (const window of activeCriteria.timeWindows) {
+      const detail = checkTimeWindow(window, date, day);
+      if (!detail) continue;
+
+      const action = window.action || 'reject';
+      const result = { outside: true, action, label: window.label, date: day.date, detail };
+      if (action === 'reject') return result;
+      uncertain ??= result;
+    }
+  }
+
+  return uncertain || { outside: false, action: null, label: '' };
+}
+
+function isKnown(value) {
+  return typeof value === 'string' && value.trim() !== '' && value !== 'N/A';
+}
+
+/**
+ * Check a multi-day job against MULTI_DAY_POLICY.
+ * Length and per-day checks reject; uncertainAfterWeeks only downgrades.
+ * @param {Object} job - The job object
+ * @returns {{ violated: boolean, action: string|null, policy: string, detail?: string }}
+ */
+export function checkMultiDayPolicy(job) {
+  const policy = activeCriteria.multiDayPolicy;
+  const ok = { violated: false, action: null, policy: '' };
+  if (!job.isMultiDay || !(job.days?.length > 0)) return ok;
+
+  const reject = (name, detail) => ({ violated: true, action: 'reject', policy: name, detail });
+  const count = job.days.length;
+
+  if (policy.minDays && count < policy.minDays) {
+    return reject('minDays', `${count} days, fewer than ${policy.minDays}`);
+  }
+  if (policy.maxDays && count > policy.maxDays) {
+    return reject('maxDays', `${count} days, more than ${policy.maxDays}`);
+  }
+
+  for (const day of job.days) {
+    if (policy.everyDayFullDay && isKnown(day.duration) && !isDurationAccepted(day.duration)) {
+      return reject('everyDayFullDay', `${day.date} is ${day.duration}`);
+    }
+    if (policy.everyDaySchool && isKnown(day.location)) {
+      if (isSchoolBlacklisted(day.location)) {
+        return reject('everyDaySchool', `${day.date} at blacklisted school ${day.location}`);
+      }
+      if (!isSchoolLevelAccepted(day.location)) {
+        return reject('everyDaySchool', `${day.date} at ${day.location} (school level not accepted)`);
+      }
+    }
   }
-  const blacklisted = isSchoolBlacklisted(job.school);
-  const schoolLevelOk = isSchoolLevelAccepted(job.school);
-  const fullDay = isDurationAccepted(job.duration);
-  const subjectResult = isSubjectAccepted(job.position);
-  const nearby = isSchoolNearby(job.school);
-
-  // Always reject if subject is on the rejected list
-  if (subjectResult === 'REJECT') {
-    return { match: false, reason: `Subject rejected: ${job.position}`, uncertain: false };
+
+  if (policy.uncertainAfterWeeks) {
+    const dates = job.days.map(day => parseJobDate(day.date)).filter(Boolean);
+    if (dates.length > 0) {
+      const first = Math.min(...dates.map(Number));
+      const last = Math.max(...dates.map(Number));
+      // Calendar days first → last inclusive (round absorbs DST shifts)
+      const spanDays = Math.round((last - first) / (24 * 60 * 60 * 1000)) + 1;
+      if (spanDays > policy.uncertainAfterWeeks * 7) {
+        const weeks = Math.ceil(spanDays / 7);
+        return {
+          violated: true,
+          action: 'uncertain',
+          policy: 'uncertainAfterWeeks',
+          detail: `spans ${weeks} weeks, over ${policy.uncertainAfterWeeks}`,
+        };
+      }
+    }
   }
 
-  // Always reject schools that aren't the right level (unless blacklisted — they have their own path)
-  if (!schoolLevelOk && !blacklisted) {
-    return { match: false, reason: `School level not accepted: ${job.school}`, uncertain: false };
+  return ok;
+}
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Day number (days since 1970-01-01) of a local date, for counting runs of days.
+ */
+function dayNumber(date) {
+  return Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / MS_PER_DAY);
+}
+
+function dateFromDayNumber(number) {
+  const utc = new Date(number * MS_PER_DAY);
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+}
+
+function shortDate(date) {
+  return `${date.getMonth() + 1}/${date.getDate()}`;
+}
+
+/**
+ * Check whether booking a job would exceed BOOKING_CAPS.
+ * @param {Object} job - The new job
+ * @param {Array<Object>} bookedJobs - jobData of booked / being-booked entries
+ * @returns {{ capped: boolean, action: string|null, cap?: string, detail?: string }}
+ *   `detail` says which cap applied, e.g. "weekly cap: 4 days in the week of 3/1 (max 3)"
+ */
+export function checkBookingCaps(job, bookedJobs) {
+  const caps = activeCriteria.bookingCaps;
+  const ok = { capped: false, action: null };
+  if (!caps.maxDaysPerWeek && !caps.maxDaysPerMonth && !caps.maxConsecutiveDays) return ok;
+
+  const toDays = j => getJobDays(j).map(day => parseJobDate(day.date)).filter(Boolean).map(dayNumber);
+  const jobDays = [...new Set(toDays(job))];
+  if (jobDays.length === 0) return ok;
+
+  const allDays = new Set([...bookedJobs.flatMap(toDays), ...jobDays]);
+  const capped = (cap, detail) => ({ capped: true, action: caps.action || 'ask', cap, detail });
+
+  if (caps.maxDaysPerWeek) {
+    for (const day of jobDays) {
+      const weekStart = dayNumber(startOfWeek(dateFromDayNumber(day)));
+      const count = [...allDays].filter(d => d >= weekStart && d < weekStart + 7).length;
+      if (count > caps.maxDaysPerWeek) {
+        return capped('maxDaysPerWeek', `weekly cap: ${count} days in the week of ${shortDate(dateFromDayNumber(weekStart))} (max ${caps.maxDaysPerWeek})`);
+      }
+    }
   }
 
-  // --- Blacklisted schools ---
-  if (blacklisted) {
-    // Blacklisted + full day + accepted/uncertain subject = uncertain match
-    if (fullDay && (subjectResult === 'ACCEPT' || subjectResult === 'UNCERTAIN')) {
-      return {
-        match: true,
-        reason: `Blacklisted school (uncertain): ${job.school} - ${job.position}`,
-        uncertain: true,
-      };
+  if (caps.maxDaysPerMonth) {
+    for (const day of jobDays) {
+      const date = dateFromDayNumber(day);
+      const count = [...allDays].map(dateFromDayNumber)
+        .filter(d => d.getFullYear() === date.getFullYear() && d.getMonth() === date.getMonth()).length;
+      if (count > caps.maxDaysPerMonth) {
+        const month = date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        return capped('maxDaysPerMonth', `monthly cap: ${count} days in ${month} (max ${caps.maxDaysPerMonth})`);
+      }
     }
-    // Blacklisted + half day = rejected
-    return { match: false, reason: `Blacklisted school: ${job.school}`, uncertain: false };
   }
 
-  // --- Full day at accepted school level ---
-  if (fullDay) {
-    if (subjectResult === 'ACCEPT') {
-      return {
-        match: true,
-        reason: `All criteria met: ${job.school} - ${job.position} - ${job.duration}`,
-        uncertain: false,
-      };
+  if (caps.maxConsecutiveDays) {
+    for (const day of jobDays) {
+      let first = day;
+      let last = day;
+      while (allDays.has(first - 1)) first--;
+      while (allDays.has(last + 1)) last++;
+      const run = last - first + 1;
+      if (run > caps.maxConsecutiveDays) {
+        return capped('maxConsecutiveDays', `consecutive-day cap: ${run} days in a row, ${shortDate(dateFromDayNumber(first))}–${shortDate(dateFromDayNumber(last))} (max ${caps.maxConsecutiveDays})`);
+      }
     }
-    // Uncertain subject
-    return {
-      match: true,
-      reason: `Uncertain subject match: ${job.position} at ${job.school}`,
-      uncertain: true,
-    };
   }
 
-  // --- Half day at accepted school level ---
-  // Half day + nearby school + accepted subject = uncertain
-  if (nearby && subjectResult === 'ACCEPT') {
-    return {
-      match: true,
-      reason: `Half day nearby (uncertain): ${job.school} - ${job.position} - ${job.duration}`,
-      uncertain: true,
-    };
+  return ok;
+}
+
+/**
+ * A job day's time range in minutes; unknown times cover the whole day
+ * (can't rule out overlap).
+ */
+function dayMinutes(day) {
+  const start = parseTimeOfDay(day.startTime);
+  const end = parseTimeOfDay(day.endTime);
+  return start !== null && end !== null && end > start ? { start, end } : { start: 0, end: 24 * 60 };
+}
+
+/**
+ * Find a booked job that overlaps a job in time on any of their days.
+ * @param {Object} job - The new job
+ * @param {Array<Object>} bookedJobs - jobData of booked / being-booked entries
+ * @returns {{ action: string, booked: Object, detail: string }|null}
+ *   `booked` is the conflicting entry from bookedJobs; `detail` describes it,
+ *   e.g. "already booked Math 8 at Orem HS, Wed, 3/4/2026 8:00 AM-11:30 AM (Job #123)"
+ */
+export function findScheduleConflict(job, bookedJobs) {
+  const datedDays = j => getJobDays(j)
+    .map(day => ({ day, date: parseJobDate(day.date) }))
+    .filter(entry => entry.date)
+    .map(entry => ({ ...entry, number: dayNumber(entry.date), minutes: dayMinutes(entry.day) }));
+
+  const jobDays = datedDays(job);
+  if (jobDays.length === 0) return null;
+
+  for (const booked of bookedJobs) {
+    for (const bookedDay of datedDays(booked)) {
+      const overlaps = jobDays.some(d => d.number === bookedDay.number &&
+        d.minutes.start < bookedDay.minutes.end && bookedDay.minutes.start < d.minutes.end);
+      if (overlaps) {
+        const { day } = bookedDay;
+        return {
+          action: activeCriteria.conflictAction,
+          booked,
+          detail: `already booked ${booked.position} at ${booked.school}, ${day.date} ${day.startTime}-${day.endTime} (Job #${booked.jobNumber})`,
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a job's teacher against the favorite and avoided lists.
+ * @param {string} teacher - job.teacher
+ * @returns {{ favorite: boolean, avoided: boolean, avoidedAction: string|null }}
+ */
+export function checkTeacherPreference(teacher) {
+  const favorite = matchCriteriaList(teacher, 'favoriteTeachers') !== null;
+  const avoided = matchCriteriaList(teacher, 'avoidedTeachers') !== null;
+  return {
+    favorite,
+    avoided,
+    avoidedAction: avoided ? activeCriteria.teacherPreferences.avoidedAction : null,
+  };
+}
+
+/**
+ * Collapse the whitespace in a job's notes, so keywords match across line breaks.
+ */
+function notesText(notes) {
+  return typeof notes === 'string' ? notes.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Check a job's notes against the rejected and uncertain keyword lists.
+ * Jobs without notes (or scraped before notes were read) never match.
+ * @param {string} [notes] - job.notes
+ * @returns {{ hasNotes: boolean, action: 'reject'|'uncertain'|null, keyword: string|null }}
+ */
+export function checkJobNotes(notes) {
+  const text = notesText(notes);
+  const hasNotes = text !== '';
+  if (!hasNotes) return { hasNotes, action: null, keyword: null };
+
+  const rejected = matchCriteriaList(text, 'rejectedNoteKeywords');
+  if (rejected) return { hasNotes, action: 'reject', keyword: rejected.pattern };
+  const uncertain = matchCriteriaList(text, 'uncertainNoteKeywords');
+  if (uncertain) return { hasNotes, action: 'uncertain', keyword: uncertain.pattern };
+  return { hasNotes, action: null, keyword: null };
+}
+
+/**
+ * Compute the facts the rule engine looks at for a job.
+ * @param {Object} job - The job object with all fields
+ * @returns {Object} Facts for evaluateRules/traceRules
+ */
+function computeJobFacts(job) {
+  const school = resolveJobSchool(job);
+  return {
+    job,
+    blackout: isJobBlackedOut(job),
+    timeWindow: checkJobTimeWindows(job),
+    multiDay: checkMultiDayPolicy(job),
+    teacherPreference: checkTeacherPreference(job.teacher),
+    notes: checkJobNotes(job.notes),
+    schoolId: school?.id || null,
+    schoolBlacklisted: isSchoolBlacklisted(job.school, school),
+    schoolLevelAccepted: isSchoolLevelAccepted(job.school, school),
+    schoolNearby: isSchoolNearby(job.school, school),
+    schoolDistanceMiles: getSchoolDistanceMiles(job.school, school),
+    subjectResult: isSubjectAccepted(job.position),
+    fullDay: isDurationAccepted(job.duration),
+    date: parseJobDate(job.date),
+    text: {
+      school: normalizeJobText(job.school),
+      position: normalizeJobText(job.position),
+      duration: normalizeJobText(job.duration),
+      teacher: normalizeJobText(job.teacher),
+      notes: normalizeJobText(notesText(job.notes)),
+    },
+  };
+}
+
+/**
+ * Main filtering function - checks if a job matches all criteria
+ *
+ * Computes the facts about a job (blackout, time windows, multi-day policy,
+ * teacher preference, note keywords, school level/blacklist/nearby, subject result, full day)
+ * and runs them through the ordered rule list (DEFAULT_FILTER_RULES unless
+ * filters.config.json supplies "rules").
+ *
+ * @param {Object} job - The job object with all fields
+ * @returns {Object} { match: boolean, reason: string, uncertain: boolean, rule: string|null,
+ *   teacherPreference: 'favorite'|'avoided'|null, distanceMiles: number|null,
+ *   schoolId: string|null, profile: string|null } — schoolId null = location not in
+ *   the school registry; profile null = no filter profiles configured
+ */
+export function filterJob(job) {
+  const facts = computeJobFacts(job);
+  return {
+    ...evaluateRules(activeCriteria.rules, facts),
+    teacherPreference: teacherPreferenceLabel(facts.teacherPreference),
+    distanceMiles: facts.schoolDistanceMiles,
+    schoolId: facts.schoolId,
+    profile: activeCriteria.activeProfile,
+  };
+}
+
+function teacherPreferenceLabel({ favorite, avoided }) {
+  if (avoided) return 'avoided';
+  return favorite ? 'favorite' : null;
+}
+
+function scoreFacts(facts, filterResult) {
+  return computeScore(facts, {
+    uncertain: filterResult.uncertain,
+    daysAhead: getJobDaysAhead(facts.job),
+    favoriteSkipsMinDaysAhead: activeCriteria.teacherPreferences.favoriteSkipsMinDaysAhead,
+  }, activeCriteria.scoring);
+}
+
+/**
+ * Score a job that filterJob matched, and decide what to do with it.
+ * @param {Object} job - The job object with all fields
+ * @param {Object} filterResult - filterJob(job)
+ * @returns {{ score: number, action: 'auto-book'|'ask'|'drop', contributions: Array }}
+ */
+export function scoreJob(job, filterResult) {
+  return scoreFacts(computeJobFacts(job), filterResult);
+}
+
+/**
+ * Explain mode — same decision as filterJob, plus every predicate checked.
+ *
+ * `lists` shows which pattern (if any) matched in each criteria list, in the
+ * text actually matched against (lowercased, aliases expanded). `rules` lists
+ * each rule evaluated up to the deciding one, with the first failed condition.
+ * `score` is the scoreJob result for matched jobs (null when rejected).
+ *
+ * @param {Object} job - The job object with all fields
+ * @returns {{ result: Object, facts: Object, lists: Object, rules: Array, score: Object|null }}
+ */
+export function explainJob(job) {
+  const facts = computeJobFacts(job);
+  const { result, steps } = traceRules(activeCriteria.rules, facts);
+  const score = result.match ? scoreFacts(facts, result) : null;
+
+  const listText = {
+    rejectedSchoolLevels: facts.text.school,
+    acceptedSchoolLevels: facts.text.school,
+    blacklistedSchools: facts.text.school,
+    nearbySchools: facts.text.school,
+    rejectedSubjects: facts.text.position,
+    acceptedSubjects: facts.text.position,
+    rejectedDurations: facts.text.duration,
+    acceptedDurations: facts.text.duration,
+    favoriteTeachers: facts.text.teacher,
+    avoidedTeachers: facts.text.teacher,
+    rejectedNoteKeywords: facts.text.notes,
+    uncertainNoteKeywords: facts.text.notes,
+  };
+  const lists = {};
+  for (const [key, text] of Object.entries(listText)) {
+    lists[key] = { text, match: findMatch(text, activeMatchers[key]) };
   }
 
-  // Half day + far school OR half day + uncertain subject = rejected
   return {
-    match: false,
-    reason: `Half day ${nearby ? 'uncertain subject' : 'not nearby'}: ${job.school} - ${job.duration}`,
-    uncertain: false,
+    result: {
+      ...result,
+      teacherPreference: teacherPreferenceLabel(facts.teacherPreference),
+      distanceMiles: facts.schoolDistanceMiles,
+      schoolId: facts.schoolId,
+      profile: activeCriteria.activeProfile,
+    },
+    facts: {
+      blackout: facts.blackout,
+      timeWindow: facts.timeWindow,
+      multiDay: facts.multiDay,
+      teacherPreference: facts.teacherPreference,
+      notes: facts.notes,
+      schoolId: facts.schoolId,
+      schoolBlacklisted: facts.schoolBlacklisted,
+      schoolLevelAccepted: facts.schoolLevelAccepted,
+      schoolNearby: facts.schoolNearby,
+      schoolDistanceMiles: facts.schoolDistanceMiles,
+      subjectResult: facts.subjectResult,
+      fullDay: facts.fullDay,
+    },
+    lists,
+    rules: steps,
+    score,
   };
 }
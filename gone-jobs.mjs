@@ -0,0 +1,99 @@
+/**
+ * Gone Jobs
+ *
+ * Works out which jobs left the Available Jobs list between scrapes, and what
+ * that means for notified-jobs.json. The daemon (trackGoneJobs in scraper.mjs)
+ * feeds it every healthy scrape — no selector drift, and either job cards or a
+ * visible "no available assignments" row — and does the I/O: archive lines and
+ * Telegram message edits.
+ *
+ * A single scrape that misses a job proves little (a list still rendering, a
+ * slow AJAX call), so a job only counts as gone once MISSES_BEFORE_GONE healthy
+ * scrapes in a row haven't listed it. A gone job that is listed again (someone
+ * cancelled) is offered again like a new one.
+ */
+
+import { archiveKey } from './job-archive.mjs';
+import { createJobHash } from './utils.mjs';
+
+// Healthy scrapes in a row that must miss a job before it counts as gone
+export const MISSES_BEFORE_GONE = 2;
+
+/**
+ * Compare one healthy scrape with the jobs listed before it. Mutates `openJobs`.
+ * @param {Map<string, { job: Object, lastListedAt: number, missedAt: number|null, misses: number }>} openJobs -
+ *   archiveKey → listed job; start with an empty Map
+ * @param {Array<Object>} jobs - Every job this scrape listed
+ * @param {number} [now] - When the scrape ran (ms)
+ * @param {number} [missesBeforeGone]
+ * @returns {Array<{ job: Object, key: string, lastListedAt: number, goneAt: number }>} Jobs now
+ *   counted as gone; `goneAt` is the first scrape that missed them
+ */
+export function updateOpenJobs(openJobs, jobs, now = Date.now(), missesBeforeGone = MISSES_BEFORE_GONE) {
+  const listed = new Set();
+  for (const job of jobs) {
+    const key = archiveKey(job);
+    listed.add(key);
+    openJobs.set(key, { job, lastListedAt: now, missedAt: null, misses: 0 });
+  }
+
+  const gone = [];
+  for (const [key, open] of openJobs) {
+    if (listed.has(key)) continue;
+    open.misses++;
+    open.missedAt ??= now;
+    if (open.misses < missesBeforeGone) continue;
+
+    gone.push({ job: open.job, key, lastListedAt: open.lastListedAt, goneAt: open.missedAt });
+    openJobs.delete(key);
+  }
+  return gone;
+}
+
+/**
+ * Record gone jobs on their notified-jobs entries. Mutates `notifiedJobs`.
+ * @param {Object} notifiedJobs - hash → entry (see loadNotifiedJobs in scraper.mjs)
+ * @param {Array<{ job: Object, goneAt: number }>} gone - From updateOpenJobs()
+ * @returns {Array<{ hash: string, entry: Object, job: Object }>} Entries whose Book/Ignore
+ *   message should be retracted (status was 'notified', now 'gone')
+ */
+export function markJobsGone(notifiedJobs, gone) {
+  const retract = [];
+  for (const { job, goneAt } of gone) {
+    const hash = createJobHash(job);
+    const entry = notifiedJobs[hash];
+    if (!entry) continue;
+
+    entry.goneAt = goneAt;
+    if (entry.status !== 'notified') continue; // Booked, booking, ignored, ... — nothing to retract
+    entry.status = 'gone';
+    retract.push({ hash, entry, job });
+  }
+  return retract;
+}
+
+/**
+ * Undo markJobsGone() for jobs listed again. A 'gone' entry is removed so the
+ * job goes through filtering and notification like a new one (its old message
+ * says "no longer available"); other entries just lose their goneAt.
+ * Mutates `notifiedJobs`.
+ * @param {Object} notifiedJobs - hash → entry
+ * @param {Array<Object>} jobs - Jobs listed this scrape
+ * @returns {Array<{ hash: string, job: Object }>} Jobs whose 'gone' entry was removed
+ */
+export function reopenListedJobs(notifiedJobs, jobs) {
+  const reopened = [];
+  for (const job of jobs) {
+    const hash = createJobHash(job);
+    const entry = notifiedJobs[hash];
+    if (!entry?.goneAt) continue;
+
+    if (entry.status === 'gone') {
+      delete notifiedJobs[hash];
+      reopened.push({ hash, job });
+    } else {
+      delete entry.goneAt;
+    }
+  }
+  return reopened;
+}
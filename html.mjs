@@ -0,0 +1,326 @@
+/**
+ * Minimal HTML Reader
+ *
+ * Just enough of a DOM to run the job-card field mapping (job-extract.mjs)
+ * against saved Frontline pages, without a browser:
+ * - Elements, attributes (quoted or bare), text and character references
+ * - Void elements, comments, <!DOCTYPE>, raw-text <script>/<style>
+ * - The implied end tags Frontline's tables rely on (<tr>, <td>, <tbody>, ...)
+ *   and stray end tags (ignored)
+ * - querySelector/querySelectorAll with tag, #id, .class and [attr] / [attr=v]
+ *   / [attr*=v] / [attr^=v] / [attr$=v] parts, descendant and ">" combinators
+ *   and comma lists; matches; textContent; classList.contains; getAttribute;
+ *   appendChild
+ *
+ * Anything else (pseudo-classes, Playwright's :has-text(), ...) throws, so a
+ * selector the reader can't honor is never silently treated as "no match".
+ *
+ * No dependencies.
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+]);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Opening the key tag implicitly closes any open tags in the value (up to the nearest table)
+const IMPLIED_END = {
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  tbody: ['tbody', 'thead', 'tfoot', 'tr', 'td', 'th'],
+  thead: ['tbody', 'thead', 'tfoot', 'tr', 'td', 'th'],
+  tfoot: ['tbody', 'thead', 'tfoot', 'tr', 'td', 'th'],
+  li: ['li'],
+  option: ['option'],
+  p: ['p'],
+};
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', ndash: '–', mdash: '—', hellip: '…', copy: '©', reg: '®' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (ref, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : ref;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? ref;
+  });
+}
+
+// ============================================================================
+// NODES
+// ============================================================================
+
+export class HtmlElement {
+  constructor(tagName, attributes = {}, parent = null) {
+    this.tagName = tagName;
+    this.attributes = attributes;
+    this.parent = parent;
+    this.children = []; // Elements and text strings, in document order
+  }
+
+  get elementChildren() {
+    return this.children.filter(child => typeof child !== 'string');
+  }
+
+  get textContent() {
+    return this.children.map(child => (typeof child === 'string' ? child : child.textContent)).join('');
+  }
+
+  get classList() {
+    const classes = (this.attributes.class || '').split(/\s+/).filter(Boolean);
+    return { contains: name => classes.includes(name) };
+  }
+
+  get id() {
+    return this.attributes.id || '';
+  }
+
+  getAttribute(name) {
+    return this.attributes[name.toLowerCase()] ?? null;
+  }
+
+  querySelectorAll(selector) {
+    const alternatives = parseSelector(selector);
+    const found = [];
+    const walk = el => {
+      for (const child of el.elementChildren) {
+        if (alternatives.some(steps => matchesSteps(child, steps))) found.push(child);
+        walk(child);
+      }
+    };
+    walk(this);
+    return found;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  matches(selector) {
+    return parseSelector(selector).some(steps => matchesSteps(this, steps));
+  }
+
+  /**
+   * Append an element (moving it from its current parent, like the DOM does).
+   */
+  appendChild(el) {
+    if (el.parent) el.parent.children = el.parent.children.filter(child => child !== el);
+    el.parent = this;
+    this.children.push(el);
+    return el;
+  }
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+/**
+ * Parse an HTML document or fragment.
+ * @param {string} html
+ * @returns {HtmlElement} A synthetic "#document" root element
+ */
+export function parseHtml(html) {
+  const root = new HtmlElement('#document');
+  let current = root;
+  let i = 0;
+
+  const openElements = () => {
+    const stack = [];
+    for (let el = current; el !== root; el = el.parent) stack.push(el);
+    return stack; // innermost first
+  };
+
+  // Close the innermost open element named `tag` (and everything inside it)
+  const closeTag = (tag, stopAt = []) => {
+    for (const el of openElements()) {
+      if (stopAt.includes(el.tagName)) return false;
+      if (el.tagName === tag) {
+        current = el.parent;
+        return true;
+      }
+    }
+    return false;
+  };
+
+  while (i < html.length) {
+    if (html.startsWith('<!--', i)) {
+      const end = html.indexOf('-->', i + 4);
+      i = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    if (html.startsWith('<!', i) || html.startsWith('<?', i)) {
+      const end = html.indexOf('>', i);
+      i = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    const endTag = /^<\/([a-zA-Z][\w:-]*)\s*>/.exec(html.slice(i, i + 200));
+    if (endTag) {
+      closeTag(endTag[1].toLowerCase());
+      i += endTag[0].length;
+      continue;
+    }
+
+    const startTag = /^<([a-zA-Z][\w:-]*)/.exec(html.slice(i, i + 200));
+    if (startTag) {
+      const tag = startTag[1].toLowerCase();
+      i += startTag[0].length;
+
+      // Attributes up to the closing ">" (quoted values may contain ">")
+      const attributes = {};
+      const attrPattern = /\s*([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?|\s*(\/?>)|\s*\/(?!>)/y;
+      let selfClosing = false;
+      for (;;) {
+        attrPattern.lastIndex = i;
+        const m = attrPattern.exec(html);
+        if (!m) {
+          i = html.length;
+          break;
+        }
+        i = attrPattern.lastIndex;
+        if (m[5]) {
+          selfClosing = m[5] === '/>';
+          break;
+        }
+        if (m[1]) {
+          const name = m[1].toLowerCase();
+          if (!(name in attributes)) attributes[name] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+        }
+      }
+
+      for (const implied of IMPLIED_END[tag] || []) {
+        closeTag(implied, ['table']);
+      }
+
+      const el = new HtmlElement(tag, attributes, current);
+      current.children.push(el);
+
+      if (RAW_TEXT_ELEMENTS.has(tag)) {
+        const closePattern = new RegExp(`</${tag}`, 'ig');
+        closePattern.lastIndex = i;
+        const close = closePattern.exec(html)?.index ?? -1;
+        const end = close === -1 ? html.length : close;
+        el.children.push(tag === 'textarea' || tag === 'title' ? decodeEntities(html.slice(i, end)) : html.slice(i, end));
+        i = close === -1 ? html.length : html.indexOf('>', close) + 1 || html.length;
+      } else if (!VOID_ELEMENTS.has(tag) && !selfClosing) {
+        current = el;
+      }
+      continue;
+    }
+
+    // Text up to the next tag ("<" not starting a tag is literal text)
+    let next = html.indexOf('<', i + 1);
+    if (next === -1) next = html.length;
+    current.children.push(decodeEntities(html.slice(i, next)));
+    i = next;
+  }
+
+  return root;
+}
+
+// ============================================================================
+// SELECTORS
+// ============================================================================
+
+const selectorCache = new Map();
+
+/**
+ * Parse a selector list into alternatives, each a list of
+ * { combinator: ' '|'>'|null, tag, id, classes, attrs } steps (left to right).
+ */
+function parseSelector(selector) {
+  if (selectorCache.has(selector)) return selectorCache.get(selector);
+
+  const alternatives = [];
+  const token = /\s*(,|>)\s*|\s+|([a-zA-Z][\w-]*|\*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w-]+)\s*(?:([*^$]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\]/y;
+  let steps = [];
+  let step = null;
+  let combinator = null;
+  let i = 0;
+
+  const newStep = () => {
+    if (!step) {
+      step = { combinator: steps.length > 0 ? (combinator || ' ') : null, tag: null, id: null, classes: [], attrs: [] };
+      steps.push(step);
+      combinator = null;
+    }
+    return step;
+  };
+
+  while (i < selector.length) {
+    token.lastIndex = i;
+    const m = token.exec(selector);
+    if (!m || token.lastIndex === i) {
+      throw new Error(`Unsupported selector "${selector}" (at "${selector.slice(i)}")`);
+    }
+    i = token.lastIndex;
+
+    if (m[1] === ',') {
+      if (steps.length === 0) throw new Error(`Unsupported selector "${selector}" (empty alternative)`);
+      alternatives.push(steps);
+      steps = [];
+      step = null;
+      combinator = null;
+    } else if (m[1] === '>') {
+      step = null;
+      combinator = '>';
+    } else if (m[2]) {
+      if (step) throw new Error(`Unsupported selector "${selector}" (tag name must come first)`);
+      newStep().tag = m[2] === '*' ? null : m[2].toLowerCase();
+    } else if (m[3]) {
+      newStep().id = m[3];
+    } else if (m[4]) {
+      newStep().classes.push(m[4]);
+    } else if (m[5]) {
+      newStep().attrs.push({ name: m[5].toLowerCase(), op: m[6] || null, value: m[7] ?? m[8] ?? m[9] ?? '' });
+    } else {
+      // Whitespace: descendant combinator unless followed by "," or ">"
+      step = null;
+      combinator = combinator || ' ';
+    }
+  }
+  if (steps.length === 0) throw new Error(`Unsupported selector "${selector}" (empty)`);
+  alternatives.push(steps);
+
+  selectorCache.set(selector, alternatives);
+  return alternatives;
+}
+
+function matchesCompound(el, step) {
+  if (step.tag && el.tagName !== step.tag) return false;
+  if (step.id && el.id !== step.id) return false;
+  if (step.classes.some(name => !el.classList.contains(name))) return false;
+  return step.attrs.every(({ name, op, value }) => {
+    const actual = el.getAttribute(name);
+    if (actual === null) return false;
+    switch (op) {
+      case '=': return actual === value;
+      case '*=': return actual.includes(value);
+      case '^=': return actual.startsWith(value);
+      case '$=': return actual.endsWith(value);
+      default: return true;
+    }
+  });
+}
+
+/**
+ * Does `el` match the steps? Like the browser's querySelectorAll, ancestor
+ * steps may match outside the element the query started from.
+ */
+function matchesSteps(el, steps, last = steps.length - 1) {
+  const step = steps[last];
+  if (!matchesCompound(el, step)) return false;
+  if (last === 0) return true;
+
+  const isElement = node => node && node.parent !== null; // The #document root isn't an element
+  if (step.combinator === '>') {
+    return isElement(el.parent) && matchesSteps(el.parent, steps, last - 1);
+  }
+  for (let ancestor = el.parent; isElement(ancestor); ancestor = ancestor.parent) {
+    if (matchesSteps(ancestor, steps, last - 1)) return true;
+  }
+  return false;
+}
@@ -0,0 +1,395 @@
+/**
+ * Minimal iCalendar (.ics) Reader
+ *
+ * Just enough of RFC 5545 to turn a calendar export into busy periods:
+ * - VEVENT with all-day (VALUE=DATE) or timed DTSTART/DTEND (or DURATION)
+ * - Times in UTC ("Z"), with a TZID, or floating (treated as job-local time)
+ * - RRULE with FREQ=DAILY/WEEKLY/MONTHLY/YEARLY, INTERVAL, COUNT, UNTIL,
+ *   BYDAY (incl. "2MO" / "-1FR" for monthly) and BYMONTHDAY, plus EXDATE
+ * - TRANSP:TRANSPARENT ("free") and STATUS:CANCELLED events are skipped
+ *
+ * Edited single occurrences (RECURRENCE-ID) are read as extra events; the
+ * original occurrence still counts as busy too, which errs on the safe side.
+ *
+ * No dependencies — timezone math uses Intl.
+ */
+
+// Frontline job times are wall-clock times in the district's timezone
+export const JOB_TIME_ZONE = 'America/Denver';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OCCURRENCES = 5000; // Safety cap per recurring event, on periods inside the window
+const ICAL_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// ============================================================================
+// DATE / TIMEZONE HELPERS
+// ============================================================================
+
+/**
+ * Format y/m/d (month 1-12) as 'YYYY-MM-DD'.
+ */
+export function isoDate(y, m, d) {
+  return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+/**
+ * Day number (days since 1970-01-01) for a calendar date — timezone free.
+ */
+function dayNumber(y, m, d) {
+  return Math.floor(Date.UTC(y, m - 1, d) / DAY_MS);
+}
+
+function fromDayNumber(n) {
+  const dt = new Date(n * DAY_MS);
+  return { y: dt.getUTCFullYear(), m: dt.getUTCMonth() + 1, d: dt.getUTCDate() };
+}
+
+const partsFormatters = new Map();
+
+/**
+ * Wall-clock parts of an instant in a timezone.
+ * @returns {{ y, m, d, h, mi, s }}
+ */
+function zonedParts(ms, timeZone) {
+  let fmt = partsFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+    });
+    partsFormatters.set(timeZone, fmt);
+  }
+  const p = Object.fromEntries(fmt.formatToParts(new Date(ms)).map(x => [x.type, x.value]));
+  return { y: +p.year, m: +p.month, d: +p.day, h: +p.hour, mi: +p.minute, s: +p.second };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC timestamp.
+ * Unknown timezones fall back to JOB_TIME_ZONE.
+ */
+export function wallTimeToMs({ y, m, d, h = 0, mi = 0, s = 0 }, timeZone = JOB_TIME_ZONE) {
+  const asUtc = Date.UTC(y, m - 1, d, h, mi, s);
+  let zone = timeZone;
+  try {
+    zonedParts(0, zone);
+  } catch {
+    zone = JOB_TIME_ZONE;
+  }
+  // Two passes settle the offset, including around DST transitions
+  let guess = asUtc;
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(guess, zone);
+    const offset = Date.UTC(p.y, p.m - 1, p.d, p.h, p.mi, p.s) - guess;
+    guess = asUtc - offset;
+  }
+  return guess;
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+function unescapeText(value) {
+  return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+/**
+ * Parse one content line: NAME;PARAM=a;PARAM2="b":value
+ */
+function parseLine(line) {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon === -1) return null;
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const eq = part.indexOf('=');
+    if (eq > 0) params[part.slice(0, eq).toUpperCase()] = part.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parse a DATE or DATE-TIME value.
+ * @returns {{ allDay: boolean, y, m, d, h, mi, s, utc: boolean, tzid: string|null }|null}
+ */
+function parseDateValue(value, params) {
+  const m = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!m) return null;
+  const allDay = params.VALUE === 'DATE' || m[4] === undefined;
+  return {
+    allDay,
+    y: +m[1], m: +m[2], d: +m[3],
+    h: allDay ? 0 : +m[4], mi: allDay ? 0 : +m[5], s: allDay ? 0 : +(m[6] || 0),
+    utc: m[7] === 'Z',
+    tzid: params.TZID || null,
+  };
+}
+
+function dateValueToMs(v, fallbackZone) {
+  if (v.utc) return Date.UTC(v.y, v.m - 1, v.d, v.h, v.mi, v.s);
+  return wallTimeToMs(v, v.tzid || fallbackZone);
+}
+
+/**
+ * Parse an ISO 8601 duration (P1D, PT1H30M, P1W) into milliseconds.
+ */
+function parseDurationMs(value) {
+  const m = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+  const ms = ((+(m[2] || 0) * 7 + +(m[3] || 0)) * 24 * 3600 + +(m[4] || 0) * 3600 + +(m[5] || 0) * 60 + +(m[6] || 0)) * 1000;
+  return m[1] === '-' ? -ms : ms;
+}
+
+function parseRrule(value) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [key, val] = part.split('=');
+    if (key && val !== undefined) rule[key.toUpperCase()] = val.toUpperCase();
+  }
+  return rule;
+}
+
+/**
+ * Parse .ics text into raw VEVENT objects.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} { summary, start, end, durationMs, rrule, exdates, transparent, cancelled }
+ */
+export function parseIcs(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  const stack = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (!line) continue;
+    const prop = parseLine(line);
+    if (!prop) continue;
+
+    if (prop.name === 'BEGIN') {
+      stack.push(prop.value.toUpperCase());
+      if (prop.value.toUpperCase() === 'VEVENT') {
+        event = { summary: 'Busy', start: null, end: null, durationMs: null, rrule: null, exdates: [], transparent: false, cancelled: false };
+      }
+      continue;
+    }
+    if (prop.name === 'END') {
+      const ended = stack.pop();
+      if (ended === 'VEVENT' && event) {
+        if (event.start) events.push(event);
+        event = null;
+      }
+      continue;
+    }
+
+    // Only read properties that belong directly to the VEVENT (skip VALARM etc.)
+    if (!event || stack[stack.length - 1] !== 'VEVENT') continue;
+
+    switch (prop.name) {
+      case 'SUMMARY':
+        event.summary = unescapeText(prop.value) || 'Busy';
+        break;
+      case 'DTSTART':
+        event.start = parseDateValue(prop.value, prop.params);
+        break;
+      case 'DTEND':
+        event.end = parseDateValue(prop.value, prop.params);
+        break;
+      case 'DURATION':
+        event.durationMs = parseDurationMs(prop.value.trim());
+        break;
+      case 'RRULE':
+        event.rrule = parseRrule(prop.value);
+        break;
+      case 'EXDATE':
+        for (const v of prop.value.split(',')) {
+          const parsed = parseDateValue(v, prop.params);
+          if (parsed) event.exdates.push(parsed);
+        }
+        break;
+      case 'TRANSP':
+        event.transparent = prop.value.trim().toUpperCase() === 'TRANSPARENT';
+        break;
+      case 'STATUS':
+        event.cancelled = prop.value.trim().toUpperCase() === 'CANCELLED';
+        break;
+    }
+  }
+
+  return events;
+}
+
+// ============================================================================
+// RECURRENCE EXPANSION
+// ============================================================================
+
+/**
+ * Candidate occurrence dates (as day numbers) for one period of an RRULE.
+ */
+function datesInPeriod(rule, freq, period, dtstart) {
+  const byDay = rule.BYDAY ? rule.BYDAY.split(',').map(s => s.match(/^([+-]?\d+)?([A-Z]{2})$/)).filter(Boolean) : null;
+  const byMonthDay = rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number) : null;
+
+  if (freq === 'WEEKLY') {
+    const days = byDay ? byDay.map(m => ICAL_WEEKDAYS.indexOf(m[2])) : [new Date(dtstart.day * DAY_MS).getUTCDay()];
+    // Period = Sunday-start week containing the occurrence
+    return days.filter(d => d >= 0).map(d => period + d).sort((a, b) => a - b);
+  }
+
+  if (freq === 'MONTHLY') {
+    const { y, m } = period;
+    const daysInMonth = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    const result = [];
+    if (byMonthDay) {
+      for (const md of byMonthDay) {
+        const d = md > 0 ? md : daysInMonth + md + 1;
+        if (d >= 1 && d <= daysInMonth) result.push(dayNumber(y, m, d));
+      }
+    } else if (byDay) {
+      for (const [, ord, code] of byDay) {
+        const weekday = ICAL_WEEKDAYS.indexOf(code);
+        const matches = [];
+        for (let d = 1; d <= daysInMonth; d++) {
+          if (new Date(Date.UTC(y, m - 1, d)).getUTCDay() === weekday) matches.push(dayNumber(y, m, d));
+        }
+        if (!ord) result.push(...matches);
+        else {
+          const n = parseInt(ord, 10);
+          const pick = n > 0 ? matches[n - 1] : matches[matches.length + n];
+          if (pick !== undefined) result.push(pick);
+        }
+      }
+    } else if (dtstart.d <= daysInMonth) {
+      result.push(dayNumber(y, m, dtstart.d));
+    }
+    return result.sort((a, b) => a - b);
+  }
+
+  if (freq === 'YEARLY') {
+    const daysInMonth = new Date(Date.UTC(period, dtstart.m, 0)).getUTCDate();
+    return dtstart.d <= daysInMonth ? [dayNumber(period, dtstart.m, dtstart.d)] : [];
+  }
+
+  return [period]; // DAILY
+}
+
+function nextPeriod(freq, period, interval) {
+  if (freq === 'WEEKLY') return period + 7 * interval;
+  if (freq === 'MONTHLY') {
+    const total = period.y * 12 + (period.m - 1) + interval;
+    return { y: Math.floor(total / 12), m: (total % 12) + 1 };
+  }
+  if (freq === 'YEARLY') return period + interval;
+  return period + interval; // DAILY
+}
+
+/**
+ * Start dates (day numbers) of an event's occurrences from `fromDay` to `untilDay`.
+ * Expansion still starts at DTSTART (COUNT counts from there), but only periods
+ * from `fromDay` on count toward MAX_OCCURRENCES, so an event that started years
+ * ago still reaches the window.
+ */
+function occurrenceDays(event, fromDay, untilDay) {
+  const s = event.start;
+  const startDay = dayNumber(s.y, s.m, s.d);
+  const rule = event.rrule;
+  if (!rule) return [startDay];
+
+  const freq = rule.FREQ;
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(freq)) return [startDay];
+
+  const interval = Math.max(1, parseInt(rule.INTERVAL || '1', 10));
+  const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+  let lastDay = untilDay;
+  if (rule.UNTIL) {
+    const until = parseDateValue(rule.UNTIL, {});
+    if (until) lastDay = Math.min(lastDay, dayNumber(until.y, until.m, until.d));
+  }
+
+  const dtstart = { day: startDay, m: s.m, d: s.d };
+  let period;
+  if (freq === 'WEEKLY') period = startDay - new Date(startDay * DAY_MS).getUTCDay();
+  else if (freq === 'MONTHLY') period = { y: s.y, m: s.m };
+  else if (freq === 'YEARLY') period = s.y;
+  else period = startDay;
+
+  const days = [];
+  let produced = 0;
+  let windowPeriods = 0;
+  for (;;) {
+    const firstInPeriod = freq === 'MONTHLY' ? dayNumber(period.y, period.m, 1)
+      : freq === 'YEARLY' ? dayNumber(period, 1, 1) : period;
+    if (firstInPeriod > lastDay) break;
+    if (firstInPeriod >= fromDay && ++windowPeriods > MAX_OCCURRENCES) break;
+
+    for (const day of datesInPeriod(rule, freq, period, dtstart)) {
+      if (day < startDay || day > lastDay) continue;
+      if (day >= fromDay) days.push(day);
+      if (++produced >= count) return days;
+    }
+    period = nextPeriod(freq, period, interval);
+  }
+  return days;
+}
+
+/**
+ * Expand parsed events into busy periods within a date window.
+ *
+ * All-day events → { label, allDay: true, start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' } (end inclusive)
+ * Timed events   → { label, allDay: false, startMs, endMs }
+ *
+ * @param {Array} events - Output of parseIcs()
+ * @param {Object} window
+ * @param {number} window.fromMs - Ignore periods ending before this
+ * @param {number} window.toMs - Ignore periods starting after this
+ * @returns {Array<Object>} Busy periods
+ */
+export function expandBusyPeriods(events, { fromMs, toMs }) {
+  const busy = [];
+  const untilDay = Math.floor(toMs / DAY_MS) + 1;
+
+  for (const event of events) {
+    if (event.transparent || event.cancelled) continue;
+    const s = event.start;
+
+    if (s.allDay) {
+      const startDay = dayNumber(s.y, s.m, s.d);
+      const endDay = event.end?.allDay ? dayNumber(event.end.y, event.end.m, event.end.d)
+        : event.durationMs ? startDay + Math.round(event.durationMs / DAY_MS) : startDay + 1;
+      const length = Math.max(1, endDay - startDay); // DTEND is exclusive
+      const excluded = new Set(event.exdates.map(x => dayNumber(x.y, x.m, x.d)));
+
+      for (const day of occurrenceDays(event, Math.floor(fromMs / DAY_MS) - length, untilDay)) {
+        if (excluded.has(day)) continue;
+        const first = fromDayNumber(day);
+        const last = fromDayNumber(day + length - 1);
+        const startMs = wallTimeToMs(first);
+        if (startMs > toMs || wallTimeToMs(last) + DAY_MS < fromMs) continue;
+        busy.push({ label: event.summary, allDay: true, start: isoDate(first.y, first.m, first.d), end: isoDate(last.y, last.m, last.d) });
+      }
+      continue;
+    }
+
+    const zone = s.utc ? 'UTC' : (s.tzid || JOB_TIME_ZONE);
+    const baseStart = dateValueToMs(s, JOB_TIME_ZONE);
+    const baseEnd = event.end ? dateValueToMs(event.end, JOB_TIME_ZONE) : baseStart + (event.durationMs || 0);
+    const durationMs = Math.max(0, baseEnd - baseStart);
+    const excluded = new Set(event.exdates.map(x => (x.allDay ? null : dateValueToMs(x, s.tzid || JOB_TIME_ZONE))));
+    const excludedDays = new Set(event.exdates.filter(x => x.allDay).map(x => dayNumber(x.y, x.m, x.d)));
+
+    // Recurrences repeat the wall-clock time in the event's own timezone (stable across DST)
+    const local = zonedParts(baseStart, zone);
+    const fromDay = Math.floor((fromMs - durationMs) / DAY_MS) - 1;
+    for (const day of occurrenceDays({ ...event, start: { ...s, ...local } }, fromDay, untilDay)) {
+      if (excludedDays.has(day)) continue;
+      const { y, m, d } = fromDayNumber(day);
+      const startMs = wallTimeToMs({ y, m, d, h: local.h, mi: local.mi, s: local.s }, zone);
+      if (excluded.has(startMs)) continue;
+      const endMs = startMs + durationMs;
+      if (endMs < fromMs || startMs > toMs) continue;
+      busy.push({ label: event.summary, allDay: false, startMs, endMs });
+    }
+  }
+
+  return busy;
+}
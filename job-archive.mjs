@@ -0,0 +1,221 @@
+/**
+ * Job Archive
+ *
+ * Append-only record of every distinct job the scraper has seen — matched or
+ * not — kept in data/job-archive.jsonl for market analysis and filter tuning.
+ * notified-jobs.json only tracks notified jobs and is pruned; this file never is.
+ *
+ * One JSON record per line:
+ *   { "type": "job", "key": "...", "firstSeen": ISO, "lastSeen": ISO,
+ *     "job": { ...every scraped field, days[] },
+ *     "decision": { match, uncertain, reason, rule, schoolId, score, action, profile } }
+ *       — written the first time a job is seen; `decision` is the filter
+ *         result at that moment (score/action are null for rejected jobs)
+ *   { "type": "seen", "key": "...", "lastSeen": ISO }
+ *       — written when a known job is still listed, at most once per
+ *         SEEN_RESOLUTION_MINUTES so the file grows slowly
+ *   { "type": "gone", "key": "...", "goneAt": ISO, "lastListed": ISO }
+ *       — written when a job drops off the Available Jobs list (taken by
+ *         someone, booked by us, or cancelled); `lastListed` is the last scrape
+ *         that still showed it, so goneAt is late by at most the gap between them
+ *
+ * A job listed again after a "gone" line (someone cancelled) is open again:
+ * its goneAt is cleared until it disappears once more.
+ *
+ * Lines are never rewritten; loadJobArchive() folds them back into one entry
+ * per job.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+import { createJobHash } from './utils.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const JOB_ARCHIVE_FILE = path.join(__dirname, 'data', 'job-archive.jsonl');
+
+// How stale lastSeen may get before a "seen" line is appended
+const SEEN_RESOLUTION_MINUTES = 15;
+
+// key → { firstSeen, lastSeen } ms, loaded from the file on first use
+let seenIndex = null;
+
+/**
+ * Identify a job across scrapes: the Frontline confirmation number when the
+ * card has one, otherwise the same date/school/position hash as notified-jobs.json.
+ * @param {Object} job - Scraped job
+ * @returns {string}
+ */
+export function archiveKey(job) {
+  const jobNumber = (job.jobNumber || '').trim();
+  return jobNumber && jobNumber !== 'N/A' ? `#${jobNumber}` : createJobHash(job);
+}
+
+/**
+ * The filter decision to store with a job.
+ * @param {Object} filterResult - Output of filterJob()
+ * @param {Object|null} score - Output of scoreJob() (null for rejected jobs)
+ * @returns {Object}
+ */
+export function archiveDecision(filterResult, score = null) {
+  return {
+    match: filterResult.match,
+    uncertain: filterResult.uncertain,
+    reason: filterResult.reason,
+    rule: filterResult.rule ?? null,
+    schoolId: filterResult.schoolId ?? null,
+    score: score ? score.score : null,
+    action: score ? score.action : null,
+    profile: filterResult.profile ?? null,
+  };
+}
+
+/**
+ * Read the archive into one entry per job.
+ * @param {string} [filePath] - Defaults to JOB_ARCHIVE_FILE
+ * @returns {Promise<{ jobs: Map<string, { key: string, firstSeen: string, lastSeen: string, goneAt: string|null, fillMs: number|null, job: Object, decision: Object }>, skipped: number }>}
+ *   `fillMs` is goneAt − firstSeen: how long the job stayed open (null while it's listed)
+ *   `skipped` counts lines that weren't valid records (e.g. a write cut short by a crash)
+ */
+export async function loadJobArchive(filePath = JOB_ARCHIVE_FILE) {
+  const jobs = new Map();
+  let skipped = 0;
+
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { jobs, skipped };
+    throw error;
+  }
+
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      skipped++;
+      continue;
+    }
+
+    const existing = jobs.get(record.key);
+    if (record.type === 'job' && record.job && record.decision) {
+      // A second "job" line for the same key (e.g. written by run-once alongside
+      // the daemon) only extends lastSeen — the first sighting stays authoritative
+      if (existing) {
+        markSeen(existing, record.lastSeen);
+      } else {
+        jobs.set(record.key, {
+          key: record.key,
+          firstSeen: record.firstSeen,
+          lastSeen: record.lastSeen,
+          goneAt: null,
+          fillMs: null,
+          job: record.job,
+          decision: record.decision,
+        });
+      }
+    } else if (record.type === 'seen' && existing) {
+      markSeen(existing, record.lastSeen);
+    } else if (record.type === 'gone' && existing && typeof record.goneAt === 'string') {
+      existing.goneAt = record.goneAt;
+      existing.fillMs = Date.parse(record.goneAt) - Date.parse(existing.firstSeen);
+    } else {
+      skipped++;
+    }
+  }
+
+  return { jobs, skipped };
+}
+
+/**
+ * Extend an entry's lastSeen; a sighting after goneAt means the job was listed again.
+ */
+function markSeen(entry, lastSeen) {
+  if (lastSeen > entry.lastSeen) entry.lastSeen = lastSeen;
+  if (entry.goneAt && lastSeen > entry.goneAt) {
+    entry.goneAt = null;
+    entry.fillMs = null;
+  }
+}
+
+async function getSeenIndex() {
+  if (!seenIndex) {
+    const { jobs } = await loadJobArchive();
+    seenIndex = new Map([...jobs.values()].map(entry => [entry.key, {
+      firstSeen: Date.parse(entry.firstSeen),
+      lastSeen: Date.parse(entry.lastSeen),
+    }]));
+  }
+  return seenIndex;
+}
+
+/**
+ * Record one scrape's jobs: new jobs get a full record, known jobs a "seen" line
+ * when their lastSeen is older than SEEN_RESOLUTION_MINUTES.
+ * @param {Array<{ job: Object, decision: Object }>} entries - Every job scraped this cycle
+ * @returns {Promise<{ added: number, seen: number }>}
+ */
+export async function archiveJobs(entries) {
+  const index = await getSeenIndex();
+  const now = Date.now();
+  const iso = new Date(now).toISOString();
+  const records = [];
+  let added = 0;
+
+  for (const { job, decision } of entries) {
+    const key = archiveKey(job);
+    const known = index.get(key);
+
+    if (known === undefined) {
+      records.push({ type: 'job', key, firstSeen: iso, lastSeen: iso, job, decision });
+      index.set(key, { firstSeen: now, lastSeen: now });
+      added++;
+    } else if (now - known.lastSeen >= SEEN_RESOLUTION_MINUTES * 60 * 1000) {
+      records.push({ type: 'seen', key, lastSeen: iso });
+      known.lastSeen = now;
+    }
+  }
+
+  if (records.length > 0) {
+    await fs.appendFile(JOB_ARCHIVE_FILE, records.map(r => JSON.stringify(r)).join('\n') + '\n', 'utf-8');
+  }
+
+  return { added, seen: records.length - added };
+}
+
+/**
+ * Record jobs that dropped off the Available Jobs list.
+ * @param {Array<{ job: Object, lastListedAt: number, goneAt: number }>} gone - From updateOpenJobs()
+ *   in gone-jobs.mjs: the last scrape that listed each job, and the first that didn't (ms)
+ * @returns {Promise<Array<{ job: Object, key: string, fillMs: number|null }>>}
+ *   `fillMs` is how long the job was open (null if it was never archived)
+ */
+export async function archiveJobsGone(gone) {
+  const index = await getSeenIndex();
+  const results = [];
+  const records = [];
+
+  for (const { job, lastListedAt, goneAt } of gone) {
+    const key = archiveKey(job);
+    const known = index.get(key);
+    results.push({ job, key, fillMs: known ? goneAt - known.firstSeen : null });
+    if (!known) continue;
+
+    records.push({ type: 'gone', key, goneAt: new Date(goneAt).toISOString(), lastListed: new Date(lastListedAt).toISOString() });
+    // Force a "seen" line if it's listed again, so loadJobArchive() reopens it
+    known.lastSeen = 0;
+  }
+
+  if (records.length > 0) {
+    await fs.appendFile(JOB_ARCHIVE_FILE, records.map(r => JSON.stringify(r)).join('\n') + '\n', 'utf-8');
+  }
+
+  return results;
+}
@@ -0,0 +1,155 @@
+/**
+ * Job List Extraction
+ *
+ * Reads every job card on the Available Jobs tab in a single page.evaluate
+ * call: the whole tbody.job list is walked inside the browser and returned as
+ * plain objects, instead of one locator round-trip per field (~9 per job plus
+ * 5 per extra day). Locators are only resolved afterwards, via jobBodyLocator(),
+ * for the few jobs that get captured or booked.
+ *
+ * parseJobsHtml() runs the same field mapping over saved HTML (a saved page,
+ * or logs/job-card-dom-examples.html) with the minimal DOM from html.mjs, so
+ * parsing can be checked without logging into Frontline.
+ */
+
+import { SELECTORS } from './selectors.mjs';
+import { parseHtml, HtmlElement } from './html.mjs';
+
+/**
+ * The field mapping shared by the live scraper and the offline parser.
+ * Runs inside the page (Playwright serializes it), so it must not reference
+ * anything outside its arguments.
+ * @param {{ jobBodies: string, sel: Object }} args - Job tbody selector + SELECTORS.jobs
+ * @param {Object} [root] - Document to read (the page's own when run in the browser)
+ * @returns {Array<Object>} One job per tbody, in page order
+ */
+function readJobCards({ jobBodies, sel }, root = document) {
+  const text = (root, selector) => {
+    const el = root && root.querySelector(selector);
+    return el ? el.textContent.trim() : 'N/A';
+  };
+
+  return [...root.querySelectorAll(jobBodies)].map(body => {
+    const summaryRow = body.querySelector(sel.summary.row);
+    const detailRows = [...body.querySelectorAll(sel.detail.allRows)];
+    const firstDetailRow = detailRows[0] || null;
+    const isMultiDay = body.classList.contains('multiday');
+
+    return {
+      teacher: text(summaryRow, sel.summary.teacherName),
+      position: text(summaryRow, sel.summary.position),
+      reportTo: text(summaryRow, sel.summary.reportTo),
+      jobNumber: text(summaryRow, sel.summary.confirmationNumber),
+
+      // Primary date/time/location from first detail row
+      date: text(firstDetailRow, sel.detail.date),
+      startTime: text(firstDetailRow, sel.detail.startTime),
+      endTime: text(firstDetailRow, sel.detail.endTime),
+      duration: text(firstDetailRow, sel.detail.duration),
+      school: text(firstDetailRow, sel.detail.location),
+
+      // Teacher notes ('' when there are none) and attachment names
+      notes: body.querySelector(sel.notes.text)?.textContent.replace(/\s+/g, ' ').trim() || '',
+      attachments: [...body.querySelectorAll(sel.notes.attachments)]
+        .map(link => link.textContent.trim())
+        .filter(Boolean),
+
+      isMultiDay,
+      // Multi-day jobs list each day in its own detail row
+      days: isMultiDay
+        ? detailRows.map(row => ({
+          date: text(row, sel.detail.date),
+          startTime: text(row, sel.detail.startTime),
+          endTime: text(row, sel.detail.endTime),
+          duration: text(row, sel.detail.duration),
+          location: text(row, sel.detail.location),
+        }))
+        : [],
+    };
+  });
+}
+
+/**
+ * Extract every job currently listed on the Available Jobs tab.
+ * @param {import('playwright').Page} page
+ * @param {string} [jobBodies] - Job card selector (SELECTORS.jobs.scheduledJobBodies for the Scheduled Jobs tab)
+ * @returns {Promise<Array<{ job: Object, index: number }>>} `index` is the card's
+ *   position in the list, for jobBodyLocator()
+ */
+export async function extractJobs(page, jobBodies = SELECTORS.jobs.jobBodies) {
+  const jobs = await page.evaluate(readJobCards, { jobBodies, sel: SELECTORS.jobs });
+  return jobs.map((job, index) => ({ job, index }));
+}
+
+/**
+ * Locator for one job card, resolved only when it's needed (screenshot, DOM capture, booking).
+ * @param {import('playwright').Page} page
+ * @param {number} index - Index returned by extractJobs()
+ */
+export function jobBodyLocator(page, index) {
+  return page.locator(SELECTORS.jobs.jobBodies).nth(index);
+}
+
+/**
+ * Find a job card by its confirmation number.
+ * @returns {Promise<number>} Index for jobBodyLocator(), or -1 when it's no longer listed
+ */
+export async function findJobIndex(page, jobNumber) {
+  const jobs = await extractJobs(page);
+  const found = jobs.find(({ job }) => job.jobNumber === jobNumber);
+  return found ? found.index : -1;
+}
+
+// ============================================================================
+// OFFLINE PARSING
+// ============================================================================
+
+/**
+ * Regroup bare card rows into tbody.job elements. Cards captured before
+ * captureJobCardDOM saved the whole tbody only hold its rows, so the tbody
+ * classes are lost; a card with more than one detail row is multi-day.
+ */
+function wrapCardRows(root) {
+  const sel = SELECTORS.jobs;
+  const doc = new HtmlElement('#document');
+
+  for (const summaryRow of root.querySelectorAll(sel.summary.row)) {
+    const rows = [summaryRow];
+    const siblings = summaryRow.parent.elementChildren;
+    for (const next of siblings.slice(siblings.indexOf(summaryRow) + 1)) {
+      if (!next.matches(sel.detail.allRows)) break;
+      rows.push(next);
+    }
+
+    const isMultiDay = rows.length > 2 || rows.some(row => row.matches(sel.multiDay.additionalRows));
+    const body = doc.appendChild(new HtmlElement('tbody', { class: isMultiDay ? 'job multiday' : 'job' }));
+    for (const row of rows) body.appendChild(row);
+  }
+
+  return doc;
+}
+
+/**
+ * Parse saved Available Jobs HTML into the same { job, index } list as the live scrape.
+ * Accepts a full page, the job list table on its own, or the job-card DOM log
+ * (one or more captured cards with their headers). A "no data" page gives [].
+ * @param {string} html
+ * @returns {Array<{ job: Object, index: number }>}
+ */
+export function parseJobsHtml(html) {
+  const sel = SELECTORS.jobs;
+  let root = parseHtml(html);
+
+  // Saved pages hold the Available Jobs panel; captured cards and bare tables don't,
+  // so match on the tbody selector's last part ("tbody.job") there
+  const cardSelector = sel.jobBodies.trim().split(/\s+/).pop();
+  let jobBodies = root.querySelector(SELECTORS.navigation.availableJobsPanel) ? sel.jobBodies : cardSelector;
+
+  if (root.querySelectorAll(jobBodies).length === 0) {
+    if (root.querySelector(sel.summary.row) === null) return [];
+    root = wrapCardRows(root);
+    jobBodies = cardSelector;
+  }
+
+  return readJobCards({ jobBodies, sel }, root).map((job, index) => ({ job, index }));
+}
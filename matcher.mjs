@@ -0,0 +1,142 @@
+/**
+ * Pattern Matching for Filters
+ *
+ * Every filter list (subjects, school levels, blacklist, nearby, durations) and
+ * every rule `contains` condition goes through this matcher.
+ *
+ * A pattern is either a plain string (substring match, the original behavior)
+ * or an object saying how to match:
+ *   'history'                              — substring anywhere
+ *   { pattern: 'pe', type: 'word' }        — whole word only ("PE 9", not "special")
+ *   { pattern: 'art', type: 'prefix' }     — start of a word ("Arts", not "Department")
+ *   { pattern: 'ap\\s+cs', type: 'regex' } — case-insensitive regular expression
+ *
+ * Aliases map a canonical name to short codes that mean the same thing, e.g.
+ *   { 'physical education': ['pe', 'p.e.'] }
+ * Aliases are matched as whole words in the job text, and the canonical name
+ * is appended to the text so the normal patterns can match it.
+ */
+
+export const MATCH_TYPES = ['substring', 'word', 'prefix', 'regex'];
+
+// Word boundaries that also work for patterns containing punctuation ("jr. high", "p.e.")
+const BEFORE = '(?<![a-z0-9])';
+const AFTER = '(?![a-z0-9])';
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Normalize a pattern entry (string or object) to { pattern, type }.
+ * @param {string|Object} entry - Pattern as written in config
+ * @returns {{ pattern: string, type: string }}
+ * @throws {Error} If the entry is malformed or the regex doesn't compile
+ */
+export function normalizePattern(entry) {
+  if (typeof entry === 'string') {
+    if (entry.trim() === '') throw new Error('must be a non-empty string');
+    return { pattern: entry.trim().toLowerCase(), type: 'substring' };
+  }
+
+  if (!entry || typeof entry !== 'object' || typeof entry.pattern !== 'string' || entry.pattern.trim() === '') {
+    throw new Error('must be a string or { pattern, type } object');
+  }
+
+  const type = entry.type || 'substring';
+  if (!MATCH_TYPES.includes(type)) {
+    throw new Error(`type must be one of: ${MATCH_TYPES.join(', ')}`);
+  }
+
+  if (type === 'regex') {
+    try {
+      new RegExp(entry.pattern, 'i');
+    } catch (error) {
+      throw new Error(`invalid regex: ${error.message}`);
+    }
+    return { pattern: entry.pattern, type };
+  }
+
+  return { pattern: entry.pattern.trim().toLowerCase(), type };
+}
+
+/**
+ * Build a matcher for one normalized pattern.
+ * @param {{ pattern: string, type: string }} entry
+ * @returns {{ pattern: string, type: string, test: (lowerText: string) => boolean }}
+ */
+function compilePattern({ pattern, type }) {
+  let test;
+  switch (type) {
+    case 'word': {
+      const re = new RegExp(`${BEFORE}${escapeRegex(pattern)}${AFTER}`);
+      test = text => re.test(text);
+      break;
+    }
+    case 'prefix': {
+      const re = new RegExp(`${BEFORE}${escapeRegex(pattern)}`);
+      test = text => re.test(text);
+      break;
+    }
+    case 'regex': {
+      const re = new RegExp(pattern, 'i');
+      test = text => re.test(text);
+      break;
+    }
+    default:
+      test = text => text.includes(pattern);
+  }
+  return { pattern, type, test };
+}
+
+/**
+ * Compile a list of pattern entries (strings or objects) into matchers.
+ * @param {Array<string|Object>} entries
+ * @returns {Array} Compiled matchers for findMatch()
+ */
+export function compilePatterns(entries) {
+  return entries.map(entry => compilePattern(normalizePattern(entry)));
+}
+
+/**
+ * Return the first pattern that matches the text, or null.
+ * @param {string} lowerText - Lowercased (and alias-expanded) text
+ * @param {Array} compiled - Output of compilePatterns()
+ * @returns {{ pattern: string, type: string }|null}
+ */
+export function findMatch(lowerText, compiled) {
+  for (const matcher of compiled) {
+    if (matcher.test(lowerText)) {
+      return { pattern: matcher.pattern, type: matcher.type };
+    }
+  }
+  return null;
+}
+
+/**
+ * Compile an alias table ({ canonical: [alias, ...] }) into whole-word matchers.
+ * @param {Object} aliases
+ * @returns {Array<{ canonical: string, matchers: Array }>}
+ */
+export function compileAliases(aliases = {}) {
+  return Object.entries(aliases).map(([canonical, list]) => ({
+    canonical: canonical.trim().toLowerCase(),
+    matchers: list.map(alias => compilePattern({ pattern: alias.trim().toLowerCase(), type: 'word' })),
+  }));
+}
+
+/**
+ * Lowercase text and append the canonical name of every alias found in it.
+ * "PE 9" with { 'physical education': ['pe'] } → "pe 9 | physical education"
+ * @param {string} text - Raw job text (school, position, ...)
+ * @param {Array} compiledAliases - Output of compileAliases()
+ * @returns {string}
+ */
+export function expandAliases(text, compiledAliases) {
+  const lower = (text || '').toLowerCase();
+  const additions = compiledAliases
+    .filter(({ canonical, matchers }) => !lower.includes(canonical) && matchers.some(m => m.test(lower)))
+    .map(({ canonical }) => canonical);
+
+  return additions.length > 0 ? `${lower} | ${additions.join(' | ')}` : lower;
+}
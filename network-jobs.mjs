@@ -0,0 +1,367 @@
+/**
+ * Network Job Source (experimental, unverified)
+ *
+ * Frontline renders the Available Jobs list client-side from its own XHR/JSON
+ * responses. This module listens to those responses (page.on('response')) and
+ * builds job objects straight from the structured data — same fields as
+ * extractJobs() in job-extract.mjs — instead of reading the rendered markup.
+ *
+ * Frontline's payload format isn't documented, so parseJobsPayload() looks for
+ * an array of job-like objects anywhere in a response and maps fields by name
+ * (FIELD_ALIASES). A payload is only used when its confirmation numbers match
+ * the job cards on the page one-to-one and every job's date, school and
+ * position read the same as its card; the card order gives each job its
+ * jobBodyLocator() index. Anything else returns null so the caller falls back
+ * to DOM scraping. The daemon only tries this with JOB_SOURCE = 'network'
+ * (scraper.mjs, default 'dom'). No real Frontline response has been recorded
+ * yet: FIELD_ALIASES is a guess, and the test fixture
+ * (test/fixtures/synthetic-available-jobs.*) was written by hand to match it.
+ *
+ * Responses can be recorded with `pnpm run doctor -- --save-responses file.json`
+ * and parsed offline with `pnpm run parse-snapshot -- file.json`.
+ */
+
+import { SELECTORS } from './selectors.mjs';
+
+// Keep at most this many JSON responses per page between clearJobResponses() calls
+const MAX_RESPONSES = 20;
+
+// How deep to look for the job array inside a response ({ data: { jobs: [...] } } is depth 2)
+const MAX_PAYLOAD_DEPTH = 4;
+
+// Only arrays under a key like these may be an empty job list
+const JOB_LIST_KEY_PATTERN = /job|vacanc|assignment/i;
+
+// Field names tried for each job field, compared lowercased without punctuation.
+// Not yet confirmed against a recorded Frontline response — add the real names
+// here once `doctor --save-responses` has captured one.
+const FIELD_ALIASES = {
+  jobNumber: ['confirmationNumber', 'confNum', 'confirmationNo', 'jobNumber', 'vacancyNumber'],
+  teacher: ['employeeName', 'teacherName', 'absenteeName', 'employee', 'teacher', 'absentee'],
+  position: ['position', 'positionName', 'positionTitle', 'title', 'jobTitle'],
+  reportTo: ['reportTo', 'reportToLocation', 'reportToLocationName'],
+  notes: ['notes', 'notesToSubstitute', 'substituteNotes', 'note'],
+  attachments: ['attachments', 'files'],
+  days: ['days', 'items', 'jobDays', 'vacancyDays', 'details'],
+  date: ['date', 'itemDate', 'startDate', 'day'],
+  startTime: ['startTime', 'start'],
+  endTime: ['endTime', 'end'],
+  duration: ['duration', 'durationName', 'durationType'],
+  location: ['location', 'locationName', 'school', 'schoolName'],
+};
+
+// page → { responses: [{ url, receivedAt, body }], pending: Set<Promise> }
+const watchedPages = new WeakMap();
+
+// ============================================================================
+// FIELD MAPPING
+// ============================================================================
+
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * First value present under one of a field's aliases.
+ */
+function pick(obj, field) {
+  const keys = new Map(Object.keys(obj).map(key => [normalizeKey(key), key]));
+  for (const alias of FIELD_ALIASES[field]) {
+    const key = keys.get(normalizeKey(alias));
+    if (key !== undefined && obj[key] !== null && obj[key] !== undefined && obj[key] !== '') return obj[key];
+  }
+  return undefined;
+}
+
+/**
+ * A name as the job card shows it: "Last, First".
+ */
+function personName(value) {
+  if (value && typeof value === 'object') {
+    const first = value.firstName ?? value.FirstName;
+    const last = value.lastName ?? value.LastName;
+    if (first && last) return `${last}, ${first}`;
+    return String(value.name ?? value.Name ?? value.displayName ?? value.DisplayName ?? 'N/A').trim();
+  }
+  return value === undefined ? 'N/A' : String(value).trim();
+}
+
+/**
+ * A location object ({ name }) or string, as text.
+ */
+function placeName(value) {
+  if (value && typeof value === 'object') value = value.name ?? value.Name ?? value.displayName ?? value.DisplayName;
+  return value === undefined || value === null ? 'N/A' : String(value).trim();
+}
+
+/**
+ * Split a date/time value into the card's formats: "Wed, 2/25/2026" and "7:45 AM".
+ * ISO strings without an offset are read as written; ASP.NET "/Date(ms)/" values
+ * and ISO strings with an offset are converted to Mountain Time.
+ * @returns {{ date: string|null, time: string|null }}
+ */
+function dateTimeParts(value) {
+  if (typeof value !== 'string') return { date: null, time: null };
+
+  const aspNet = value.match(/^\/Date\((-?\d+)[+-]?\d*\)\/$/);
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/);
+
+  let y, m, d, hours, minutes;
+  if (aspNet || (iso && iso[6])) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone: 'America/Denver', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', hourCycle: 'h23',
+    }).formatToParts(new Date(aspNet ? Number(aspNet[1]) : value)).map(p => [p.type, p.value]));
+    [y, m, d, hours, minutes] = [parts.year, parts.month, parts.day, parts.hour, parts.minute].map(Number);
+  } else if (iso) {
+    [y, m, d] = [iso[1], iso[2], iso[3]].map(Number);
+    if (iso[4] !== undefined) [hours, minutes] = [Number(iso[4]), Number(iso[5])];
+  } else {
+    return { date: null, time: null };
+  }
+
+  const weekday = new Date(Date.UTC(y, m - 1, d)).toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' });
+  const time = hours === undefined ? null : `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+  return { date: `${weekday}, ${m}/${d}/${y}`, time };
+}
+
+function dateText(value) {
+  if (value === undefined) return 'N/A';
+  return dateTimeParts(value).date ?? String(value).trim();
+}
+
+function timeText(value) {
+  if (value === undefined) return 'N/A';
+  return dateTimeParts(value).time ?? String(value).trim();
+}
+
+function durationText(value) {
+  if (value && typeof value === 'object') return placeName(value);
+  return value === undefined ? 'N/A' : String(value).trim();
+}
+
+/**
+ * One day of a job: its own fields, falling back to the job's.
+ */
+function mapDay(day, job) {
+  const field = name => pick(day, name) ?? pick(job, name);
+  const start = field('startTime');
+  return {
+    date: dateText(field('date')),
+    // A date-time "date" carries the start time when there's no separate field
+    startTime: start !== undefined ? timeText(start) : dateTimeParts(field('date')).time ?? 'N/A',
+    endTime: timeText(field('endTime')),
+    duration: durationText(field('duration')),
+    location: placeName(field('location')),
+  };
+}
+
+/**
+ * Map one payload object to a job, or null when it doesn't look like a job.
+ */
+function mapJob(obj) {
+  const jobNumber = pick(obj, 'jobNumber');
+  if (jobNumber === undefined || (typeof jobNumber !== 'string' && typeof jobNumber !== 'number')) return null;
+
+  const rawDays = pick(obj, 'days');
+  const days = (Array.isArray(rawDays) && rawDays.length > 0 ? rawDays : [obj])
+    .filter(day => day && typeof day === 'object')
+    .map(day => mapDay(day, obj));
+  if (days.length === 0 || days[0].date === 'N/A') return null;
+
+  const first = days[0];
+  const isMultiDay = days.length > 1;
+  const notes = pick(obj, 'notes');
+  const attachments = pick(obj, 'attachments');
+
+  return {
+    teacher: personName(pick(obj, 'teacher')),
+    position: placeName(pick(obj, 'position')),
+    reportTo: placeName(pick(obj, 'reportTo') ?? pick(obj, 'location')),
+    jobNumber: String(jobNumber).trim(),
+
+    date: first.date,
+    startTime: first.startTime,
+    endTime: first.endTime,
+    duration: first.duration,
+    school: first.location,
+
+    notes: typeof notes === 'string' ? notes.replace(/\s+/g, ' ').trim() : '',
+    attachments: Array.isArray(attachments)
+      ? attachments.map(file => (typeof file === 'string' ? file : placeName(file.fileName ?? file.FileName ?? file)).trim())
+        .filter(name => name && name !== 'N/A')
+      : [],
+
+    isMultiDay,
+    days: isMultiDay ? days : [],
+  };
+}
+
+/**
+ * Every array of objects in a payload with the key it sits under, breadth-first
+ * (shallowest first).
+ */
+function findArrays(payload) {
+  const found = [];
+  let level = [{ key: '', value: payload }];
+  for (let depth = 0; depth <= MAX_PAYLOAD_DEPTH && level.length > 0; depth++) {
+    const next = [];
+    for (const { key, value } of level) {
+      if (!value || typeof value !== 'object') continue;
+      if (Array.isArray(value)) {
+        if (value.every(item => item && typeof item === 'object' && !Array.isArray(item))) found.push({ key, items: value });
+        continue;
+      }
+      for (const [childKey, child] of Object.entries(value)) next.push({ key: childKey, value: child });
+    }
+    level = next;
+  }
+  return found;
+}
+
+/**
+ * Build jobs from a JSON response body.
+ * @param {*} payload - Parsed JSON
+ * @returns {Array<Object>|null} Jobs (same fields as extractJobs), or null when
+ *   the payload doesn't hold a recognizable job list. A non-empty list wins over
+ *   an empty array under a job-like key ({ meta: { jobCategories: [] }, data: [...] }).
+ */
+export function parseJobsPayload(payload) {
+  let emptyJobList = false;
+  for (const { key, items } of findArrays(payload)) {
+    if (items.length === 0) {
+      emptyJobList ||= JOB_LIST_KEY_PATTERN.test(key);
+      continue;
+    }
+    const jobs = items.map(mapJob);
+    if (jobs.every(Boolean)) return jobs;
+  }
+  return emptyJobList ? [] : null;
+}
+
+/**
+ * Parse a file written by `doctor --save-responses` (or a bare response body).
+ * @param {*} recording - Parsed JSON file
+ * @returns {{ url: string|null, jobs: Array<Object> }|null} The last recognized
+ *   job list, or null when no response holds one
+ */
+export function parseRecordedResponses(recording) {
+  const responses = Array.isArray(recording?.responses) ? recording.responses : [{ url: null, body: recording }];
+  for (const { url, body } of [...responses].reverse()) {
+    const jobs = parseJobsPayload(body);
+    if (jobs) return { url, jobs };
+  }
+  return null;
+}
+
+// ============================================================================
+// LIVE CAPTURE
+// ============================================================================
+
+/**
+ * Start keeping the page's JSON XHR/fetch responses. Safe to call more than once.
+ * @param {import('playwright').Page} page
+ */
+export function watchJobResponses(page) {
+  if (watchedPages.has(page)) return;
+  const state = { responses: [], pending: new Set() };
+  watchedPages.set(page, state);
+
+  page.on('response', response => {
+    if (!['xhr', 'fetch'].includes(response.request().resourceType())) return;
+    if (!(response.headers()['content-type'] || '').includes('json')) return;
+
+    const read = response.json()
+      .then(body => {
+        state.responses.push({ url: response.url(), receivedAt: Date.now(), body });
+        while (state.responses.length > MAX_RESPONSES) state.responses.shift();
+      })
+      .catch(() => {}) // Body gone (navigation) or not valid JSON
+      .finally(() => state.pending.delete(read));
+    state.pending.add(read);
+  });
+}
+
+/**
+ * Forget responses received so far (call before reloading the job list).
+ */
+export function clearJobResponses(page) {
+  const state = watchedPages.get(page);
+  if (state) state.responses = [];
+}
+
+/**
+ * JSON responses kept since the last clearJobResponses(), oldest first.
+ * @returns {Promise<Array<{ url: string, receivedAt: number, body: * }>>}
+ */
+export async function getJobResponses(page) {
+  const state = watchedPages.get(page);
+  if (!state) return [];
+  await Promise.allSettled([...state.pending]);
+  return [...state.responses];
+}
+
+/**
+ * Why a mapped job doesn't match its card, or null when date, school and
+ * position all read the same.
+ */
+function cardMismatch(job, card) {
+  for (const field of ['date', 'school', 'position']) {
+    if (job[field] !== card[field]) return `#${job.jobNumber} ${field} "${job[field]}" ≠ card "${card[field]}"`;
+  }
+  return null;
+}
+
+/**
+ * Jobs from the newest response whose job list matches the rendered cards: the
+ * same confirmation numbers one-to-one, and the same date, school and position
+ * on every card.
+ * @param {import('playwright').Page} page - On the Available Jobs tab, list rendered
+ * @returns {Promise<{ jobs: Array<{ job: Object, index: number }>|null, url: string|null, reason: string|null }>}
+ *   `jobs` is null (with the reason) when the caller should scrape the DOM instead
+ */
+export async function readNetworkJobs(page) {
+  const responses = await getJobResponses(page);
+  const candidates = responses.reverse()
+    .map(({ url, body }) => ({ url, jobs: parseJobsPayload(body) }))
+    .filter(candidate => candidate.jobs !== null);
+  if (candidates.length === 0) {
+    return { jobs: null, url: null, reason: `no job list in ${responses.length} JSON response(s)` };
+  }
+
+  const cards = await page.evaluate(({ jobBodies, summary, detail }) => {
+    const text = (root, selector) => root?.querySelector(selector)?.textContent.trim() ?? 'N/A'; // As readJobCards reads them
+    return [...document.querySelectorAll(jobBodies)].map(body => {
+      const summaryRow = body.querySelector(summary.row);
+      const detailRow = body.querySelector(detail.row);
+      return {
+        jobNumber: text(summaryRow, summary.confirmationNumber),
+        position: text(summaryRow, summary.position),
+        date: text(detailRow, detail.date),
+        school: text(detailRow, detail.location),
+      };
+    });
+  }, { jobBodies: SELECTORS.jobs.jobBodies, summary: SELECTORS.jobs.summary, detail: SELECTORS.jobs.detail });
+  const cardNumbers = cards.map(card => card.jobNumber);
+
+  let mismatch = null;
+  for (const { url, jobs } of candidates) {
+    if (jobs.length !== cardNumbers.length) continue;
+    const indexes = jobs.map(job => cardNumbers.indexOf(job.jobNumber));
+    if (indexes.some(index => index === -1) || new Set(indexes).size !== indexes.length) continue;
+
+    // Right jobs, but the field mapping may still be off (FIELD_ALIASES is unconfirmed)
+    const fieldMismatch = jobs.map((job, i) => cardMismatch(job, cards[indexes[i]])).find(Boolean);
+    if (fieldMismatch) {
+      mismatch ??= { url, reason: `job list in ${url} doesn't read like the cards: ${fieldMismatch}` };
+      continue;
+    }
+    return { jobs: jobs.map((job, i) => ({ job, index: indexes[i] })).sort((a, b) => a.index - b.index), url, reason: null };
+  }
+
+  if (mismatch) return { jobs: null, ...mismatch };
+  return {
+    jobs: null,
+    url: candidates[0].url,
+    reason: `job list in ${candidates[0].url} (${candidates[0].jobs.length} job(s)) doesn't match the ${cardNumbers.length} card(s) on the page`,
+  };
+}
@@ -13,6 +13,8 @@
 
 import dotenv from 'dotenv';
 
+import { formatDuration } from './utils.mjs';
+
 dotenv.config();
 
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
@@ -58,6 +60,87 @@ export async function sendTelegramMessage(text) {
   }
 }
 
+/**
+ * Format the school name with its distance from home
+ * (job.distanceMiles is set by the scraper from filterJob's result).
+ */
+function formatSchool(job) {
+  return job.distanceMiles != null ? `${job.school} (${job.distanceMiles} mi)` : job.school;
+}
+
+/**
+ * Format the teacher line, flagging favorite/avoided teachers
+ * (job.teacherPreference is set by the scraper from filterJob's result).
+ */
+function formatTeacher(job) {
+  if (job.teacherPreference === 'favorite') return `${job.teacher} ⭐ <i>favorite teacher</i>`;
+  if (job.teacherPreference === 'avoided') return `${job.teacher} 🚫 <i>avoided teacher</i>`;
+  return job.teacher;
+}
+
+/**
+ * Format the score line (job.score is set by the scraper from scoreJob).
+ * @returns {string} e.g. "🎯 <b>Score:</b> 95 (certain match +60, ...)\n", or '' if unscored
+ */
+function formatScoreLine(job) {
+  return job.score ? `🎯 <b>Score:</b> ${job.score.summary}\n` : '';
+}
+
+/**
+ * Format the booking cap line (job.bookingCap is set by the scraper when
+ * booking the job would exceed a workload cap).
+ * @returns {string} e.g. "🧮 <b>Booking cap:</b> weekly cap: ...\n", or '' if no cap applied
+ */
+function formatCapLine(job) {
+  return job.bookingCap ? `🧮 <b>Booking cap:</b> ${job.bookingCap}\n` : '';
+}
+
+/**
+ * Format the schedule conflict line (job.conflict is set by the scraper when
+ * the job overlaps one already booked).
+ * @returns {string} e.g. "⛔ <b>Schedule conflict:</b> already booked ...\n", or '' if none
+ */
+function formatConflictLine(job) {
+  return job.conflict ? `⛔ <b>Schedule conflict:</b> ${job.conflict}\n` : '';
+}
+
+/**
+ * Format the filter reason line with the active filter profile
+ * (job.filterReason / job.filterProfile are set by the scraper from filterJob's result).
+ * @returns {string} e.g. "🔎 <b>Why:</b> All criteria met: ... <i>(profile: summer)</i>\n", or '' if unset
+ */
+function formatReasonLine(job) {
+  if (!job.filterReason) return '';
+  const profile = job.filterProfile ? ` <i>(profile: ${job.filterProfile})</i>` : '';
+  return `🔎 <b>Why:</b> ${job.filterReason}${profile}\n`;
+}
+
+// Long notes are cut so the message stays readable (Telegram's limit is 4096 characters)
+const NOTES_MAX_LENGTH = 300;
+
+/**
+ * Escape free text (teacher notes) for Telegram's HTML parse mode.
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Format the teacher notes line (job.notes / job.attachments are read from the
+ * job card by job-extract.mjs).
+ * @returns {string} e.g. "📝 <b>Notes:</b> Lunch duty 5th period (📎 2 attachments)\n", or '' if none
+ */
+function formatNotesLine(job) {
+  const notes = job.notes || '';
+  const attachments = job.attachments?.length || 0;
+  if (!notes && attachments === 0) return '';
+
+  const text = notes.length > NOTES_MAX_LENGTH ? `${notes.slice(0, NOTES_MAX_LENGTH - 1)}…` : notes;
+  const files = attachments > 0 ? `📎 ${attachments} attachment${attachments === 1 ? '' : 's'}` : '';
+  const body = text && files ? `${escapeHtml(text)} (${files})` : escapeHtml(text) || files;
+  return `📝 <b>Notes:</b> ${body}\n`;
+}
+
 /**
  * Format a job notification message with emojis and structure
  * @param {Object} job - The job object
@@ -76,9 +159,10 @@ export function formatJobNotification(job, uncertain = false) {
     // Multi-day job format
     message += '🏫 <b>New Multi-Day Sub Job Available!</b>\n\n';
     message += `📚 <b>Subject:</b> ${job.position}\n`;
-    message += `🏫 <b>School:</b> ${job.school}\n`;
-    message += `👤 <b>Teacher:</b> ${job.teacher}\n`;
-    message += `🔢 <b>Job #:</b> ${job.jobNumber}\n\n`;
+    message += `🏫 <b>School:</b> ${formatSchool(job)}\n`;
+    message += `👤 <b>Teacher:</b> ${formatTeacher(job)}\n`;
+    message += `🔢 <b>Job #:</b> ${job.jobNumber}\n`;
+    message += `${formatNotesLine(job)}${formatScoreLine(job)}${formatReasonLine(job)}${formatCapLine(job)}${formatConflictLine(job)}\n`;
     message += `📅 <b>Days (${job.days.length}):</b>\n`;
     for (const day of job.days) {
       message += `  • ${day.date} — ${day.startTime}-${day.endTime} (${day.duration})\n`;
@@ -88,12 +172,13 @@ export function formatJobNotification(job, uncertain = false) {
     // Single-day job format
     message += '🏫 <b>New Sub Job Available!</b>\n\n';
     message += `📅 <b>Date:</b> ${job.date}\n`;
-    message += `🏫 <b>School:</b> ${job.school}\n`;
+    message += `🏫 <b>School:</b> ${formatSchool(job)}\n`;
     message += `📚 <b>Subject:</b> ${job.position}\n`;
-    message += `👤 <b>Teacher:</b> ${job.teacher}\n`;
+    message += `👤 <b>Teacher:</b> ${formatTeacher(job)}\n`;
     message += `⏰ <b>Time:</b> ${job.startTime} - ${job.endTime}\n`;
     message += `⏱️ <b>Duration:</b> ${job.duration}\n`;
-    message += `🔢 <b>Job #:</b> ${job.jobNumber}\n\n`;
+    message += `🔢 <b>Job #:</b> ${job.jobNumber}\n`;
+    message += `${formatNotesLine(job)}${formatScoreLine(job)}${formatReasonLine(job)}${formatCapLine(job)}${formatConflictLine(job)}\n`;
   }
 
   message += `👉 <b><a href="${process.env.FRONTLINE_LOGIN_URL}">Click here to log in and book!</a></b>`;
@@ -131,6 +216,53 @@ Please check the logs for more details.
   return await sendTelegramMessage(message);
 }
 
+/**
+ * Alert that Frontline's markup no longer matches selectors.mjs (or that it does again).
+ * Kept apart from sendErrorAlert: the scraper doesn't fail, it just stops seeing jobs.
+ * @param {string[]} problems - From detectSelectorDrift(); empty = recovered
+ * @param {Object} [options]
+ * @param {string} [options.snapshot] - Saved page HTML to check with `pnpm run doctor`
+ * @returns {Promise<Object>} The API response
+ */
+export async function sendSelectorDriftAlert(problems, { snapshot = null } = {}) {
+  if (problems.length === 0) {
+    return await sendTelegramMessage('✅ <b>Selectors OK again</b>\n\nThe job list matches selectors.mjs again.');
+  }
+
+  const message = `
+🧩 <b>Selector Drift</b>
+
+Frontline's page no longer matches selectors.mjs — jobs may be going unseen:
+
+${problems.map(p => `• <code>${p}</code>`).join('\n')}
+
+Run <code>pnpm run doctor${snapshot ? ` -- --snapshot ${snapshot}` : ''}</code> to see which selectors still match.
+  `.trim();
+
+  return await sendTelegramMessage(message);
+}
+
+const BOOKING_SYNC_LABELS = {
+  booked: '✅ <b>Booked in Frontline</b>',
+  cancelled: '❌ <b>Cancelled</b>',
+  removed: '↩️ <b>Removed from your schedule</b> (job is open again)',
+};
+
+/**
+ * Report differences between Frontline's Scheduled Jobs and local booking state.
+ * @param {Array<{ change: string, job: Object, from: string|null }>} changes - From reconcileBookings()
+ * @returns {Promise<Object>} The API response
+ */
+export async function sendBookingSyncAlert(changes) {
+  const lines = changes.map(({ change, job, from }) => {
+    const was = change === 'booked' ? (from ? ` — was ${from}` : ' — not booked by the scraper') : '';
+    return `${BOOKING_SYNC_LABELS[change]}${was}\n  ${job.position} at ${job.school}, ${job.date} (Job #${job.jobNumber})`;
+  });
+
+  const message = `🔄 <b>Schedule Sync</b>\n\nFrontline's Scheduled Jobs differ from what the scraper recorded:\n\n${lines.join('\n\n')}`;
+  return await sendTelegramMessage(message);
+}
+
 /**
  * Send a summary notification (useful for testing or daily summaries)
  * @param {number} totalJobs - Total jobs found
@@ -167,7 +299,7 @@ ${notifiedJobs > 0 ? '👆 Check messages above for details!' : '💤 No new job
 function formatJobDetails(job) {
   let details = '';
   details += `📚 <b>Subject:</b> ${job.position}\n`;
-  details += `🏫 <b>School:</b> ${job.school}\n`;
+  details += `🏫 <b>School:</b> ${formatSchool(job)}\n`;
 
   if (job.isMultiDay && job.days.length > 0) {
     details += `📅 <b>Days (${job.days.length}):</b>\n`;
@@ -180,8 +312,11 @@ function formatJobDetails(job) {
     details += `⏱️ <b>Duration:</b> ${job.duration}\n`;
   }
 
-  details += `👤 <b>Teacher:</b> ${job.teacher}\n`;
+  details += `👤 <b>Teacher:</b> ${formatTeacher(job)}\n`;
   details += `🔢 <b>Job #:</b> ${job.jobNumber}`;
+  if (job.notes || job.attachments?.length) details += `\n${formatNotesLine(job).trimEnd()}`;
+  if (job.score) details += `\n🎯 <b>Score:</b> ${job.score.summary}`;
+  if (job.filterReason) details += `\n${formatReasonLine(job).trimEnd()}`;
   return details;
 }
 
@@ -240,9 +375,11 @@ export async function sendAutoBookNotification(job, daysAhead) {
  * @param {Object} job - The job object
  * @param {boolean} uncertain - Whether this is an uncertain match
  * @param {string} jobHash - Unique hash for this job (used in callback_data)
+ * @param {Object} [options]
+ * @param {number|null} [options.replyToMessageId] - Send as a reply to this message
  * @returns {Promise<number|null>} The message_id from Telegram (for later editing), or null on failure
  */
-export async function sendJobNotificationWithKeyboard(job, uncertain, jobHash) {
+export async function sendJobNotificationWithKeyboard(job, uncertain, jobHash, { replyToMessageId = null } = {}) {
   if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) {
     throw new Error('Telegram credentials not configured in .env file');
   }
@@ -262,6 +399,10 @@ export async function sendJobNotificationWithKeyboard(job, uncertain, jobHash) {
       ]],
     },
   };
+  if (replyToMessageId) {
+    // Quote the related message (e.g. the conflicting booking); still send if it was deleted
+    payload.reply_parameters = { message_id: replyToMessageId, allow_sending_without_reply: true };
+  }
 
   try {
     const response = await fetch(url, {
@@ -356,14 +497,18 @@ export async function answerCallback(callbackQueryId, text) {
  *   'error'   — Something went wrong during booking (shows manual link)
  *   'ignored' — User tapped Ignore
  *   'expired' — Book/Ignore buttons expired (5 min)
+ *   'gone'    — Job left the Available Jobs list before anyone tapped a button
+ *   'declined' — Auto-booking stopped at the Notes dialog (a note keyword matched)
  *
  * @param {number} messageId - The message_id to edit
  * @param {Object} job - The job object
  * @param {boolean} uncertain - Whether this was an uncertain match
- * @param {string} status - One of: 'booked', 'taken', 'error', 'ignored', 'expired'
+ * @param {string} status - One of: 'booked', 'taken', 'error', 'ignored', 'expired', 'gone', 'declined'
  * @param {object} [options] - Optional settings
  * @param {boolean} [options.autoBooked] - Whether this was an auto-booked job
  * @param {number} [options.daysAhead] - Days ahead (for auto-book context)
+ * @param {number|null} [options.fillMs] - How long the job was listed (for 'gone')
+ * @param {string} [options.noteKeyword] - The keyword the Notes dialog matched (for 'declined')
  * @returns {Promise<void>}
  */
 export async function updateMessageAfterAction(messageId, job, uncertain, status, options = {}) {
@@ -411,6 +556,17 @@ export async function updateMessageAfterAction(messageId, job, uncertain, status
       ].join('\n');
       break;
 
+    case 'declined':
+      text = [
+        `🛑 <b>NOT BOOKED — NOTES</b>`,
+        ``,
+        details,
+        ``,
+        `The Notes dialog mentions "${escapeHtml(options.noteKeyword || '')}", so the auto-booking was stopped at "Do not accept".`,
+        `Still want it? <a href="${loginUrl}">Log in to Frontline</a>`,
+      ].join('\n');
+      break;
+
     case 'ignored':
       text = [
         `❌ <b>IGNORED</b>`,
@@ -419,6 +575,16 @@ export async function updateMessageAfterAction(messageId, job, uncertain, status
       ].join('\n');
       break;
 
+    case 'gone':
+      text = [
+        `🚫 <b>NO LONGER AVAILABLE</b>`,
+        ``,
+        details,
+        ``,
+        `This job left the Available Jobs list${options.fillMs != null ? ` after ${formatDuration(options.fillMs)}` : ''} — someone else took it, or it was cancelled.`,
+      ].join('\n');
+      break;
+
     case 'expired':
       text = [
         `⏰ <b>EXPIRED</b> (no response)`,
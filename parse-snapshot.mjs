@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * Offline Snapshot Parser CLI
+ *
+ * Parses saved Available Jobs HTML with the same field mapping as the live
+ * scraper and runs each job through the active filters — a way to check
+ * selector or filter changes without logging into Frontline. A .json file is
+ * read as recorded network responses (`pnpm run doctor -- --save-responses`)
+ * with the network job source's mapping instead.
+ *
+ * Usage:
+ *   pnpm run parse-snapshot -- page.html                            # saved Available Jobs page
+ *   pnpm run parse-snapshot -- logs/job-card-dom-examples.html      # captured job cards
+ *   pnpm run parse-snapshot -- jobs.json                            # recorded JSON responses
+ *   pnpm run parse-snapshot -- page.html --raw                      # jobs + verdicts as JSON
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+
+import { filterJob } from './filters.mjs';
+import { reloadFilterConfigIfChanged } from './filter-config.mjs';
+import { refreshCalendarBlackouts } from './calendar-blackouts.mjs';
+import { refreshSchoolDirectory } from './school-directory.mjs';
+import { parseJobsHtml } from './job-extract.mjs';
+import { parseRecordedResponses } from './network-jobs.mjs';
+
+dotenv.config({ quiet: true }); // Keep --raw output pure JSON
+
+const USAGE = 'Usage: pnpm run parse-snapshot -- <file.html|file.json> [--raw]';
+
+function verdictOf(result) {
+  if (!result.match) return '✗ REJECTED';
+  return result.uncertain ? '⚠️  UNCERTAIN' : '✓ MATCH';
+}
+
+/**
+ * Jobs from saved HTML, or from recorded JSON responses for a .json file.
+ * @returns {{ jobs: Array<{ job: Object, index: number }>, source: string }}
+ * @throws {Error} When a .json file isn't JSON or holds no recognizable job list
+ */
+function parseSnapshotFile(filePath, text) {
+  if (!filePath.toLowerCase().endsWith('.json')) {
+    return { jobs: parseJobsHtml(text), source: filePath };
+  }
+
+  const recognized = parseRecordedResponses(JSON.parse(text));
+  if (!recognized) {
+    throw new Error('no job list recognized in the recorded responses (see FIELD_ALIASES in network-jobs.mjs)');
+  }
+  return {
+    jobs: recognized.jobs.map((job, index) => ({ job, index })),
+    source: recognized.url ? `${filePath} (${recognized.url})` : filePath,
+  };
+}
+
+async function main() {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      allowPositionals: true,
+      options: {
+        raw: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 1) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  let parsed;
+  try {
+    parsed = parseSnapshotFile(positionals[0], await fs.readFile(positionals[0], 'utf-8'));
+  } catch (error) {
+    console.error(`❌ Could not read ${positionals[0]}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const configResult = await reloadFilterConfigIfChanged({ force: true });
+  if (configResult.status === 'invalid') {
+    console.error(`❌ ${configResult.error}`);
+    process.exit(1);
+  }
+
+  const calendar = await refreshCalendarBlackouts({ force: true });
+  for (const calendarError of calendar.errors) {
+    console.error(`⚠️  Calendar file error: ${calendarError}`);
+  }
+
+  const directory = await refreshSchoolDirectory({ force: true });
+  if (directory.status === 'invalid') {
+    console.error(`⚠️  ${directory.error}`);
+  }
+
+  const jobs = parsed.jobs.map(({ job, index }) => ({ index, job, result: filterJob(job) }));
+
+  if (values.raw) {
+    console.log(JSON.stringify(jobs, null, 2));
+    return;
+  }
+
+  console.log(`\n${jobs.length} job(s) in ${parsed.source}`);
+  for (const { index, job, result } of jobs) {
+    console.log(`\n#${index} ${job.position} at ${job.school} — ${job.date} ${job.startTime}-${job.endTime} (${job.duration})`);
+    console.log(`   Teacher: ${job.teacher} | Report to: ${job.reportTo} | Job #${job.jobNumber}`);
+    if (job.notes || job.attachments.length > 0) {
+      console.log(`   Notes: ${job.notes || '—'}${job.attachments.length > 0 ? ` | Attachments: ${job.attachments.join(', ')}` : ''}`);
+    }
+    for (const day of job.days) {
+      console.log(`   • ${day.date} ${day.startTime}-${day.endTime} (${day.duration}) at ${day.location}`);
+    }
+    console.log(`   ${verdictOf(result)}: ${result.reason}`);
+  }
+  console.log('');
+}
+
+main();
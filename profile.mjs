@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Filter Profile CLI
+ *
+ * Shows the filter profiles from filters.config.json and which one is active,
+ * or overrides the date-based choice. The daemon picks the change up before
+ * its next cycle (no restart needed).
+ *
+ * Usage:
+ *   pnpm run profile                 # list profiles and the active one
+ *   pnpm run profile -- summer       # use "summer" until cleared
+ *   pnpm run profile -- default      # use the top-level settings until cleared
+ *   pnpm run profile -- --auto       # back to switching by date
+ */
+
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+
+import {
+  readFilterConfig,
+  selectProfile,
+  readProfileOverride,
+  writeProfileOverride,
+  profileDate,
+  DEFAULT_PROFILE,
+} from './filter-config.mjs';
+
+dotenv.config({ quiet: true });
+
+const USAGE = 'Usage: pnpm run profile -- [<name> | --auto]';
+
+function printProfiles(criteria, override) {
+  const profiles = criteria.profiles || {};
+  const today = profileDate();
+  const active = selectProfile(criteria, { date: today, override });
+
+  if (active.warning) console.log(`⚠️  ${active.warning}`);
+
+  console.log(`\nProfiles (today is ${today}):`);
+  const marker = name => (name === active.name ? '●' : '○');
+  console.log(`  ${marker(DEFAULT_PROFILE)} ${DEFAULT_PROFILE.padEnd(20)} top-level settings`);
+  for (const [name, profile] of Object.entries(profiles)) {
+    const dates = profile.dates.map(range => `${range.from} → ${range.to}`).join(', ') || 'manual only';
+    const keys = Object.keys(profile.criteria).join(', ') || 'no overrides';
+    console.log(`  ${marker(name)} ${name.padEnd(20)} ${dates}  [${keys}]`);
+  }
+
+  const why = { override: 'manual override', dates: 'date range', default: 'no date range matches today' }[active.source];
+  console.log(`\nActive: ${active.name} (${why})\n`);
+}
+
+async function main() {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({
+      allowPositionals: true,
+      options: {
+        auto: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (values.help || positionals.length > 1 || (values.auto && positionals.length > 0)) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+
+  let config;
+  try {
+    config = await readFilterConfig();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const criteria = config.criteria;
+  if (Object.keys(criteria.profiles || {}).length === 0) {
+    console.error('❌ No "profiles" in the filter config — see the README section on filter profiles');
+    process.exit(1);
+  }
+
+  if (values.auto) {
+    await writeProfileOverride(null);
+    console.log('✓ Manual override cleared — switching by date');
+  } else if (positionals.length === 1) {
+    const name = positionals[0];
+    if (name !== DEFAULT_PROFILE && !criteria.profiles[name]) {
+      console.error(`❌ Unknown profile "${name}" (${[DEFAULT_PROFILE, ...Object.keys(criteria.profiles)].join(', ')})`);
+      process.exit(1);
+    }
+    await writeProfileOverride(name);
+    console.log(`✓ Profile "${name}" selected until \`pnpm run profile -- --auto\``);
+  }
+
+  printProfiles(criteria, await readProfileOverride());
+}
+
+main();
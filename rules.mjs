@@ -0,0 +1,417 @@
+/**
+ * Filter Rule Engine
+ *
+ * Evaluates an ordered list of declarative rules against the facts computed
+ * for a job (see filterJob in filters.mjs). Rules are checked top to bottom;
+ * the first rule whose conditions all hold decides the outcome.
+ *
+ * Rule format (JSON-friendly so rules can live in filters.config.json):
+ *   {
+ *     name: 'blacklisted-full-day',
+ *     when: {
+ *       blackout: false,
+ *       timeWindow: { outside, action: 'reject' | 'uncertain' },
+ *       multiDay: { violated, action: 'reject' | 'uncertain' },
+ *       school:   { id: ['orem-hs', ...], blacklisted, levelAccepted, nearby, contains: [...] },
+ *       subject:  { result: 'accept' | ['accept', 'uncertain'], contains: [...] },
+ *       duration: { fullDay, contains: [...] },
+ *       date:     { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', weekdays: ['mon', ...] },
+ *       teacher:  { favorite, avoided, avoidedAction: 'reject' | 'uncertain', contains: [...] },
+ *       notes:    { hasNotes, action: 'reject' | 'uncertain', contains: [...] },
+ *       time:     { startsAtOrAfter: '7:30', startsBefore, endsAtOrBefore: '15:15', endsAfter },
+ *     },
+ *     outcome: 'match' | 'uncertain' | 'reject',
+ *     reason: 'Blacklisted school (uncertain): {school} - {position}',
+ *   }
+ *
+ * Every condition is optional; a rule with an empty `when` always applies.
+ * `contains` lists accept the same pattern entries as the filter lists
+ * (plain substring, or { pattern, type: 'word' | 'prefix' | 'regex' }) and are
+ * matched against alias-expanded job text. `school.id` matches the job's
+ * school registry ID; locations the registry can't map never match it.
+ * Reason placeholders: {school} {position} {duration} {date} {teacher}
+ * {jobNumber} {startTime} {endTime} {blackoutLabel} {blackoutDate}
+ * {timeWindowLabel} {timeWindowDate} {timeWindowDetail} {multiDayPolicy} {multiDayDetail}
+ * {noteKeyword} (the notes keyword behind notes.action)
+ * {distance} (" (4.2 mi)" when the school's distance is known, otherwise empty)
+ */
+
+import { normalizePattern, compilePatterns, findMatch } from './matcher.mjs';
+
+export const RULE_OUTCOMES = ['match', 'uncertain', 'reject'];
+
+const SUBJECT_RESULTS = ['accept', 'reject', 'uncertain'];
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_KEYS = ['startsAtOrAfter', 'startsBefore', 'endsAtOrBefore', 'endsAfter'];
+const CHECK_ACTIONS = ['reject', 'uncertain'];
+
+/**
+ * Parse a time-of-day string into minutes after midnight.
+ * Accepts Frontline's "7:45 AM" format and 24-hour "15:15".
+ * @param {string} timeStr - The time string
+ * @returns {number|null} Minutes after midnight, or null if unparseable
+ */
+export function parseTimeOfDay(timeStr) {
+  if (typeof timeStr !== 'string') return null;
+  const m = timeStr.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i);
+  if (!m) return null;
+
+  let hours = parseInt(m[1], 10);
+  const minutes = m[2] ? parseInt(m[2], 10) : 0;
+  const meridiem = m[3]?.[0].toLowerCase();
+
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (hours === 12) hours = 0;
+    if (meridiem === 'p') hours += 12;
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+function isIsoDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !isNaN(new Date(value + 'T00:00:00').getTime());
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function containsAny(lowerText, compiled) {
+  return findMatch(lowerText, compiled) !== null;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function validateBoolean(where, value, errors) {
+  if (typeof value !== 'boolean') errors.push(`${where} must be true or false`);
+}
+
+function validatePatterns(where, value, errors) {
+  if (!Array.isArray(value)) {
+    errors.push(`${where} must be an array of patterns`);
+    return;
+  }
+  value.forEach((entry, i) => {
+    try {
+      normalizePattern(entry);
+    } catch (error) {
+      errors.push(`${where}[${i}] ${error.message}`);
+    }
+  });
+}
+
+function validateGroup(where, group, allowedKeys, errors) {
+  if (!group || typeof group !== 'object' || Array.isArray(group)) {
+    errors.push(`${where} must be an object`);
+    return false;
+  }
+  for (const key of Object.keys(group)) {
+    if (!allowedKeys.includes(key)) errors.push(`${where}.${key} is not a known condition`);
+  }
+  return true;
+}
+
+function validateWhen(where, when, errors) {
+  if (!validateGroup(where, when, ['blackout', 'timeWindow', 'multiDay', 'school', 'subject', 'duration', 'date', 'teacher', 'notes', 'time'], errors)) {
+    return;
+  }
+
+  if ('blackout' in when) validateBoolean(`${where}.blackout`, when.blackout, errors);
+
+  if (when.timeWindow !== undefined && validateGroup(`${where}.timeWindow`, when.timeWindow, ['outside', 'action'], errors)) {
+    if ('outside' in when.timeWindow) validateBoolean(`${where}.timeWindow.outside`, when.timeWindow.outside, errors);
+    if ('action' in when.timeWindow && !CHECK_ACTIONS.includes(when.timeWindow.action)) {
+      errors.push(`${where}.timeWindow.action must be one of: ${CHECK_ACTIONS.join(', ')}`);
+    }
+  }
+
+  if (when.multiDay !== undefined && validateGroup(`${where}.multiDay`, when.multiDay, ['violated', 'action'], errors)) {
+    if ('violated' in when.multiDay) validateBoolean(`${where}.multiDay.violated`, when.multiDay.violated, errors);
+    if ('action' in when.multiDay && !CHECK_ACTIONS.includes(when.multiDay.action)) {
+      errors.push(`${where}.multiDay.action must be one of: ${CHECK_ACTIONS.join(', ')}`);
+    }
+  }
+
+  if (when.school !== undefined && validateGroup(`${where}.school`, when.school, ['id', 'blacklisted', 'levelAccepted', 'nearby', 'contains'], errors)) {
+    if ('id' in when.school) {
+      const ids = toList(when.school.id);
+      if (ids.length === 0 || ids.some(id => typeof id !== 'string' || id.trim() === '')) {
+        errors.push(`${where}.school.id must be a school registry ID or an array of them`);
+      }
+    }
+    for (const key of ['blacklisted', 'levelAccepted', 'nearby']) {
+      if (key in when.school) validateBoolean(`${where}.school.${key}`, when.school[key], errors);
+    }
+    if ('contains' in when.school) validatePatterns(`${where}.school.contains`, when.school.contains, errors);
+  }
+
+  if (when.subject !== undefined && validateGroup(`${where}.subject`, when.subject, ['result', 'contains'], errors)) {
+    if ('result' in when.subject) {
+      const results = toList(when.subject.result);
+      if (results.length === 0 || results.some(r => !SUBJECT_RESULTS.includes(String(r).toLowerCase()))) {
+        errors.push(`${where}.subject.result must be one or more of: ${SUBJECT_RESULTS.join(', ')}`);
+      }
+    }
+    if ('contains' in when.subject) validatePatterns(`${where}.subject.contains`, when.subject.contains, errors);
+  }
+
+  if (when.duration !== undefined && validateGroup(`${where}.duration`, when.duration, ['fullDay', 'contains'], errors)) {
+    if ('fullDay' in when.duration) validateBoolean(`${where}.duration.fullDay`, when.duration.fullDay, errors);
+    if ('contains' in when.duration) validatePatterns(`${where}.duration.contains`, when.duration.contains, errors);
+  }
+
+  if (when.date !== undefined && validateGroup(`${where}.date`, when.date, ['from', 'to', 'weekdays'], errors)) {
+    for (const key of ['from', 'to']) {
+      if (key in when.date && !isIsoDate(when.date[key])) errors.push(`${where}.date.${key} must be a YYYY-MM-DD date`);
+    }
+    if ('weekdays' in when.date) {
+      const days = when.date.weekdays;
+      if (!Array.isArray(days) || days.some(d => !WEEKDAYS.includes(String(d).slice(0, 3).toLowerCase()))) {
+        errors.push(`${where}.date.weekdays must be an array of day names (mon, tue, ...)`);
+      }
+    }
+  }
+
+  if (when.teacher !== undefined && validateGroup(`${where}.teacher`, when.teacher, ['favorite', 'avoided', 'avoidedAction', 'contains'], errors)) {
+    for (const key of ['favorite', 'avoided']) {
+      if (key in when.teacher) validateBoolean(`${where}.teacher.${key}`, when.teacher[key], errors);
+    }
+    if ('avoidedAction' in when.teacher && !CHECK_ACTIONS.includes(when.teacher.avoidedAction)) {
+      errors.push(`${where}.teacher.avoidedAction must be one of: ${CHECK_ACTIONS.join(', ')}`);
+    }
+    if ('contains' in when.teacher) validatePatterns(`${where}.teacher.contains`, when.teacher.contains, errors);
+  }
+
+  if (when.notes !== undefined && validateGroup(`${where}.notes`, when.notes, ['hasNotes', 'action', 'contains'], errors)) {
+    if ('hasNotes' in when.notes) validateBoolean(`${where}.notes.hasNotes`, when.notes.hasNotes, errors);
+    if ('action' in when.notes && !CHECK_ACTIONS.includes(when.notes.action)) {
+      errors.push(`${where}.notes.action must be one of: ${CHECK_ACTIONS.join(', ')}`);
+    }
+    if ('contains' in when.notes) validatePatterns(`${where}.notes.contains`, when.notes.contains, errors);
+  }
+
+  if (when.time !== undefined && validateGroup(`${where}.time`, when.time, TIME_KEYS, errors)) {
+    for (const key of TIME_KEYS) {
+      if (key in when.time && parseTimeOfDay(when.time[key]) === null) {
+        errors.push(`${where}.time.${key} must be a time like "7:30" or "3:15 PM"`);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a rule list, compile `contains` patterns and normalize enums to lowercase.
+ * @param {Array} rules - Rules as written in config
+ * @returns {Array} Normalized rules
+ * @throws {Error} Listing every problem found
+ */
+export function validateRules(rules) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new Error('"rules" must be a non-empty array');
+  }
+
+  const errors = [];
+  rules.forEach((rule, i) => {
+    const where = `"rules[${i}]"`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (!RULE_OUTCOMES.includes(rule.outcome)) {
+      errors.push(`${where}.outcome must be one of: ${RULE_OUTCOMES.join(', ')}`);
+    }
+    if (typeof rule.reason !== 'string' || rule.reason.trim() === '') {
+      errors.push(`${where}.reason must be a non-empty string`);
+    }
+    if (rule.name !== undefined && typeof rule.name !== 'string') {
+      errors.push(`${where}.name must be a string`);
+    }
+    if (rule.when !== undefined) validateWhen(`${where}.when`, rule.when, errors);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n  - '));
+  }
+
+  return rules.map((rule, i) => normalizeRule(rule, i));
+}
+
+function normalizeRule(rule, index) {
+  const when = structuredClone(rule.when || {});
+
+  for (const group of ['school', 'subject', 'duration', 'teacher', 'notes']) {
+    if (when[group]?.contains) when[group].contains = compilePatterns(when[group].contains);
+  }
+  if (when.school && 'id' in when.school) {
+    when.school.id = toList(when.school.id).map(id => id.trim());
+  }
+  if (when.subject?.result) {
+    when.subject.result = toList(when.subject.result).map(r => r.toLowerCase());
+  }
+  if (when.date?.weekdays) {
+    when.date.weekdays = when.date.weekdays.map(d => d.slice(0, 3).toLowerCase());
+  }
+
+  return {
+    name: rule.name || `rule-${index + 1}`,
+    when,
+    outcome: rule.outcome,
+    reason: rule.reason,
+  };
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Find the first condition in a rule's `when` block that does not hold.
+ * @param {Object} when - Normalized conditions
+ * @param {Object} facts - Facts computed by filterJob
+ * @returns {string|null} Condition path (e.g. 'school.blacklisted'), or null if all hold
+ */
+function firstFailedCondition(when, facts) {
+  const { job } = facts;
+
+  if ('blackout' in when && when.blackout !== facts.blackout.blacked) return 'blackout';
+
+  if (when.timeWindow) {
+    if ('outside' in when.timeWindow && when.timeWindow.outside !== facts.timeWindow.outside) return 'timeWindow.outside';
+    if (when.timeWindow.action && when.timeWindow.action !== facts.timeWindow.action) return 'timeWindow.action';
+  }
+
+  if (when.multiDay) {
+    if ('violated' in when.multiDay && when.multiDay.violated !== facts.multiDay.violated) return 'multiDay.violated';
+    if (when.multiDay.action && when.multiDay.action !== facts.multiDay.action) return 'multiDay.action';
+  }
+
+  if (when.school) {
+    const s = when.school;
+    if (s.id && !s.id.includes(facts.schoolId)) return 'school.id';
+    if ('blacklisted' in s && s.blacklisted !== facts.schoolBlacklisted) return 'school.blacklisted';
+    if ('levelAccepted' in s && s.levelAccepted !== facts.schoolLevelAccepted) return 'school.levelAccepted';
+    if ('nearby' in s && s.nearby !== facts.schoolNearby) return 'school.nearby';
+    if (s.contains && !containsAny(facts.text.school, s.contains)) return 'school.contains';
+  }
+
+  if (when.subject) {
+    if (when.subject.result && !when.subject.result.includes(facts.subjectResult.toLowerCase())) return 'subject.result';
+    if (when.subject.contains && !containsAny(facts.text.position, when.subject.contains)) return 'subject.contains';
+  }
+
+  if (when.duration) {
+    if ('fullDay' in when.duration && when.duration.fullDay !== facts.fullDay) return 'duration.fullDay';
+    if (when.duration.contains && !containsAny(facts.text.duration, when.duration.contains)) return 'duration.contains';
+  }
+
+  if (when.date) {
+    const d = facts.date;
+    if (!d) return 'date';
+    const iso = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    if (when.date.from && iso < when.date.from) return 'date.from';
+    if (when.date.to && iso > when.date.to) return 'date.to';
+    if (when.date.weekdays && !when.date.weekdays.includes(WEEKDAYS[d.getDay()])) return 'date.weekdays';
+  }
+
+  if (when.teacher) {
+    const t = when.teacher;
+    if ('favorite' in t && t.favorite !== facts.teacherPreference.favorite) return 'teacher.favorite';
+    if ('avoided' in t && t.avoided !== facts.teacherPreference.avoided) return 'teacher.avoided';
+    if (t.avoidedAction && t.avoidedAction !== facts.teacherPreference.avoidedAction) return 'teacher.avoidedAction';
+    if (t.contains && !containsAny(facts.text.teacher, t.contains)) return 'teacher.contains';
+  }
+
+  if (when.notes) {
+    const n = when.notes;
+    if ('hasNotes' in n && n.hasNotes !== facts.notes.hasNotes) return 'notes.hasNotes';
+    if (n.action && n.action !== facts.notes.action) return 'notes.action';
+    if (n.contains && !containsAny(facts.text.notes, n.contains)) return 'notes.contains';
+  }
+
+  if (when.time) {
+    const start = parseTimeOfDay(job.startTime);
+    const end = parseTimeOfDay(job.endTime);
+    const t = when.time;
+    if (t.startsAtOrAfter && (start === null || start < parseTimeOfDay(t.startsAtOrAfter))) return 'time.startsAtOrAfter';
+    if (t.startsBefore && (start === null || start >= parseTimeOfDay(t.startsBefore))) return 'time.startsBefore';
+    if (t.endsAtOrBefore && (end === null || end > parseTimeOfDay(t.endsAtOrBefore))) return 'time.endsAtOrBefore';
+    if (t.endsAfter && (end === null || end <= parseTimeOfDay(t.endsAfter))) return 'time.endsAfter';
+  }
+
+  return null;
+}
+
+/**
+ * Fill {placeholders} in a rule reason from the job and facts.
+ */
+function formatReason(template, facts) {
+  const values = {
+    ...facts.job,
+    blackoutLabel: facts.blackout.label,
+    blackoutDate: facts.blackout.date,
+    timeWindowLabel: facts.timeWindow.label,
+    timeWindowDate: facts.timeWindow.date,
+    timeWindowDetail: facts.timeWindow.detail,
+    multiDayPolicy: facts.multiDay.policy,
+    multiDayDetail: facts.multiDay.detail,
+    noteKeyword: facts.notes.keyword,
+    distance: facts.schoolDistanceMiles === null ? '' : ` (${facts.schoolDistanceMiles} mi)`,
+  };
+  return template.replace(/\{(\w+)\}/g, (whole, key) => (
+    typeof values[key] === 'string' ? values[key] : whole
+  ));
+}
+
+function ruleResult(rule, facts) {
+  return {
+    match: rule.outcome !== 'reject',
+    reason: formatReason(rule.reason, facts),
+    uncertain: rule.outcome === 'uncertain',
+    rule: rule.name,
+  };
+}
+
+const NO_RULE_RESULT = { match: false, reason: 'No filter rule matched', uncertain: false, rule: null };
+
+/**
+ * Evaluate rules in order and return the first matching rule's outcome.
+ * @param {Array} rules - Normalized rules (see validateRules)
+ * @param {Object} facts - Facts computed by filterJob
+ * @returns {Object} { match: boolean, reason: string, uncertain: boolean, rule: string|null }
+ */
+export function evaluateRules(rules, facts) {
+  for (const rule of rules) {
+    if (firstFailedCondition(rule.when, facts) === null) {
+      return ruleResult(rule, facts);
+    }
+  }
+
+  return { ...NO_RULE_RESULT };
+}
+
+/**
+ * Like evaluateRules, but also records every rule checked on the way.
+ * @param {Array} rules - Normalized rules (see validateRules)
+ * @param {Object} facts - Facts computed by filterJob
+ * @returns {{ result: Object, steps: Array<{ rule: string, outcome: string, held: boolean, failed: string|null }> }}
+ */
+export function traceRules(rules, facts) {
+  const steps = [];
+
+  for (const rule of rules) {
+    const failed = firstFailedCondition(rule.when, facts);
+    steps.push({ rule: rule.name, outcome: rule.outcome, held: failed === null, failed });
+    if (failed === null) {
+      return { result: ruleResult(rule, facts), steps };
+    }
+  }
+
+  return { result: { ...NO_RULE_RESULT }, steps };
+}
@@ -19,7 +19,15 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
 import { SELECTORS } from './selectors.mjs';
-import { filterJob } from './filters.mjs';
+import { filterJob, scoreJob } from './filters.mjs';
+import { formatScore } from './scoring.mjs';
+import { reloadFilterConfigIfChanged } from './filter-config.mjs';
+import { refreshCalendarBlackouts } from './calendar-blackouts.mjs';
+import { refreshSchoolDirectory, recordUnmappedSchools } from './school-directory.mjs';
+import { archiveJobs, archiveDecision } from './job-archive.mjs';
+import { extractJobs, jobBodyLocator } from './job-extract.mjs';
+import { watchJobResponses, readNetworkJobs } from './network-jobs.mjs';
+import { probeJobList, detectSelectorDrift } from './selector-health.mjs';
 import { sendJobNotification, sendErrorAlert, sendSummaryNotification } from './notify.mjs';
 import {
   createJobHash,
@@ -37,6 +45,7 @@ const NOTIFIED_JOBS_FILE = path.join(__dirname, 'data', 'notified-jobs.json');
 const JOB_CARD_DOM_LOG = path.join(__dirname, 'logs', 'job-card-dom-examples.html');
 const GLOBAL_TIMEOUT = 120000; // 2 minutes
 const DEBUG_FILE_RETENTION_DAYS = 3; // Keep debug screenshots for 3 days
+const JOB_SOURCE = 'dom'; // 'network' (experimental, unverified) tries Frontline's JSON first — see JOB_SOURCE in scraper.mjs
 
 // Global timeout to prevent hanging
 const globalTimeout = setTimeout(() => {
@@ -88,7 +97,7 @@ function cleanOldNotifications(notifiedJobs, maxAgeDays = 7) {
 
 async function captureJobCardDOM(jobBody, job, index) {
   try {
-    const jobCardHTML = await jobBody.innerHTML();
+    const jobCardHTML = await jobBody.evaluate(el => el.outerHTML); // Whole tbody, so parseJobsHtml() sees its classes
     const timestamp = new Date().toISOString();
     const separator = '\n\n' + '='.repeat(80) + '\n';
 
@@ -224,73 +233,21 @@ async function scrapeJobs(page) {
     return [];
   }
 
-  const jobBodies = await page.locator(SELECTORS.jobs.jobBodies).all();
-  log(`Found ${jobBodies.length} job elements`);
-
-  const jobs = [];
-
-  for (let i = 0; i < jobBodies.length; i++) {
-    const jobBody = jobBodies[i];
-
-    try {
-      const summaryRow = jobBody.locator(SELECTORS.jobs.summary.row);
-      const firstDetailRow = jobBody.locator(SELECTORS.jobs.detail.row).first();
-
-      // Check if this is a multi-day job (tbody has class "multiday")
-      const classAttr = await jobBody.getAttribute('class') || '';
-      const isMultiDay = classAttr.includes('multiday');
-
-      const job = {
-        teacher: await summaryRow.locator(SELECTORS.jobs.summary.teacherName).textContent().catch(() => 'N/A'),
-        position: await summaryRow.locator(SELECTORS.jobs.summary.position).textContent().catch(() => 'N/A'),
-        reportTo: await summaryRow.locator(SELECTORS.jobs.summary.reportTo).textContent().catch(() => 'N/A'),
-        jobNumber: await summaryRow.locator(SELECTORS.jobs.summary.confirmationNumber).textContent().catch(() => 'N/A'),
-
-        // Primary date/time/location from first detail row
-        date: await firstDetailRow.locator(SELECTORS.jobs.detail.date).textContent().catch(() => 'N/A'),
-        startTime: await firstDetailRow.locator(SELECTORS.jobs.detail.startTime).textContent().catch(() => 'N/A'),
-        endTime: await firstDetailRow.locator(SELECTORS.jobs.detail.endTime).textContent().catch(() => 'N/A'),
-        duration: await firstDetailRow.locator(SELECTORS.jobs.detail.duration).textContent().catch(() => 'N/A'),
-        school: await firstDetailRow.locator(SELECTORS.jobs.detail.location).textContent().catch(() => 'N/A'),
-
-        isMultiDay,
-        days: [],
-      };
-
-      // For multi-day jobs, scrape all detail rows to get each day's info
-      if (isMultiDay) {
-        const allDetailRows = await jobBody.locator(SELECTORS.jobs.detail.allRows).all();
-        for (const row of allDetailRows) {
-          const day = {
-            date: await row.locator(SELECTORS.jobs.detail.date).textContent().catch(() => 'N/A'),
-            startTime: await row.locator(SELECTORS.jobs.detail.startTime).textContent().catch(() => 'N/A'),
-            endTime: await row.locator(SELECTORS.jobs.detail.endTime).textContent().catch(() => 'N/A'),
-            duration: await row.locator(SELECTORS.jobs.detail.duration).textContent().catch(() => 'N/A'),
-            location: await row.locator(SELECTORS.jobs.detail.location).textContent().catch(() => 'N/A'),
-          };
-          Object.keys(day).forEach(key => {
-            if (typeof day[key] === 'string') day[key] = day[key].trim();
-          });
-          job.days.push(day);
-        }
-        log(`  Multi-day job detected: ${job.days.length} days`);
-      }
-
-      // Clean up whitespace on main fields
-      Object.keys(job).forEach(key => {
-        if (typeof job[key] === 'string') {
-          job[key] = job[key].trim();
-        }
-      });
-
-      jobs.push({ job, jobBody, index: i });
+  const scrapeStart = Date.now();
+  // Frontline's own JSON when a response matches the cards (see network-jobs.mjs), else the cards
+  let networkJobs = null;
+  if (JOB_SOURCE === 'network') {
+    const network = await readNetworkJobs(page).catch(error => ({ jobs: null, reason: error.message.split('\n')[0] }));
+    log(network.jobs ? `Reading jobs from ${network.url}` : `Reading jobs from the page (${network.reason})`);
+    networkJobs = network.jobs;
+  }
+  const jobs = networkJobs ?? await extractJobs(page);
 
-    } catch (error) {
-      log(`Error scraping job at index ${i}: ${error.message}`);
-    }
+  for (const { job } of jobs) {
+    if (job.isMultiDay) log(`  Multi-day job detected: ${job.days.length} days`);
   }
 
-  log(`Successfully scraped ${jobs.length} jobs`);
+  log(`Successfully scraped ${jobs.length} jobs in ${Date.now() - scrapeStart}ms`);
   return jobs;
 }
 
@@ -303,6 +260,22 @@ async function main() {
 
     await ensureDirectories();
 
+    const configResult = await reloadFilterConfigIfChanged({ force: true });
+    if (configResult.status === 'invalid') {
+      throw new Error(configResult.error);
+    }
+    log(configResult.status === 'reloaded'
+      ? `Filter config loaded from ${configResult.path}`
+      : 'No filter config file. Using built-in defaults from filters.mjs');
+
+    const calendar = await refreshCalendarBlackouts({ force: true });
+    if (calendar.status === 'reloaded') log(`Calendar blackouts loaded: ${calendar.count} busy period(s)`);
+    for (const calendarError of calendar.errors) log(`Calendar file error: ${calendarError}`);
+
+    const directory = await refreshSchoolDirectory({ force: true });
+    if (directory.status === 'reloaded') log(`School directory loaded: ${directory.count} school(s)`);
+    if (directory.status === 'invalid') log(directory.error);
+
     let notifiedJobs = await loadNotifiedJobs();
     log(`Loaded ${Object.keys(notifiedJobs).length} previously notified jobs`);
 
@@ -323,11 +296,17 @@ async function main() {
     });
 
     const page = await context.newPage();
+    if (JOB_SOURCE === 'network') watchJobResponses(page);
 
     await login(page);
     await navigateToAvailableJobs(page);
     const jobsData = await scrapeJobs(page);
 
+    const selectorDrift = detectSelectorDrift(await probeJobList(page), jobsData);
+    for (const problem of selectorDrift) {
+      log(`⚠️  Selector drift: ${problem} — run \`pnpm run doctor\``);
+    }
+
     // Take screenshot of available jobs page with job count in filename
     const timestamp = Date.now();
     const jobCount = jobsData.length;
@@ -337,25 +316,55 @@ async function main() {
     log(`Available Jobs screenshot saved: ${jobCount} jobs found`);
 
     const matchedJobs = [];
-    for (const { job, jobBody, index } of jobsData) {
+    const archiveEntries = [];
+    const unmappedJobs = [];
+    for (const { job, index } of jobsData) {
       const filterResult = filterJob(job);
+      if (filterResult.schoolId === null) unmappedJobs.push(job);
 
       if (filterResult.match) {
-        matchedJobs.push({ job, jobBody, index, filterResult });
-        log(`✓ Matched: ${job.position} at ${job.school} - ${filterResult.reason}`);
+        const score = scoreJob(job, filterResult);
+        archiveEntries.push({ job: { ...job }, decision: archiveDecision(filterResult, score) });
+        if (score.action === 'drop') {
+          log(`✗ Dropped (score ${formatScore(score)}): ${job.position} at ${job.school}`);
+          continue;
+        }
+
+        if (filterResult.teacherPreference) job.teacherPreference = filterResult.teacherPreference;
+        if (filterResult.distanceMiles !== null) job.distanceMiles = filterResult.distanceMiles;
+        job.score = { value: score.score, action: score.action, summary: formatScore(score) };
+        job.filterReason = filterResult.reason;
+        if (filterResult.profile) job.filterProfile = filterResult.profile;
+        matchedJobs.push({ job, index, filterResult });
+        log(`✓ Matched: ${job.position} at ${job.school} - ${filterResult.reason} (score ${job.score.summary} → ${score.action})`);
 
+        const jobBody = jobBodyLocator(page, index);
         await captureJobCardDOM(jobBody, job, index);
         await captureJobCardScreenshot(jobBody, job, index);
 
       } else {
+        archiveEntries.push({ job: { ...job }, decision: archiveDecision(filterResult) });
         log(`✗ Rejected: ${job.position} at ${job.school} - ${filterResult.reason}`);
       }
     }
 
+    try {
+      const archived = await archiveJobs(archiveEntries);
+      log(`Job archive: ${archived.added} new, ${archived.seen} seen again`);
+    } catch (error) {
+      log(`Failed to update job archive: ${error.message}`);
+    }
+
+    try {
+      for (const message of await recordUnmappedSchools(unmappedJobs)) log(message);
+    } catch (error) {
+      log(`Failed to update unmapped locations: ${error.message}`);
+    }
+
     log(`Found ${matchedJobs.length} matching jobs out of ${jobsData.length} total`);
 
     let newJobsNotified = 0;
-    for (const { job, jobBody, filterResult } of matchedJobs) {
+    for (const { job, filterResult } of matchedJobs) {
       const jobHash = createJobHash(job);
 
       if (!notifiedJobs[jobHash]) {
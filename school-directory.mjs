@@ -0,0 +1,282 @@
+/**
+ * School Directory
+ *
+ * Loads the school registry (schoolDirectoryFile, default
+ * school-directory.json). It maps the location / reportTo strings Frontline
+ * shows to one canonical school ID and level; blacklist, nearby and level
+ * checks use the ID, and lat/lon (optional) enable distance-based "nearby":
+ *
+ *   {
+ *     "schools": [
+ *       { "id": "timpanogos-hs", "name": "Timpanogos High School", "aliases": ["Timpanogos HS"],
+ *         "lat": 40.3208, "lon": -111.6778, "level": "hs", "city": "Orem" }
+ *     ]
+ *   }
+ *
+ * The file is re-read when it changes on disk or the configured path changes.
+ * An invalid file is rejected with a descriptive error and the last good
+ * directory stays active.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+import { getFilterCriteria, setSchoolDirectory, normalizeSchoolName, resolveJobSchool, SCHOOL_LEVELS } from './filters.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Locations the registry couldn't map, shared by the daemon and `pnpm run scrape`
+// (the dashboard's "Unmapped Locations")
+export const UNMAPPED_SCHOOLS_FILE = path.join(__dirname, 'data', 'unmapped-schools.json');
+
+let loadedPath = null;
+let loadedMtimeMs = null;
+
+/**
+ * Resolve the configured directory path ("~/" = home dir, relative = project root).
+ */
+export function resolveSchoolDirectoryPath(file) {
+  if (file === '~' || file.startsWith('~/')) return path.join(os.homedir(), file.slice(1));
+  return path.resolve(__dirname, file);
+}
+
+function isCoordinate(value, limit) {
+  return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+}
+
+/**
+ * Validate a parsed school directory.
+ * @param {Object} raw - Parsed JSON
+ * @returns {Array<Object>} School entries
+ * @throws {Error} Listing every problem found
+ */
+export function validateSchoolDirectory(raw) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.schools)) {
+    throw new Error('School directory must be an object with a "schools" array');
+  }
+
+  const errors = [];
+  const seen = new Map();
+  const seenIds = new Set();
+  const schools = [];
+
+  raw.schools.forEach((item, i) => {
+    const where = `"schools[${i}]"`;
+    if (!item || typeof item !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    const errorCount = errors.length;
+
+    if (typeof item.id !== 'string' || !/^[a-z0-9-]+$/.test(item.id)) {
+      errors.push(`${where}.id must be a lowercase ID (letters, digits and dashes)`);
+    } else if (seenIds.has(item.id)) {
+      errors.push(`${where}.id "${item.id}" is already used`);
+    }
+    if (typeof item.name !== 'string' || item.name.trim() === '') {
+      errors.push(`${where}.name must be a non-empty string`);
+    }
+    if (item.aliases !== undefined &&
+        (!Array.isArray(item.aliases) || item.aliases.some(a => typeof a !== 'string' || a.trim() === ''))) {
+      errors.push(`${where}.aliases must be an array of names`);
+    }
+    if ((item.lat === undefined) !== (item.lon === undefined)) {
+      errors.push(`${where} needs both lat and lon, or neither`);
+    } else if (item.lat !== undefined) {
+      if (!isCoordinate(item.lat, 90)) errors.push(`${where}.lat must be a latitude (-90 to 90)`);
+      if (!isCoordinate(item.lon, 180)) errors.push(`${where}.lon must be a longitude (-180 to 180)`);
+    }
+    if (item.level !== undefined && !SCHOOL_LEVELS.includes(item.level)) {
+      errors.push(`${where}.level must be one of ${SCHOOL_LEVELS.join(', ')}`);
+    }
+    if (item.city !== undefined && typeof item.city !== 'string') errors.push(`${where}.city must be a string`);
+    if (errors.length > errorCount) return;
+    seenIds.add(item.id);
+
+    // Two entries claiming the same name would make lookups depend on file order
+    for (const name of [item.name, ...(item.aliases || [])]) {
+      const key = normalizeSchoolName(name);
+      if (seen.has(key)) errors.push(`${where} name "${name}" is already used by "${seen.get(key)}"`);
+      else seen.set(key, item.name);
+    }
+
+    schools.push({
+      id: item.id,
+      name: item.name.trim(),
+      aliases: (item.aliases || []).map(a => a.trim()),
+      lat: item.lat ?? null,
+      lon: item.lon ?? null,
+      level: item.level || null,
+      city: item.city || null,
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n  - '));
+  }
+
+  return schools;
+}
+
+/**
+ * Re-read the school directory if the file or the configured path changed.
+ *
+ * Status values:
+ *   'unchanged' — Nothing re-read
+ *   'reloaded'  — Directory replaced (see `count`)
+ *   'none'      — File doesn't exist (registry emptied; every location falls back to the name patterns)
+ *   'invalid'   — File rejected; previous directory kept (see `error`)
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Re-read even if unchanged
+ * @returns {Promise<{ status: string, path: string, count?: number, error?: string }>}
+ */
+export async function refreshSchoolDirectory({ force = false } = {}) {
+  const filePath = resolveSchoolDirectoryPath(getFilterCriteria().schoolDirectoryFile);
+
+  let mtimeMs = null;
+  try {
+    mtimeMs = (await fs.stat(filePath)).mtimeMs;
+  } catch {
+    // Missing file handled below
+  }
+
+  if (!force && filePath === loadedPath && mtimeMs === loadedMtimeMs) {
+    return { status: 'unchanged', path: filePath };
+  }
+  loadedPath = filePath;
+  loadedMtimeMs = mtimeMs;
+
+  if (mtimeMs === null) {
+    setSchoolDirectory([]);
+    return { status: 'none', path: filePath };
+  }
+
+  try {
+    const raw = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    const schools = validateSchoolDirectory(raw);
+    setSchoolDirectory(schools);
+    return { status: 'reloaded', path: filePath, count: schools.length };
+  } catch (error) {
+    return { status: 'invalid', path: filePath, error: `School directory ${path.basename(filePath)}: ${error.message}` };
+  }
+}
+
+// ============================================================================
+// UNMAPPED LOCATIONS
+// ============================================================================
+
+// Job numbers remembered per unmapped location, so a job listed for many cycles counts once
+const MAX_UNMAPPED_JOB_NUMBERS = 100;
+
+/**
+ * Remember a location the registry couldn't map (UNMAPPED_SCHOOLS_FILE, shown
+ * on the dashboard until school-directory.json covers it). `count` is the
+ * number of distinct jobs seen there, not scrapes. Mutates `unmappedSchools`.
+ * @param {Object} unmappedSchools - location → { count, jobNumbers, reportTo, firstSeen, lastSeen }
+ * @param {Object} job - A job whose filterJob() schoolId was null
+ * @param {string} [now] - ISO timestamp
+ * @returns {boolean} true the first time the location is seen (worth logging)
+ */
+export function recordUnmappedSchool(unmappedSchools, job, now = new Date().toISOString()) {
+  const name = (job.school || '').trim();
+  if (!name || name === 'N/A') return false;
+
+  const jobNumber = String(job.jobNumber || '').trim();
+  let entry = unmappedSchools[name];
+  const isNew = !entry;
+  if (isNew) {
+    const reportTo = (job.reportTo || '').trim();
+    entry = unmappedSchools[name] = {
+      count: 0,
+      jobNumbers: [],
+      reportTo: reportTo && reportTo !== 'N/A' && reportTo !== name ? reportTo : null,
+      firstSeen: now,
+      lastSeen: now,
+    };
+  } else if (!Array.isArray(entry.jobNumbers)) {
+    // Written before counts were per job: its count was per scrape
+    entry.jobNumbers = [];
+    entry.count = 0;
+  }
+
+  entry.lastSeen = now;
+  if (jobNumber && jobNumber !== 'N/A' && !entry.jobNumbers.includes(jobNumber)) {
+    entry.jobNumbers.push(jobNumber);
+    while (entry.jobNumbers.length > MAX_UNMAPPED_JOB_NUMBERS) entry.jobNumbers.shift();
+    entry.count++;
+  }
+  return isNew;
+}
+
+/**
+ * Log line for a location seen unmapped for the first time.
+ */
+export function unmappedSchoolMessage(name, { reportTo }) {
+  return `Unmapped school location: "${name}"${reportTo ? ` (report to "${reportTo}")` : ''} — add it to the school directory`;
+}
+
+/**
+ * Read the unmapped locations file.
+ * @returns {Promise<Object>} location → entry (see recordUnmappedSchool); {} when missing or unreadable
+ */
+export async function loadUnmappedSchools(file = UNMAPPED_SCHOOLS_FILE) {
+  try {
+    const data = JSON.parse(await fs.readFile(file, 'utf-8'));
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Apply `update` to the file's current contents and write them back: read right
+ * before writing and replaced with a rename, so the daemon and `pnpm run scrape`
+ * only ever add to each other's entries.
+ */
+async function updateUnmappedSchools(file, update) {
+  const unmappedSchools = await loadUnmappedSchools(file);
+  const result = update(unmappedSchools);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmpFile, JSON.stringify(unmappedSchools, null, 2), 'utf-8');
+  await fs.rename(tmpFile, file);
+  return result;
+}
+
+/**
+ * Record a scrape's jobs at unmapped locations in the unmapped locations file.
+ * @param {Array<Object>} jobs - Jobs whose filterJob() schoolId was null
+ * @param {Object} [options]
+ * @param {string} [options.file]
+ * @param {string} [options.now] - ISO timestamp
+ * @returns {Promise<string[]>} unmappedSchoolMessage() for each location seen for the first time
+ */
+export async function recordUnmappedSchools(jobs, { file = UNMAPPED_SCHOOLS_FILE, now = new Date().toISOString() } = {}) {
+  if (jobs.length === 0) return [];
+  return updateUnmappedSchools(file, unmappedSchools => jobs
+    .filter(job => recordUnmappedSchool(unmappedSchools, job, now))
+    .map(job => unmappedSchoolMessage(job.school.trim(), unmappedSchools[job.school.trim()])));
+}
+
+/**
+ * Forget unmapped locations the (reloaded) school registry now maps.
+ * @returns {Promise<number>} How many were removed
+ */
+export async function pruneUnmappedSchools(file = UNMAPPED_SCHOOLS_FILE) {
+  if (Object.keys(await loadUnmappedSchools(file)).length === 0) return 0;
+  return updateUnmappedSchools(file, unmappedSchools => {
+    let removed = 0;
+    for (const [name, entry] of Object.entries(unmappedSchools)) {
+      if (resolveJobSchool({ school: name, reportTo: entry.reportTo })) {
+        delete unmappedSchools[name];
+        removed++;
+      }
+    }
+    return removed;
+  });
+}
@@ -0,0 +1,202 @@
+/**
+ * Job Scoring
+ *
+ * Gives every job that passed the filter rules a weighted score, then turns the
+ * score into an action using thresholds:
+ *   score >= thresholds.autoBook → book immediately
+ *   score >= thresholds.ask      → send Book/Ignore buttons
+ *   otherwise                    → drop (logged, no notification)
+ *
+ * Rejected jobs are never scored — the rules still decide what is acceptable
+ * at all; the score decides how much to trust the match.
+ *
+ * Scoring format (JSON-friendly so it can live in filters.config.json):
+ *   {
+ *     points: { certainMatch: 60, uncertainMatch: 30, subjectAccepted: 5, ... },
+ *     minDaysAhead: 3,                       // days ahead needed for the daysAhead points
+ *     thresholds: { autoBook: 90, ask: 20 },
+ *   }
+ * Points can be negative. A factor worth 0 points is left out of the breakdown.
+ * distancePerMile is per mile from home to the school (rounded to whole points),
+ * so a negative value favors closer schools; it needs "home" and the school's
+ * coordinates, and is skipped without them.
+ */
+
+export const SCORE_ACTIONS = ['auto-book', 'ask', 'drop'];
+
+/**
+ * Scoring factors and how they appear in the breakdown.
+ */
+export const SCORE_FACTORS = {
+  certainMatch: 'certain match',
+  uncertainMatch: 'uncertain match',
+  subjectAccepted: 'accepted subject',
+  subjectUncertain: 'unlisted subject',
+  schoolNearby: 'nearby school',
+  schoolBlacklisted: 'blacklisted school',
+  fullDay: 'full day',
+  partialDay: 'partial day',
+  daysAhead: 'days ahead',
+  favoriteTeacher: 'favorite teacher',
+  avoidedTeacher: 'avoided teacher',
+  distancePerMile: 'mi away',
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate a scoring config and fill in anything missing from the defaults.
+ * @param {Object} raw - Scoring config as written
+ * @param {Object} defaults - Built-in scoring (DEFAULT_SCORING in filters.mjs)
+ * @returns {Object} Complete scoring config
+ * @throws {Error} Listing every problem found
+ */
+export function validateScoring(raw, defaults) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('"scoring" must be an object');
+  }
+
+  const errors = [];
+  const scoring = {
+    points: { ...defaults.points },
+    minDaysAhead: defaults.minDaysAhead,
+    thresholds: { ...defaults.thresholds },
+  };
+
+  for (const key of Object.keys(raw)) {
+    if (!['points', 'minDaysAhead', 'thresholds'].includes(key)) {
+      errors.push(`"scoring.${key}" is not a known setting`);
+    }
+  }
+
+  if (raw.points !== undefined) {
+    if (!raw.points || typeof raw.points !== 'object' || Array.isArray(raw.points)) {
+      errors.push('"scoring.points" must be an object of { factor: points }');
+    } else {
+      for (const [factor, points] of Object.entries(raw.points)) {
+        if (!(factor in SCORE_FACTORS)) {
+          errors.push(`"scoring.points.${factor}" is not a known factor (${Object.keys(SCORE_FACTORS).join(', ')})`);
+        } else if (typeof points !== 'number' || !Number.isFinite(points)) {
+          errors.push(`"scoring.points.${factor}" must be a number`);
+        } else {
+          scoring.points[factor] = points;
+        }
+      }
+    }
+  }
+
+  if (raw.minDaysAhead !== undefined) {
+    if (!Number.isInteger(raw.minDaysAhead) || raw.minDaysAhead < 0) {
+      errors.push('"scoring.minDaysAhead" must be a whole number of days (0 or more)');
+    } else {
+      scoring.minDaysAhead = raw.minDaysAhead;
+    }
+  }
+
+  if (raw.thresholds !== undefined) {
+    if (!raw.thresholds || typeof raw.thresholds !== 'object' || Array.isArray(raw.thresholds)) {
+      errors.push('"scoring.thresholds" must be an object of { autoBook, ask }');
+    } else {
+      for (const [key, value] of Object.entries(raw.thresholds)) {
+        if (!['autoBook', 'ask'].includes(key)) {
+          errors.push(`"scoring.thresholds.${key}" is not a known threshold (autoBook, ask)`);
+        } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+          errors.push(`"scoring.thresholds.${key}" must be a number`);
+        } else {
+          scoring.thresholds[key] = value;
+        }
+      }
+    }
+  }
+
+  if (errors.length === 0 && scoring.thresholds.autoBook < scoring.thresholds.ask) {
+    errors.push(`"scoring.thresholds.autoBook" (${scoring.thresholds.autoBook}) is below ask (${scoring.thresholds.ask})`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n  - '));
+  }
+
+  return scoring;
+}
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * Map a score to an action using the thresholds.
+ * @param {number} score
+ * @param {{ autoBook: number, ask: number }} thresholds
+ * @returns {string} 'auto-book' | 'ask' | 'drop'
+ */
+export function scoreAction(score, thresholds) {
+  if (score >= thresholds.autoBook) return 'auto-book';
+  if (score >= thresholds.ask) return 'ask';
+  return 'drop';
+}
+
+/**
+ * Score a matched job from its filter facts.
+ *
+ * @param {Object} facts - Facts computed by filters.mjs (subjectResult, schoolNearby, schoolDistanceMiles, ...)
+ * @param {Object} context
+ * @param {boolean} context.uncertain - filterJob's uncertain flag
+ * @param {number} context.daysAhead - Days until the job (-1 = unknown)
+ * @param {boolean} [context.favoriteSkipsMinDaysAhead] - Favorites get the daysAhead points regardless
+ * @param {Object} scoring - Validated scoring config
+ * @returns {{ score: number, action: string, contributions: Array<{ factor: string, label: string, points: number }> }}
+ *   `contributions` is sorted biggest effect first
+ */
+export function computeScore(facts, { uncertain, daysAhead, favoriteSkipsMinDaysAhead = false }, scoring) {
+  const { points, minDaysAhead } = scoring;
+  const { favorite, avoided } = facts.teacherPreference;
+  const applies = {
+    certainMatch: !uncertain,
+    uncertainMatch: uncertain,
+    subjectAccepted: facts.subjectResult === 'ACCEPT',
+    subjectUncertain: facts.subjectResult === 'UNCERTAIN',
+    schoolNearby: facts.schoolNearby,
+    schoolBlacklisted: facts.schoolBlacklisted,
+    fullDay: facts.fullDay,
+    partialDay: !facts.fullDay,
+    daysAhead: daysAhead >= (favorite && favoriteSkipsMinDaysAhead ? 0 : minDaysAhead),
+    favoriteTeacher: favorite,
+    avoidedTeacher: avoided,
+    distancePerMile: facts.schoolDistanceMiles != null,
+  };
+
+  const contributions = [];
+  for (const [factor, label] of Object.entries(SCORE_FACTORS)) {
+    if (!applies[factor] || !points[factor]) continue;
+    if (factor === 'distancePerMile') {
+      const distancePoints = Math.round(points[factor] * facts.schoolDistanceMiles);
+      if (distancePoints) contributions.push({ factor, label: `${facts.schoolDistanceMiles} ${label}`, points: distancePoints });
+      continue;
+    }
+    contributions.push({
+      factor,
+      label: factor === 'daysAhead' ? `${daysAhead} ${label}` : label,
+      points: points[factor],
+    });
+  }
+  contributions.sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+
+  const score = contributions.reduce((sum, c) => sum + c.points, 0);
+  return { score, action: scoreAction(score, scoring.thresholds), contributions };
+}
+
+/**
+ * One-line summary with the biggest contributors, for logs and Telegram.
+ * "95 (certain match +60, 5 days ahead +30, accepted subject +5)"
+ * @param {{ score: number, contributions: Array }} result - Output of computeScore()
+ * @param {number} [limit=3] - How many contributors to list
+ * @returns {string}
+ */
+export function formatScore({ score, contributions }, limit = 3) {
+  const top = contributions.slice(0, limit)
+    .map(c => `${c.label} ${c.points > 0 ? '+' : ''}${c.points}`);
+  return top.length > 0 ? `${score} (${top.join(', ')})` : `${score}`;
+}
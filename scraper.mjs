@@ -9,9 +9,14 @@
  * Architecture:
  *   outerLoop (browser lifecycle): launch → login → innerLoop → close → repeat
  *   innerLoop (scrape cycles): refresh → scrape → filter → notify → sleep 30s
+ *   Refreshes re-click the Available Jobs tab; a full page reload is the fallback.
+ *   Every ~10 minutes a cycle also syncs bookings from the Scheduled Jobs tab (booking-sync.mjs).
+ *   Jobs are read from the rendered job cards (job-extract.mjs); reading Frontline's own
+ *   JSON responses instead (network-jobs.mjs) is experimental and off by default.
  *
  * Operating hours (5 AM - 11 PM MT): loop sleeps during off-hours, resumes automatically.
  * Signal handling: SIGTERM/SIGINT → graceful shutdown (close browser, exit 0).
+ *                  SIGHUP → reload filters.config.json before the next cycle.
  */
 
 import { chromium } from 'playwright';
@@ -22,10 +27,22 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
 import { SELECTORS } from './selectors.mjs';
-import { filterJob } from './filters.mjs';
+import { filterJob, scoreJob, getJobDaysAhead, checkJobNotes, checkBookingCaps, findScheduleConflict, getFilterCriteria } from './filters.mjs';
+import { formatScore } from './scoring.mjs';
+import { reloadFilterConfigIfChanged } from './filter-config.mjs';
+import { refreshCalendarBlackouts } from './calendar-blackouts.mjs';
+import { refreshSchoolDirectory, recordUnmappedSchools, pruneUnmappedSchools } from './school-directory.mjs';
+import { archiveJobs, archiveDecision, archiveJobsGone, archiveKey } from './job-archive.mjs';
+import { updateOpenJobs, markJobsGone, reopenListedJobs } from './gone-jobs.mjs';
+import { extractJobs, jobBodyLocator, findJobIndex } from './job-extract.mjs';
+import { watchJobResponses, clearJobResponses, getJobResponses, parseJobsPayload, readNetworkJobs } from './network-jobs.mjs';
+import { probeJobList, detectSelectorDrift } from './selector-health.mjs';
+import { readScheduledJobs, reconcileBookings } from './booking-sync.mjs';
 import {
   sendJobNotification,
   sendErrorAlert,
+  sendSelectorDriftAlert,
+  sendBookingSyncAlert,
   sendSummaryNotification,
   sendJobNotificationWithKeyboard,
   sendAutoBookNotification,
@@ -37,6 +54,7 @@ import {
   logToFile,
   isOperatingHours,
   createJobHash,
+  formatDuration,
   ensureDirectories,
   cleanupOldDebugFiles,
   writeHeartbeat,
@@ -66,33 +84,60 @@ const BROWSER_RESTART_PAUSE_MS = 5_000;                   // 5s pause before bro
 // Error handling
 const MAX_CONSECUTIVE_ERRORS = 5;  // Restart browser after N consecutive scrape failures
 const ERROR_ALERT_COOLDOWN_MS = 10 * 60 * 1000;  // Max one Telegram error alert per 10 minutes
+const SELECTOR_DRIFT_ALERT_AFTER_CYCLES = 3;      // Drift must persist this many cycles (not just a slow page load)
+const SELECTOR_DRIFT_REALERT_MS = 6 * 60 * 60 * 1000; // Repeat the drift alert every 6 hours while it lasts
 
 // Screenshot throttling (at 30-second intervals, we don't need every cycle)
 const SCREENSHOT_EVERY_N_CYCLES = 20;  // Screenshot every ~10 minutes
 const CLEANUP_EVERY_N_CYCLES = 120;    // Cleanup every ~60 minutes
 const LOG_ROTATE_EVERY_N_CYCLES = 120; // Log rotation check every ~60 minutes
+const SCHEDULE_SYNC_EVERY_N_CYCLES = 20; // Scheduled Jobs sync every ~10 minutes (and on the first cycle)
+// Mark booked jobs missing from the Scheduled Jobs tab as cancelled/removed. Off until the
+// scheduledJobs selectors are confirmed on a real page (`pnpm run doctor` checks them live);
+// until then a sync only adds bookings it can see, so a wrong selector can't cancel anything.
+const SCHEDULE_SYNC_DETECT_CANCELLATIONS = false;
+
+// In-place refresh: re-click the Available Jobs tab instead of reloading the page
+const LIGHT_REFRESH_ENABLED = true;
+const LIGHT_REFRESH_TIMEOUT_MS = 8_000;    // For the tab's XHRs to finish
+const LIGHT_REFRESH_QUIET_MS = 300;        // No XHR in flight for this long after the new list appears
+const LIGHT_REFRESH_POLL_MS = 50;          // How often to check for the new list
+const LIGHT_REFRESH_MAX_FAILURES = 3;      // Consecutive failures before full reloads for the rest of the browser session
 
 // Data retention
 const MAX_JOB_AGE_DAYS = 7;
+const BOOKED_RETENTION_MS = 31 * 24 * 60 * 60 * 1000; // Booked jobs: kept this long past the job date
 const DEBUG_FILE_RETENTION_DAYS = 1;  // Reduced from 3 for higher-frequency runs
 
+// Job list source: 'dom' reads the rendered cards. 'network' (experimental, unverified:
+// FIELD_ALIASES in network-jobs.mjs has never been checked against a real Frontline
+// response) reads Frontline's JSON, falling back to the cards when no payload matches them
+const JOB_SOURCE = 'dom';
+
 // Logging
 const VERBOSE_LOGGING = false;  // Set to true for detailed per-job logging
 
 // Auto-booking
 const AUTO_BOOKING_ENABLED = true;
+const BOOKED_STATUSES = ['book_requested', 'booking', 'booked']; // Count toward booking caps and conflicts
 const NOTIFICATION_EXPIRY_MS = 5 * 60 * 1000; // 5 minutes — remove keyboard after this
-const AUTO_BOOK_MIN_DAYS_AHEAD = 3; // Only auto-book jobs 3+ days away (cancellation buffer)
 
 // ============================================================================
 // DAEMON STATE
 // ============================================================================
 
 let shutdownRequested = false;
+let filterConfigReloadRequested = false;
+let lastCalendarErrors = '';
+let lastJobSource = null; // 'network' | 'dom' — logged when it changes
 
 // Screenshot throttling state
 let cycleCount = 0;
 let previousJobCount = -1;
+let lightRefreshFailures = 0; // Consecutive; reset with each browser session
+
+// Jobs listed by recent healthy scrapes, to spot the ones that disappear (see gone-jobs.mjs)
+const openJobs = new Map();
 
 // Stats tracking (persisted to disk for dashboard)
 let scraperStats = null;
@@ -114,45 +159,69 @@ async function sendThrottledErrorAlert(message) {
   await sendErrorAlert(message).catch(() => {});
 }
 
-// ============================================================================
-// AUTO-BOOKING HELPERS
-// ============================================================================
+// Set once a booking's Notes dialog had text its job card's notes didn't (reported once per run)
+let notesSelectorMissReported = false;
+
+// Selector drift tracking
+let selectorDriftCycles = 0;
+let selectorDriftSince = null;
+let lastSelectorDriftAlertTime = 0; // 0 = no alert sent for the current drift
 
 /**
- * Parse a job's date and return how many days from now it is.
- * Job date format: "Wed, 2/25/2026" or "2/25/2026"
- * For multi-day jobs, uses the first day's date.
- * Returns -1 if date can't be parsed (treat as "don't auto-book").
+ * Track selector drift across cycles: log when it starts, alert once it has
+ * lasted SELECTOR_DRIFT_ALERT_AFTER_CYCLES (saving the page for `pnpm run doctor`),
+ * repeat every SELECTOR_DRIFT_REALERT_MS, and report recovery if we alerted.
+ * @param {import('playwright').Page} page
+ * @param {string[]} problems - From detectSelectorDrift()
  */
-function getJobDaysAhead(job) {
-  try {
-    let dateStr = job.date;
-    if (!dateStr || dateStr === 'N/A') return -1;
+async function handleSelectorDrift(page, problems) {
+  if (problems.length === 0) {
+    if (selectorDriftCycles > 0) logToFile('Selector drift cleared');
+    if (lastSelectorDriftAlertTime) await sendSelectorDriftAlert([]).catch(() => {});
+    selectorDriftCycles = 0;
+    selectorDriftSince = null;
+    lastSelectorDriftAlertTime = 0;
+    scraperStats.currentStatus.selectorDrift = null;
+    return;
+  }
 
-    // Remove day name prefix: "Wed, 2/25/2026" → "2/25/2026"
-    dateStr = dateStr.replace(/^[A-Za-z]+,\s*/, '');
-    const jobDate = new Date(dateStr);
-    if (isNaN(jobDate.getTime())) return -1;
+  selectorDriftCycles++;
+  if (selectorDriftCycles === 1) {
+    selectorDriftSince = new Date().toISOString();
+    logToFile(`Selector drift: ${problems.join('; ')}`);
+  }
+  scraperStats.currentStatus.selectorDrift = { since: selectorDriftSince, cycles: selectorDriftCycles, problems };
 
-    // Compare dates in Mountain Time (strip time component)
-    const nowMT = new Date(new Date().toLocaleDateString('en-US', { timeZone: 'America/Denver' }));
-    const jobDateClean = new Date(jobDate.toLocaleDateString('en-US'));
+  const now = Date.now();
+  if (selectorDriftCycles < SELECTOR_DRIFT_ALERT_AFTER_CYCLES) return;
+  if (lastSelectorDriftAlertTime && now - lastSelectorDriftAlertTime < SELECTOR_DRIFT_REALERT_MS) return;
 
-    const diffMs = jobDateClean - nowMT;
-    return Math.ceil(diffMs / (1000 * 60 * 60 * 24));
-  } catch {
-    return -1;
+  let snapshot = null;
+  try {
+    snapshot = path.join('debug', `selector-drift-${now}.html`);
+    await fs.writeFile(path.join(__dirname, snapshot), await page.content(), 'utf-8');
+  } catch (error) {
+    logToFile(`Failed to save selector drift snapshot: ${error.message}`);
+    snapshot = null;
   }
+
+  logToFile(`Selector drift for ${selectorDriftCycles} cycles — alerting${snapshot ? ` (page saved to ${snapshot})` : ''}`);
+  recordError(scraperStats, `Selector drift: ${problems.join('; ')}`, true);
+  lastSelectorDriftAlertTime = now;
+  await sendSelectorDriftAlert(problems, { snapshot }).catch(() => {});
 }
 
+// ============================================================================
+// AUTO-BOOKING HELPERS
+// ============================================================================
+
 /**
  * Determine if a job should be auto-booked (no human confirmation needed).
- * Requirements: certain match (not uncertain) AND 3+ days away.
+ * Requirement: score at or above scoring.thresholds.autoBook (see scoreJob).
+ * With the default weights that means a certain match 3+ days away.
  */
-function shouldAutoBook(job, uncertain) {
-  if (uncertain) return false;
-  const daysAhead = getJobDaysAhead(job);
-  return daysAhead >= AUTO_BOOK_MIN_DAYS_AHEAD;
+function shouldAutoBook(score) {
+  return score.action === 'auto-book';
 }
 
 // ============================================================================
@@ -167,6 +236,71 @@ function setupSignalHandlers() {
 
   process.on('SIGTERM', handler); // launchd sends this on unload
   process.on('SIGINT', handler);  // Ctrl+C
+
+  // kill -HUP <pid> → force a filter config reload (mtime check handles normal edits)
+  process.on('SIGHUP', () => {
+    logToFile('Received SIGHUP. Filter config will be reloaded before the next cycle.');
+    filterConfigReloadRequested = true;
+  });
+}
+
+// ============================================================================
+// FILTER CONFIG HOT RELOAD
+// ============================================================================
+
+/**
+ * Apply filters.config.json edits between cycles (no browser restart needed).
+ * Invalid files are logged + alerted once; the last good config stays active.
+ * Also refreshes .ics calendar blackouts (on change or every few minutes).
+ */
+async function applyFilterConfigChanges() {
+  const force = filterConfigReloadRequested;
+  filterConfigReloadRequested = false;
+
+  const result = await reloadFilterConfigIfChanged({ force });
+  await applyCalendarChanges(force);
+  await applySchoolDirectoryChanges(force);
+
+  const profileNote = result.profile ? ` (profile: ${result.profile}, ${result.profileSource})` : '';
+  if (result.status === 'reloaded') {
+    logToFile(`Filter config loaded from ${result.path}${profileNote}`);
+  } else if (result.status === 'defaults') {
+    logToFile(`No filter config at ${result.path}. Using built-in defaults from filters.mjs`);
+  } else if (result.status === 'profile') {
+    logToFile(`Filter profile switched to "${result.profile}" (${result.profileSource})`);
+  } else if (result.status === 'invalid') {
+    logToFile(`Filter config rejected, keeping previous config. ${result.error}`);
+    await sendThrottledErrorAlert(`Filter config rejected (previous config kept):\n${result.error}`);
+  }
+  if (result.warning) logToFile(result.warning);
+}
+
+async function applyCalendarChanges(force) {
+  const calendar = await refreshCalendarBlackouts({ force });
+
+  if (calendar.status === 'reloaded') {
+    logToFile(`Calendar blackouts loaded: ${calendar.count} busy period(s)`);
+  }
+
+  // Only report calendar errors when they change (a missing file would otherwise log every cycle)
+  const errorText = calendar.errors.join('\n');
+  if (errorText && errorText !== lastCalendarErrors) {
+    logToFile(`Calendar file error (keeping last good data): ${errorText}`);
+    await sendThrottledErrorAlert(`Calendar file error (keeping last good data):\n${errorText}`);
+  }
+  lastCalendarErrors = errorText;
+}
+
+async function applySchoolDirectoryChanges(force) {
+  const directory = await refreshSchoolDirectory({ force });
+
+  if (directory.status === 'reloaded') {
+    logToFile(`School directory loaded: ${directory.count} school(s) from ${directory.path}`);
+    await pruneUnmappedSchools().catch(error => logToFile(`Failed to update unmapped locations: ${error.message}`));
+  } else if (directory.status === 'invalid') {
+    logToFile(`School directory rejected, keeping previous directory. ${directory.error}`);
+    await sendThrottledErrorAlert(`School directory rejected (previous directory kept):\n${directory.error}`);
+  }
 }
 
 // ============================================================================
@@ -237,12 +371,13 @@ function cleanOldNotifications(notifiedJobs) {
   for (const [hash, value] of Object.entries(notifiedJobs)) {
     const timestamp = typeof value === 'number' ? value : value.timestamp;
 
-    // For booked jobs, keep the entry until the job date has passed.
-    // This prevents re-booking if the job is cancelled and reappears.
+    // For booked jobs, keep the entry until a month after the job date.
+    // This prevents re-booking if the job is cancelled and reappears,
+    // and lets the weekly/monthly booking caps count past days.
     if (value.status === 'booked' && value.jobData?.date) {
       const dateStr = value.jobData.date.replace(/^[A-Za-z]+,\s*/, '');
       const jobDate = new Date(dateStr);
-      if (!isNaN(jobDate.getTime()) && jobDate >= now) {
+      if (!isNaN(jobDate.getTime()) && jobDate.getTime() + BOOKED_RETENTION_MS >= now.getTime()) {
         cleaned[hash] = value;
         continue;
       }
@@ -309,6 +444,9 @@ function initStats(existing) {
       lastCheckTime: null,
       lastCheckDurationMs: 0,
       browserHealthy: true,
+      selectorDrift: null,
+      bookingSync: null,
+      jobSource: null,
       upSince: daemonStartTime,
     },
     todayStats: {
@@ -347,14 +485,21 @@ function recordCheck(stats, result) {
 
   stats.currentStatus.lastCheckTime = new Date().toISOString();
   stats.currentStatus.lastCheckDurationMs = result.durationMs;
+  stats.currentStatus.lastScrapeMs = result.scrapeMs;
+  stats.currentStatus.lastRefresh = result.refresh;
 
   stats.recentChecks.push({
     timestamp: new Date().toISOString(),
     jobsSeen: result.jobsSeen,
     jobsMatched: result.jobsMatched,
     jobsNotified: result.jobsNotified,
+    jobsGone: result.jobsGone,
     uncertainMatched: result.uncertainMatched,
     durationMs: result.durationMs,
+    scrapeMs: result.scrapeMs,
+    refresh: result.refresh.strategy,
+    refreshMs: result.refresh.ms,
+    selectorDrift: result.selectorDrift.length,
     error: null,
   });
 
@@ -393,6 +538,27 @@ function recordCheck(stats, result) {
       uncertainBooked: 0, uncertainIgnored: 0, uncertainExpired: 0,
     };
   }
+
+  recordRefreshTiming(stats.todayStats, result.refresh);
+}
+
+/**
+ * Add a refresh to today's per-strategy timings, so the light refresh and the
+ * full reload can be compared (averageMs = totalMs / count).
+ * @param {Object} todayStats
+ * @param {{ strategy: 'light'|'reload', ms: number, lightMs: number|null }} refresh - From refreshPage()
+ */
+function recordRefreshTiming(todayStats, refresh) {
+  todayStats.refresh ??= {
+    light: { count: 0, totalMs: 0, maxMs: 0, failed: 0 },
+    reload: { count: 0, totalMs: 0, maxMs: 0 },
+  };
+  const timings = todayStats.refresh[refresh.strategy];
+  timings.count++;
+  timings.totalMs += refresh.ms;
+  timings.maxMs = Math.max(timings.maxMs, refresh.ms);
+  timings.averageMs = Math.round(timings.totalMs / timings.count);
+  if (refresh.lightMs !== null) todayStats.refresh.light.failed++;
 }
 
 function recordError(stats, errorMessage, recovered = true) {
@@ -411,7 +577,7 @@ function recordError(stats, errorMessage, recovered = true) {
 
 async function captureJobCardDOM(jobBody, job, index) {
   try {
-    const jobCardHTML = await jobBody.innerHTML();
+    const jobCardHTML = await jobBody.evaluate(el => el.outerHTML); // Whole tbody, so parseJobsHtml() sees its classes
     const timestamp = new Date().toISOString();
     const separator = '\n\n' + '='.repeat(80) + '\n';
 
@@ -482,6 +648,7 @@ async function launchBrowser() {
   });
 
   const page = await context.newPage();
+  if (JOB_SOURCE === 'network') watchJobResponses(page);
   return { browser, page };
 }
 
@@ -593,8 +760,126 @@ async function navigateToAvailableJobs(page) {
 // SESSION HEALTH CHECK
 // ============================================================================
 
+// refreshJobListInPlace() result that sends us to the full reload's expiry check
+const SESSION_LOOKS_EXPIRED = 'session looks expired';
+
+// Set on the rendered job cards before a light refresh; cards without it were re-rendered
+const LIST_MARK_ATTRIBUTE = 'data-scraper-stale';
+
+function isLoginUrl(url) {
+  return url.includes('/login') ||
+    url.includes('/Account/Login') ||
+    url.includes('/connect/authorize') ||
+    url.includes('ReturnUrl=');
+}
+
 /**
- * Refresh the Available Jobs page and detect session expiry.
+ * Refresh the job list: in place by re-clicking the Available Jobs tab when
+ * possible, otherwise (or when that fails) with a full page reload.
+ * @returns {Promise<{ needsRelogin: boolean, strategy: 'light'|'reload', ms: number, lightMs: number|null }>}
+ *   `ms` is the strategy that was used; `lightMs` is the time lost on a failed light refresh
+ */
+async function refreshPage(page) {
+  clearJobResponses(page); // Only this refresh's responses describe the current list
+
+  let lightMs = null;
+  if (LIGHT_REFRESH_ENABLED && lightRefreshFailures < LIGHT_REFRESH_MAX_FAILURES) {
+    const lightStart = Date.now();
+    const failure = await refreshJobListInPlace(page);
+    if (!failure) {
+      lightRefreshFailures = 0;
+      return { needsRelogin: false, strategy: 'light', ms: Date.now() - lightStart, lightMs: null };
+    }
+
+    lightMs = Date.now() - lightStart;
+    if (failure !== SESSION_LOOKS_EXPIRED) lightRefreshFailures++; // Expiry isn't the light path's fault
+    logToFile(`Light refresh failed (${failure}), reloading the page` +
+      (lightRefreshFailures === LIGHT_REFRESH_MAX_FAILURES ? ` — ${LIGHT_REFRESH_MAX_FAILURES} in a row, full reloads until the browser restarts` : ''));
+    clearJobResponses(page);
+  }
+
+  const reloadStart = Date.now();
+  const needsRelogin = await reloadPage(page);
+  return { needsRelogin, strategy: 'reload', ms: Date.now() - reloadStart, lightMs };
+}
+
+/**
+ * Re-click the Available Jobs tab so the page fetches the list again, and wait
+ * until the list is rendered anew: a job card or "no data" row that wasn't
+ * there before the click (the old ones are marked first), or — when
+ * JOB_SOURCE is 'network' — a recognized job list response. Other XHRs (polling,
+ * analytics) don't count.
+ * @returns {Promise<string|null>} Why a full reload is needed, or null when the list was refreshed
+ */
+async function refreshJobListInPlace(page) {
+  if (isLoginUrl(page.url())) return SESSION_LOOKS_EXPIRED;
+
+  const tab = page.locator(SELECTORS.navigation.availableJobsTab);
+  if (await tab.count() === 0) return 'no Available Jobs tab on this layout';
+
+  const listSelector = `${SELECTORS.jobs.jobBodies}, ${SELECTORS.jobs.noDataRow}`;
+  await page.evaluate(({ selector, attribute }) => {
+    for (const el of document.querySelectorAll(selector)) el.setAttribute(attribute, '');
+  }, { selector: listSelector, attribute: LIST_MARK_ATTRIBUTE });
+
+  const isXhr = request => ['xhr', 'fetch'].includes(request.resourceType());
+  let inFlight = 0;
+  let expired = false;
+  const onRequest = request => {
+    if (isXhr(request)) inFlight++;
+  };
+  const onDone = request => {
+    if (isXhr(request)) inFlight = Math.max(0, inFlight - 1);
+  };
+  const onResponse = response => {
+    if (isXhr(response.request()) && ([401, 403].includes(response.status()) || isLoginUrl(response.url()))) expired = true;
+  };
+
+  const listRerendered = () => page.evaluate(({ selector, attribute }) =>
+    [...document.querySelectorAll(selector)].some(el => !el.hasAttribute(attribute)),
+  { selector: listSelector, attribute: LIST_MARK_ATTRIBUTE });
+  const jobListReceived = async () => JOB_SOURCE === 'network' &&
+    (await getJobResponses(page)).some(({ body }) => parseJobsPayload(body) !== null);
+
+  page.on('request', onRequest);
+  page.on('requestfinished', onDone);
+  page.on('requestfailed', onDone);
+  page.on('response', onResponse);
+  let refreshed = false;
+  try {
+    await tab.click({ timeout: 5000 });
+
+    // Refreshed once the new list is in and no XHR has been in flight for LIGHT_REFRESH_QUIET_MS
+    const deadline = Date.now() + LIGHT_REFRESH_TIMEOUT_MS;
+    let quietSince = null;
+    while (Date.now() < deadline && !expired) {
+      refreshed ||= await listRerendered() || await jobListReceived();
+      if (refreshed && inFlight === 0) {
+        quietSince ??= Date.now();
+        if (Date.now() - quietSince >= LIGHT_REFRESH_QUIET_MS) break;
+      } else {
+        quietSince = null;
+      }
+      await page.waitForTimeout(LIGHT_REFRESH_POLL_MS); // Not sleep(): it ticks in whole seconds
+    }
+  } catch (error) {
+    return `tab click failed: ${error.message.split('\n')[0]}`;
+  } finally {
+    page.off('request', onRequest);
+    page.off('requestfinished', onDone);
+    page.off('requestfailed', onDone);
+    page.off('response', onResponse);
+  }
+
+  if (expired || isLoginUrl(page.url())) return SESSION_LOOKS_EXPIRED;
+  if (!refreshed) return `the job list wasn't re-rendered within ${LIGHT_REFRESH_TIMEOUT_MS / 1000}s`;
+  if (inFlight > 0) return `the list didn't finish loading within ${LIGHT_REFRESH_TIMEOUT_MS / 1000}s`;
+  if (!await page.locator(SELECTORS.navigation.availableJobsPanel).isVisible()) return 'Available Jobs panel not visible';
+  return null;
+}
+
+/**
+ * Reload the Available Jobs page and detect session expiry.
  *
  * Uses 'commit' waitUntil (first response byte) instead of 'domcontentloaded'
  * to avoid 30s hangs when Frontline's server is slow. Falls back to page.goto()
@@ -602,7 +887,7 @@ async function navigateToAvailableJobs(page) {
  *
  * @returns {boolean} true if session expired (needs re-login)
  */
-async function refreshPage(page) {
+async function reloadPage(page) {
   const currentPageUrl = page.url();
 
   try {
@@ -626,13 +911,8 @@ async function refreshPage(page) {
     // Panel not loaded — could be session expiry or slow page; check URL
   }
 
-  const newUrl = page.url();
-
   // Detect session expiry: URL redirected to login page
-  if (newUrl.includes('/login') ||
-      newUrl.includes('/Account/Login') ||
-      newUrl.includes('/connect/authorize') ||
-      newUrl.includes('ReturnUrl=')) {
+  if (isLoginUrl(page.url())) {
     return true; // Session expired
   }
 
@@ -659,8 +939,34 @@ async function refreshPage(page) {
 // ============================================================================
 
 /**
- * Scrape all jobs from the Available Jobs page.
- * @returns {Array} Array of { job, jobBody, index } objects
+ * Read the job list from the JSON response that rendered it (network-jobs.mjs),
+ * or null to scrape the cards. Logs when the source changes, with the reason
+ * for falling back.
+ */
+async function readJobsFromNetwork(page) {
+  let result;
+  try {
+    result = await readNetworkJobs(page);
+  } catch (error) {
+    result = { jobs: null, url: null, reason: error.message.split('\n')[0] };
+  }
+
+  const source = result.jobs ? 'network' : 'dom';
+  if (source !== lastJobSource) {
+    logToFile(result.jobs
+      ? `Job list source: network (${result.url})`
+      : `Job list source: DOM (${result.reason})`);
+    lastJobSource = source;
+  }
+  if (scraperStats) scraperStats.currentStatus.jobSource = source;
+  return result.jobs;
+}
+
+/**
+ * Scrape all jobs from the Available Jobs page: from Frontline's JSON when
+ * JOB_SOURCE is 'network' and a payload matches the cards, otherwise in one
+ * in-page pass over the cards (see job-extract.mjs).
+ * @returns {Array} Array of { job, index } objects — resolve the card with jobBodyLocator(page, index)
  */
 async function scrapeJobs(page) {
   // Wait for job content to load (jobs may arrive via AJAX after page.reload with 'commit')
@@ -675,66 +981,13 @@ async function scrapeJobs(page) {
     return [];
   }
 
-  const jobBodies = await page.locator(SELECTORS.jobs.jobBodies).all();
-  const jobs = [];
-
-  for (let i = 0; i < jobBodies.length; i++) {
-    const jobBody = jobBodies[i];
-
-    try {
-      const summaryRow = jobBody.locator(SELECTORS.jobs.summary.row);
-      const firstDetailRow = jobBody.locator(SELECTORS.jobs.detail.row).first();
-
-      const classAttr = await jobBody.getAttribute('class') || '';
-      const isMultiDay = classAttr.includes('multiday');
-
-      const job = {
-        teacher: await summaryRow.locator(SELECTORS.jobs.summary.teacherName).textContent().catch(() => 'N/A'),
-        position: await summaryRow.locator(SELECTORS.jobs.summary.position).textContent().catch(() => 'N/A'),
-        reportTo: await summaryRow.locator(SELECTORS.jobs.summary.reportTo).textContent().catch(() => 'N/A'),
-        jobNumber: await summaryRow.locator(SELECTORS.jobs.summary.confirmationNumber).textContent().catch(() => 'N/A'),
-
-        date: await firstDetailRow.locator(SELECTORS.jobs.detail.date).textContent().catch(() => 'N/A'),
-        startTime: await firstDetailRow.locator(SELECTORS.jobs.detail.startTime).textContent().catch(() => 'N/A'),
-        endTime: await firstDetailRow.locator(SELECTORS.jobs.detail.endTime).textContent().catch(() => 'N/A'),
-        duration: await firstDetailRow.locator(SELECTORS.jobs.detail.duration).textContent().catch(() => 'N/A'),
-        school: await firstDetailRow.locator(SELECTORS.jobs.detail.location).textContent().catch(() => 'N/A'),
-
-        isMultiDay,
-        days: [],
-      };
-
-      if (isMultiDay) {
-        const allDetailRows = await jobBody.locator(SELECTORS.jobs.detail.allRows).all();
-        for (const row of allDetailRows) {
-          const day = {
-            date: await row.locator(SELECTORS.jobs.detail.date).textContent().catch(() => 'N/A'),
-            startTime: await row.locator(SELECTORS.jobs.detail.startTime).textContent().catch(() => 'N/A'),
-            endTime: await row.locator(SELECTORS.jobs.detail.endTime).textContent().catch(() => 'N/A'),
-            duration: await row.locator(SELECTORS.jobs.detail.duration).textContent().catch(() => 'N/A'),
-            location: await row.locator(SELECTORS.jobs.detail.location).textContent().catch(() => 'N/A'),
-          };
-          Object.keys(day).forEach(key => {
-            if (typeof day[key] === 'string') day[key] = day[key].trim();
-          });
-          job.days.push(day);
-        }
-        if (VERBOSE_LOGGING) logToFile(`  Multi-day job detected: ${job.days.length} days`);
-      }
-
-      Object.keys(job).forEach(key => {
-        if (typeof job[key] === 'string') {
-          job[key] = job[key].trim();
-        }
-      });
-
-      jobs.push({ job, jobBody, index: i });
-
-    } catch (error) {
-      logToFile(`Error scraping job at index ${i}: ${error.message}`);
+  const networkJobs = JOB_SOURCE === 'network' ? await readJobsFromNetwork(page) : null;
+  const jobs = networkJobs ?? await extractJobs(page);
+  if (VERBOSE_LOGGING) {
+    for (const { job } of jobs) {
+      if (job.isMultiDay) logToFile(`  Multi-day job detected: ${job.days.length} days`);
     }
   }
-
   return jobs;
 }
 
@@ -811,10 +1064,11 @@ async function executePendingBookings(page, notifiedJobs) {
     logToFile(`Executing booking: ${jobData?.position} at ${jobData?.school} (Job #${jobData?.jobNumber})`);
 
     try {
-      const result = await bookJobOnPage(page, jobData);
+      const result = await bookJobOnPage(page, jobData, { autoBooked: entry.autoBooked });
 
       if (result.success) {
         entry.status = 'booked';
+        entry.bookedAt = Date.now(); // Booking sync gives Frontline a moment to list it
         logToFile(`BOOKED: ${jobData?.position} at ${jobData?.school}`);
         if (entry.telegramMessageId && jobData) {
           await updateMessageAfterAction(entry.telegramMessageId, jobData, entry.uncertain, 'booked', msgOptions);
@@ -824,6 +1078,16 @@ async function executePendingBookings(page, notifiedJobs) {
           if (entry.autoBooked) scraperStats.bookingActions.autoBooked++;
           if (entry.uncertain) scraperStats.bookingActions.uncertainBooked++;
         }
+      } else if (result.reason === 'notes') {
+        entry.status = 'failed';
+        entry.declinedNoteKeyword = result.keyword;
+        logToFile(`AUTO-BOOKING DECLINED (notes mention "${result.keyword}"): ${jobData?.position} at ${jobData?.school}`);
+        if (entry.telegramMessageId && jobData) {
+          await updateMessageAfterAction(entry.telegramMessageId, jobData, entry.uncertain, 'declined', { ...msgOptions, noteKeyword: result.keyword });
+        }
+        if (scraperStats?.bookingActions) {
+          scraperStats.bookingActions.failed++;
+        }
       } else {
         entry.status = 'failed';
         logToFile(`BOOKING FAILED (${result.reason}): ${jobData?.position} at ${jobData?.school}`);
@@ -851,9 +1115,14 @@ async function executePendingBookings(page, notifiedJobs) {
 
 /**
  * Book a job on the Frontline page by finding it and clicking Accept.
- * @returns {{ success: boolean, reason: 'booked'|'taken'|'error', message: string }}
+ * An auto-booking whose Notes dialog mentions a rejected or uncertain note
+ * keyword is declined there ("Do not accept"): the card's notes, which the
+ * filter saw, may have been empty (SELECTORS.jobs.notes is unconfirmed).
+ * @param {Object} [options]
+ * @param {boolean} [options.autoBooked]
+ * @returns {{ success: boolean, reason: 'booked'|'taken'|'notes'|'error', message: string, keyword?: string }}
  */
-async function bookJobOnPage(page, jobData) {
+async function bookJobOnPage(page, jobData, { autoBooked = false } = {}) {
   if (!jobData?.jobNumber) {
     return { success: false, reason: 'error', message: 'No job number' };
   }
@@ -863,77 +1132,94 @@ async function bookJobOnPage(page, jobData) {
   await page.waitForSelector(SELECTORS.navigation.availableJobsPanel, { timeout: 15000 });
 
   // Find job by confirmation number
-  const jobBodies = await page.locator(SELECTORS.jobs.jobBodies).all();
-
-  for (const jobBody of jobBodies) {
-    const confNum = await jobBody.locator('tr.summary .confNum').textContent().catch(() => '');
-
-    if (confNum.trim() !== jobData.jobNumber) continue;
+  const index = await findJobIndex(page, jobData.jobNumber);
+  if (index === -1) {
+    logToFile(`Job #${jobData.jobNumber} not found on page — likely taken by someone else`);
+    return { success: false, reason: 'taken', message: 'Job no longer available — someone else got it' };
+  }
 
-    // Found the job — handle multi-day expansion
-    const classAttr = await jobBody.getAttribute('class') || '';
-    const isMultiDay = classAttr.includes('multiday');
+  // Found the job — handle multi-day expansion
+  const jobBody = jobBodyLocator(page, index);
+  const classAttr = await jobBody.getAttribute('class') || '';
+  const isMultiDay = classAttr.includes('multiday');
 
-    if (isMultiDay) {
-      logToFile('Multi-day job — expanding details...');
-      await jobBody.locator(SELECTORS.jobs.actions.seeDetailsButton).click();
-      // Wait for expansion: accept button should become visible after expansion
-      try {
-        await jobBody.locator(SELECTORS.jobs.actions.acceptButton).waitFor({ state: 'visible', timeout: 5000 });
-        logToFile('Multi-day job expanded, Accept button visible');
-      } catch {
-        logToFile('Accept button not visible after expansion, trying anyway...');
-        await page.waitForTimeout(1000);
-      }
+  if (isMultiDay) {
+    logToFile('Multi-day job — expanding details...');
+    await jobBody.locator(SELECTORS.jobs.actions.seeDetailsButton).click();
+    // Wait for expansion: accept button should become visible after expansion
+    try {
+      await jobBody.locator(SELECTORS.jobs.actions.acceptButton).waitFor({ state: 'visible', timeout: 5000 });
+      logToFile('Multi-day job expanded, Accept button visible');
+    } catch {
+      logToFile('Accept button not visible after expansion, trying anyway...');
+      await page.waitForTimeout(1000);
     }
+  }
 
-    // Click Accept button
-    logToFile('Clicking Accept button...');
-    await jobBody.locator(SELECTORS.jobs.actions.acceptButton).click();
+  // Click Accept button
+  logToFile('Clicking Accept button...');
+  await jobBody.locator(SELECTORS.jobs.actions.acceptButton).click();
 
-    // After clicking Accept, Frontline has TWO possible outcomes:
-    // 1. Confirmation popup (.ui-dialog) — job has teacher notes, needs second confirmation
-    // 2. Direct success banner ("Assignment Accepted") — no popup, booked immediately
-    // Race both and handle whichever comes first.
-    try {
-      const outcome = await Promise.race([
-        page.waitForSelector(SELECTORS.jobs.bookingConfirmation.dialog, { timeout: 10000 })
-          .then(() => 'popup'),
-        page.locator('text=Assignment Accepted').waitFor({ state: 'visible', timeout: 10000 })
-          .then(() => 'banner'),
-      ]);
-
-      if (outcome === 'popup') {
-        logToFile('Confirmation popup appeared. Clicking Accept to confirm...');
-        await page.screenshot({ path: path.join(__dirname, 'debug', `booking-confirm-${Date.now()}.png`) });
-        await page.locator(SELECTORS.jobs.bookingConfirmation.confirmButton).click();
+  // After clicking Accept, Frontline has TWO possible outcomes:
+  // 1. Confirmation popup (.ui-dialog) — job has teacher notes, needs second confirmation
+  // 2. Direct success banner ("Assignment Accepted") — no popup, booked immediately
+  // Race both and handle whichever comes first.
+  try {
+    const outcome = await Promise.race([
+      page.waitForSelector(SELECTORS.jobs.bookingConfirmation.dialog, { timeout: 10000 })
+        .then(() => 'popup'),
+      page.locator('text=Assignment Accepted').waitFor({ state: 'visible', timeout: 10000 })
+        .then(() => 'banner'),
+    ]);
+
+    if (outcome === 'popup') {
+      logToFile('Confirmation popup appeared. Clicking Accept to confirm...');
+      await page.screenshot({ path: path.join(__dirname, 'debug', `booking-confirm-${Date.now()}.png`) });
+      // Logged next to what the job card showed, to check SELECTORS.jobs.notes against the dialog
+      const dialogNotes = await page.locator(SELECTORS.jobs.bookingConfirmation.content).first()
+        .textContent({ timeout: 2000 }).catch(() => null);
+      const dialogText = dialogNotes?.replace(/\s+/g, ' ').trim() || '';
+      if (dialogNotes !== null) {
+        logToFile(`Notes dialog: "${dialogText}" (job card notes: "${jobData.notes || ''}")`);
+      }
+      const dialogCheck = checkJobNotes(dialogText);
+      if (autoBooked && dialogCheck.action) {
+        logToFile(`Notes dialog mentions "${dialogCheck.keyword}" (${dialogCheck.action}) — clicking "Do not accept"`);
+        await page.locator(SELECTORS.jobs.bookingConfirmation.cancelButton).click();
         await page.waitForTimeout(1000);
-        await page.screenshot({ path: path.join(__dirname, 'debug', `booking-result-${Date.now()}.png`) });
-        logToFile('Booking confirmed via popup!');
-        return { success: true, reason: 'booked', message: 'Booking confirmed via popup' };
-      } else {
-        // Direct booking — "Assignment Accepted" banner appeared without popup
-        logToFile('Direct booking success — "Assignment Accepted" banner detected!');
-        await page.screenshot({ path: path.join(__dirname, 'debug', `booking-result-${Date.now()}.png`) });
-        return { success: true, reason: 'booked', message: 'Booking confirmed directly (no popup)' };
+        await page.screenshot({ path: path.join(__dirname, 'debug', `booking-declined-${Date.now()}.png`) });
+        return { success: false, reason: 'notes', keyword: dialogCheck.keyword, message: `Notes mention "${dialogCheck.keyword}"` };
       }
-    } catch (waitError) {
-      // Neither popup nor success banner appeared within 10 seconds
-      // Check page content for success banner one more time (in case it appeared late)
-      const pageContent = await page.textContent('body').catch(() => '');
-      if (pageContent.includes('Assignment Accepted')) {
-        logToFile('Late success detection — "Assignment Accepted" found in page content');
-        await page.screenshot({ path: path.join(__dirname, 'debug', `booking-result-${Date.now()}.png`) });
-        return { success: true, reason: 'booked', message: 'Booking confirmed (late detection)' };
+      await page.locator(SELECTORS.jobs.bookingConfirmation.confirmButton).click();
+      await page.waitForTimeout(1000);
+      await page.screenshot({ path: path.join(__dirname, 'debug', `booking-result-${Date.now()}.png`) });
+      logToFile('Booking confirmed via popup!');
+      if (dialogText && !jobData.notes && !notesSelectorMissReported) {
+        notesSelectorMissReported = true;
+        const message = `Job #${jobData.jobNumber} had notes in the Notes dialog but none on its card — SELECTORS.jobs.notes probably doesn't match, so note keywords only stop auto-bookings in the dialog`;
+        logToFile(`⚠️  ${message}`);
+        await sendThrottledErrorAlert(message);
       }
-      logToFile(`Booking outcome unclear: ${waitError.message}`);
-      await page.screenshot({ path: path.join(__dirname, 'debug', `booking-unclear-${Date.now()}.png`) });
-      return { success: false, reason: 'error', message: 'Neither popup nor success banner appeared' };
+      return { success: true, reason: 'booked', message: 'Booking confirmed via popup' };
+    } else {
+      // Direct booking — "Assignment Accepted" banner appeared without popup
+      logToFile('Direct booking success — "Assignment Accepted" banner detected!');
+      await page.screenshot({ path: path.join(__dirname, 'debug', `booking-result-${Date.now()}.png`) });
+      return { success: true, reason: 'booked', message: 'Booking confirmed directly (no popup)' };
     }
+  } catch (waitError) {
+    // Neither popup nor success banner appeared within 10 seconds
+    // Check page content for success banner one more time (in case it appeared late)
+    const pageContent = await page.textContent('body').catch(() => '');
+    if (pageContent.includes('Assignment Accepted')) {
+      logToFile('Late success detection — "Assignment Accepted" found in page content');
+      await page.screenshot({ path: path.join(__dirname, 'debug', `booking-result-${Date.now()}.png`) });
+      return { success: true, reason: 'booked', message: 'Booking confirmed (late detection)' };
+    }
+    logToFile(`Booking outcome unclear: ${waitError.message}`);
+    await page.screenshot({ path: path.join(__dirname, 'debug', `booking-unclear-${Date.now()}.png`) });
+    return { success: false, reason: 'error', message: 'Neither popup nor success banner appeared' };
   }
-
-  logToFile(`Job #${jobData.jobNumber} not found on page — likely taken by someone else`);
-  return { success: false, reason: 'taken', message: 'Job no longer available — someone else got it' };
 }
 
 /**
@@ -961,6 +1247,22 @@ async function expireOldNotifications(notifiedJobs) {
   return notifiedJobs;
 }
 
+/**
+ * Remember a matched job that was deliberately not notified ('conflict' or
+ * 'capped'), so it isn't re-evaluated every cycle. Pruned like other entries.
+ */
+function recordSkippedJob(notifiedJobs, jobHash, job, filterResult, status, extra = {}) {
+  notifiedJobs[jobHash] = {
+    status,
+    timestamp: Date.now(),
+    expiresAt: null,
+    telegramMessageId: null,
+    jobData: job,
+    uncertain: filterResult.uncertain,
+    ...extra,
+  };
+}
+
 /**
  * Recover from crash: any entries stuck in 'booking' state → mark as 'failed'.
  */
@@ -974,12 +1276,112 @@ function recoverStuckBookings(notifiedJobs) {
   return notifiedJobs;
 }
 
+// ============================================================================
+// DISAPPEARED JOBS
+// ============================================================================
+
+/**
+ * Jobs listed again after being retracted are offered again: their 'gone'
+ * entry is dropped so the notify step treats them as new (see gone-jobs.mjs).
+ */
+function reopenRelistedJobs(notifiedJobs, jobsData) {
+  for (const { job } of reopenListedJobs(notifiedJobs, jobsData.map(({ job }) => job))) {
+    logToFile(`Listed again: ${job.position} at ${job.school} (Job #${job.jobNumber}) — will be offered again`);
+  }
+}
+
+/**
+ * Compare a healthy scrape with the jobs listed before it (see gone-jobs.mjs).
+ * Jobs missing from MISSES_BEFORE_GONE scrapes in a row get a "gone" archive
+ * line (time-to-fill, see job-archive.mjs) and a goneAt on their notified-jobs
+ * entry; a still-open Book/Ignore message is edited to "no longer available"
+ * right away instead of waiting for expireOldNotifications.
+ * @returns {Promise<number>} How many jobs are now counted as gone
+ */
+async function trackGoneJobs(notifiedJobs, jobsData) {
+  const gone = updateOpenJobs(openJobs, jobsData.map(({ job }) => job));
+  if (gone.length === 0) return 0;
+
+  let fillTimes;
+  try {
+    fillTimes = new Map((await archiveJobsGone(gone)).map(({ key, fillMs }) => [key, fillMs]));
+  } catch (error) {
+    logToFile(`Failed to archive disappeared jobs: ${error.message}`);
+    fillTimes = new Map();
+  }
+
+  const retract = markJobsGone(notifiedJobs, gone);
+  for (const { job, key } of gone) {
+    const entry = notifiedJobs[createJobHash(job)];
+    const fillMs = fillTimes.get(key) ?? null;
+    if (entry || VERBOSE_LOGGING) {
+      logToFile(`Gone: ${job.position} at ${job.school} (Job #${job.jobNumber})${fillMs !== null ? ` after ${formatDuration(fillMs)}` : ''}${entry ? ` [${entry.status}]` : ''}`);
+    }
+  }
+
+  for (const { entry, job } of retract) {
+    if (entry.telegramMessageId && entry.jobData) {
+      await updateMessageAfterAction(entry.telegramMessageId, entry.jobData, entry.uncertain, 'gone', { fillMs: fillTimes.get(archiveKey(job)) ?? null });
+    }
+  }
+
+  return gone.length;
+}
+
+// ============================================================================
+// BOOKING SYNC (Frontline's Scheduled Jobs → notified-jobs.json)
+// ============================================================================
+
+/**
+ * Read the Scheduled Jobs tab. Failures are logged and kept on the dashboard,
+ * not treated as cycle errors: the Available Jobs scrape matters more.
+ * @returns {Promise<Array<Object>|null>} Scheduled jobs, or null if they couldn't be read
+ */
+async function fetchScheduledJobs(page) {
+  try {
+    return await readScheduledJobs(page);
+  } catch (error) {
+    logToFile(`Booking sync failed: ${error.message}`);
+    scraperStats.currentStatus.bookingSync = {
+      ...scraperStats.currentStatus.bookingSync,
+      error: error.message,
+      failedAt: new Date().toISOString(),
+    };
+    return null;
+  }
+}
+
+/**
+ * Reconcile local booking state with the Scheduled Jobs list and alert on any difference.
+ * After this, the 'booked' entries that conflict checks and booking caps read match Frontline.
+ */
+async function syncBookings(notifiedJobs, scheduledJobs, availableJobs) {
+  const changes = reconcileBookings(notifiedJobs, scheduledJobs, availableJobs, {
+    detectCancellations: SCHEDULE_SYNC_DETECT_CANCELLATIONS,
+  });
+
+  for (const { change, job, from } of changes) {
+    logToFile(`Booking sync: ${job.position} at ${job.school} (Job #${job.jobNumber}) ${from ?? 'unknown'} → ${change}`);
+  }
+  if (changes.length > 0) {
+    await sendBookingSyncAlert(changes).catch(error => logToFile(`Failed to send booking sync alert: ${error.message}`));
+  }
+
+  scraperStats.currentStatus.bookingSync = {
+    syncedAt: new Date().toISOString(),
+    upcoming: scheduledJobs.length,
+    changes: changes.length,
+    error: null,
+  };
+}
+
 // ============================================================================
 // SINGLE SCRAPE-FILTER-NOTIFY CYCLE
 // ============================================================================
 
 /**
- * One cycle of: poll callbacks → execute bookings → expire → scrape → filter → notify.
+ * One cycle of: poll callbacks → execute bookings → expire → scrape → retract gone jobs →
+ * filter → notify → sync bookings (throttled).
  * @returns {{ jobsSeen, jobsMatched, jobsNotified }} cycle result
  */
 async function performScrapeFilterNotify(page) {
@@ -1006,8 +1408,14 @@ async function performScrapeFilterNotify(page) {
     }
   }
 
+  // Booking sync runs at the end of the cycle (Step 5) so switching tabs can't disturb the list read here
+  const syncBookingsThisCycle = cycleCount % SCHEDULE_SYNC_EVERY_N_CYCLES === 0;
+
   // --- Step 2: Scrape jobs ---
+  const scrapeStart = Date.now();
   const jobsData = await scrapeJobs(page);
+  const scrapeMs = Date.now() - scrapeStart;
+  const selectorDrift = detectSelectorDrift(await probeJobList(page), jobsData);
 
   // Throttled screenshot: only when useful
   cycleCount++;
@@ -1025,23 +1433,61 @@ async function performScrapeFilterNotify(page) {
   }
   previousJobCount = jobsData.length;
 
+  // --- Step 2a: Jobs that left the list — only a healthy scrape counts: no selector drift, and an
+  // empty list only when the "no available assignments" row says so (not a list still rendering) ---
+  reopenRelistedJobs(notifiedJobs, jobsData);
+  const healthyScrape = selectorDrift.length === 0 &&
+    (jobsData.length > 0 || await page.locator(SELECTORS.jobs.noDataRow).isVisible());
+  const jobsGone = healthyScrape ? await trackGoneJobs(notifiedJobs, jobsData) : 0;
+
   // --- Step 3: Filter jobs ---
   const matchedJobs = [];
-  for (const { job, jobBody, index } of jobsData) {
+  const archiveEntries = [];
+  const unmappedJobs = [];
+  for (const { job, index } of jobsData) {
     const filterResult = filterJob(job);
+    if (filterResult.schoolId === null) unmappedJobs.push(job);
 
     if (filterResult.match) {
-      matchedJobs.push({ job, jobBody, index, filterResult });
+      const score = scoreJob(job, filterResult);
+      archiveEntries.push({ job: { ...job }, decision: archiveDecision(filterResult, score) });
+      if (score.action === 'drop') {
+        if (VERBOSE_LOGGING) logToFile(`  Dropped (score ${formatScore(score)}): ${job.position} at ${job.school}`);
+        continue;
+      }
+
+      // Carried in jobData so every Telegram message for the job can mention them
+      if (filterResult.teacherPreference) job.teacherPreference = filterResult.teacherPreference;
+      if (filterResult.distanceMiles !== null) job.distanceMiles = filterResult.distanceMiles;
+      job.score = { value: score.score, action: score.action, summary: formatScore(score) };
+      job.filterReason = filterResult.reason;
+      if (filterResult.profile) job.filterProfile = filterResult.profile;
+      matchedJobs.push({ job, index, filterResult, score });
       if (VERBOSE_LOGGING) logToFile(`  Matched: ${job.position} at ${job.school}`);
 
       // Capture DOM and screenshot for matched jobs
+      const jobBody = jobBodyLocator(page, index);
       await captureJobCardDOM(jobBody, job, index);
       await captureJobCardScreenshot(jobBody, job, index);
-    } else if (VERBOSE_LOGGING) {
-      logToFile(`  Rejected: ${job.position} at ${job.school} - ${filterResult.reason}`);
+    } else {
+      archiveEntries.push({ job: { ...job }, decision: archiveDecision(filterResult) });
+      if (VERBOSE_LOGGING) logToFile(`  Rejected: ${job.position} at ${job.school} - ${filterResult.reason}`);
     }
   }
 
+  try {
+    const archived = await archiveJobs(archiveEntries);
+    if (archived.added > 0) logToFile(`Archived ${archived.added} new job(s)`);
+  } catch (error) {
+    logToFile(`Failed to update job archive: ${error.message}`);
+  }
+
+  try {
+    for (const message of await recordUnmappedSchools(unmappedJobs)) logToFile(message);
+  } catch (error) {
+    logToFile(`Failed to update unmapped locations: ${error.message}`);
+  }
+
   // Count uncertain matches
   const uncertainMatched = matchedJobs.filter(m => m.filterResult.uncertain).length;
 
@@ -1050,7 +1496,7 @@ async function performScrapeFilterNotify(page) {
   let uncertainNotified = 0;
   let autoBooked = 0;
 
-  for (const { job, filterResult } of matchedJobs) {
+  for (const { job, filterResult, score } of matchedJobs) {
     const jobHash = createJobHash(job);
 
     if (notifiedJobs[jobHash]) {
@@ -1062,13 +1508,42 @@ async function performScrapeFilterNotify(page) {
       continue;
     }
 
-    logToFile(`New job: ${job.position} at ${job.school}`);
+    logToFile(`New job: ${job.position} at ${job.school}${job.teacherPreference ? ` (${job.teacherPreference} teacher: ${job.teacher})` : ''} — score ${job.score.summary} → ${score.action}`);
+
+    // Conflicts and workload caps look at every booked job (as last synced with Frontline's
+    // Scheduled Jobs), including ones auto-booked earlier this cycle
+    const bookedEntries = Object.entries(notifiedJobs)
+      .filter(([, entry]) => BOOKED_STATUSES.includes(entry.status) && entry.jobData);
+    const bookedJobs = bookedEntries.map(([, entry]) => entry.jobData);
+
+    let replyToMessageId = null;
+    const conflict = findScheduleConflict(job, bookedJobs);
+    if (conflict) {
+      const [conflictHash, conflictEntry] = bookedEntries[bookedJobs.indexOf(conflict.booked)];
+      logToFile(`Schedule conflict (${conflict.action}): ${job.position} at ${job.school} — ${conflict.detail}`);
+      if (conflict.action === 'suppress') {
+        recordSkippedJob(notifiedJobs, jobHash, job, filterResult, 'conflict', { conflictsWith: conflictHash });
+        continue;
+      }
+      job.conflict = conflict.detail;
+      replyToMessageId = conflictEntry.telegramMessageId;
+    }
+
+    const cap = checkBookingCaps(job, bookedJobs);
+    if (cap.capped) {
+      job.bookingCap = shouldAutoBook(score) && !conflict ? `${cap.detail} — not auto-booked` : cap.detail;
+      logToFile(`Booking cap (${cap.action}): ${job.position} at ${job.school} — ${cap.detail}`);
+      if (cap.action === 'suppress') {
+        recordSkippedJob(notifiedJobs, jobHash, job, filterResult, 'capped');
+        continue;
+      }
+    }
 
     try {
-      if (AUTO_BOOKING_ENABLED && shouldAutoBook(job, filterResult.uncertain)) {
-        // AUTO-BOOK: Certain match, 3+ days away — book immediately, no human confirmation
+      if (AUTO_BOOKING_ENABLED && shouldAutoBook(score) && !cap.capped && !conflict) {
+        // AUTO-BOOK: Score reached the autoBook threshold — book immediately, no human confirmation
         const daysAhead = getJobDaysAhead(job);
-        logToFile(`AUTO-BOOKING: ${job.position} at ${job.school} (${daysAhead} days away)`);
+        logToFile(`AUTO-BOOKING: ${job.position} at ${job.school} (${daysAhead} days away, score ${score.score})`);
         const messageId = await sendAutoBookNotification(job, daysAhead);
         notifiedJobs[jobHash] = {
           status: 'book_requested',
@@ -1076,13 +1551,13 @@ async function performScrapeFilterNotify(page) {
           expiresAt: null, // No expiry — we're booking immediately
           telegramMessageId: messageId,
           jobData: job,
-          uncertain: false,
+          uncertain: filterResult.uncertain, // Custom weights can auto-book uncertain matches
           autoBooked: true,
         };
         autoBooked++;
       } else if (AUTO_BOOKING_ENABLED) {
-        // MANUAL CONFIRMATION: Uncertain match or job too soon — send Book/Ignore buttons
-        const messageId = await sendJobNotificationWithKeyboard(job, filterResult.uncertain, jobHash);
+        // MANUAL CONFIRMATION: Score between ask and autoBook, or a cap/conflict applies — send Book/Ignore buttons
+        const messageId = await sendJobNotificationWithKeyboard(job, filterResult.uncertain, jobHash, { replyToMessageId });
         notifiedJobs[jobHash] = {
           status: 'notified',
           timestamp: Date.now(),
@@ -1129,6 +1604,13 @@ async function performScrapeFilterNotify(page) {
     }
   }
 
+  // --- Step 5: Sync bookings with Frontline's Scheduled Jobs (throttled). Conflict and cap
+  // checks read the booked entries, so the next cycle's see the synced schedule ---
+  if (syncBookingsThisCycle) {
+    const scheduledJobs = await fetchScheduledJobs(page);
+    if (scheduledJobs) await syncBookings(notifiedJobs, scheduledJobs, jobsData.map(({ job }) => job));
+  }
+
   // Clean old entries and save
   notifiedJobs = cleanOldNotifications(notifiedJobs);
   await saveNotifiedJobs(notifiedJobs);
@@ -1149,6 +1631,9 @@ async function performScrapeFilterNotify(page) {
     jobsNotified: newJobsNotified,
     uncertainMatched,
     uncertainNotified,
+    jobsGone,
+    scrapeMs,
+    selectorDrift,
   };
 }
 
@@ -1175,6 +1660,12 @@ async function main() {
   await ensureDirectories();
 
   logToFile('=== Scraper daemon starting ===');
+  if (JOB_SOURCE === 'network') {
+    logToFile('⚠️  JOB_SOURCE is \'network\' — experimental: the JSON field mapping is unverified against Frontline');
+  }
+
+  filterConfigReloadRequested = true; // Initial load
+  await applyFilterConfigChanges();
 
   // Recover any jobs stuck in 'booking' state from a previous crash
   let notifiedJobs = await loadNotifiedJobs();
@@ -1204,6 +1695,7 @@ async function main() {
 
       const browserStartTime = Date.now();
       cycleCount = 0; // Reset cycle count for new browser session
+      lightRefreshFailures = 0;
 
       logToFile('Browser session ready. Starting scrape loop...');
 
@@ -1218,18 +1710,20 @@ async function main() {
         // Check operating hours
         if (!isOperatingHours()) {
           if (VERBOSE_LOGGING) logToFile('Outside operating hours. Sleeping...');
-          await writeHeartbeat({ status: 'sleeping', reason: 'off-hours' });
+          await writeHeartbeat({ status: 'sleeping', reason: 'off-hours', filterProfile: getFilterCriteria().activeProfile });
           await sleep(OFF_HOURS_SLEEP_MS);
           continue;
         }
 
         const cycleStart = Date.now();
 
+        await applyFilterConfigChanges();
+
         try {
           // Refresh page and check session health
-          const needsRelogin = await refreshPage(page);
+          const refresh = await refreshPage(page);
 
-          if (needsRelogin) {
+          if (refresh.needsRelogin) {
             logToFile('Session expired. Re-logging in...');
             await login(page);
             await navigateToAvailableJobs(page);
@@ -1239,21 +1733,24 @@ async function main() {
           await dismissOverlays(page);
 
           // Run one scrape-filter-notify cycle
-          const result = await performScrapeFilterNotify(page);
+          const result = { ...await performScrapeFilterNotify(page), refresh };
           consecutiveErrors = 0;
+          await handleSelectorDrift(page, result.selectorDrift);
 
           const durationMs = Date.now() - cycleStart;
 
           // Record stats
           recordCheck(scraperStats, { ...result, durationMs });
+          scraperStats.currentStatus.filterProfile = getFilterCriteria().activeProfile;
           await writeScraperStats(scraperStats);
           await writeHeartbeat({
             status: 'running',
+            filterProfile: getFilterCriteria().activeProfile,
             lastCycle: { ...result, durationMs },
           });
 
           // Concise cycle log
-          logToFile(`Cycle: ${result.jobsSeen} seen, ${result.jobsMatched} matched, ${result.jobsNotified} new (${durationMs}ms)`);
+          logToFile(`Cycle: ${result.jobsSeen} seen, ${result.jobsMatched} matched, ${result.jobsNotified} new, ${result.jobsGone} gone (${durationMs}ms, ${refresh.strategy} refresh ${refresh.ms}ms, scrape ${result.scrapeMs}ms)`);
 
         } catch (scrapeError) {
           consecutiveErrors++;
@@ -0,0 +1,262 @@
+/**
+ * Selector Health
+ *
+ * Catches Frontline markup changes that would otherwise make the scraper
+ * "succeed" with nothing: SELECTORS that stop matching give an empty job list
+ * or 'N/A' fields, not an error.
+ *
+ * - detectSelectorDrift(): per-cycle check of the job list (panel, table,
+ *   job cards or the no-data row) and of the fields extracted from the cards
+ * - runSelectorChecks(): every selector group, counted on a live page or a
+ *   saved snapshot — backs `pnpm run doctor`
+ */
+
+import { SELECTORS } from './selectors.mjs';
+
+// Fields every Frontline job card has; 'N/A' on many cards means a selector broke
+// (teacher and reportTo are legitimately blank on some postings)
+export const REQUIRED_JOB_FIELDS = ['position', 'jobNumber', 'date', 'startTime', 'endTime', 'duration', 'school'];
+
+// A required field counts as drifted when it's 'N/A' on at least this share of the cards
+const MISSING_FIELD_RATIO = 0.5;
+
+// ============================================================================
+// PER-CYCLE DRIFT CHECK
+// ============================================================================
+
+/**
+ * Count the job list's structural selectors in one round-trip.
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{ panel: number, table: number, jobBodies: number, noData: number }>}
+ */
+export async function probeJobList(page) {
+  return page.evaluate(selectors => Object.fromEntries(
+    Object.entries(selectors).map(([key, selector]) => [key, document.querySelectorAll(selector).length])
+  ), {
+    panel: SELECTORS.navigation.availableJobsPanel,
+    table: SELECTORS.jobs.jobListTable,
+    jobBodies: SELECTORS.jobs.jobBodies,
+    noData: SELECTORS.jobs.noDataRow,
+  });
+}
+
+/**
+ * Decide whether the job list selectors still describe the page.
+ * @param {{ panel: number, table: number, jobBodies: number, noData: number }} probe - From probeJobList()
+ * @param {Array<{ job: Object }>} jobs - The cycle's extracted jobs
+ * @returns {string[]} Problems found (empty when healthy)
+ */
+export function detectSelectorDrift(probe, jobs) {
+  const problems = [];
+
+  if (probe.panel === 0) {
+    problems.push(`Available Jobs panel not found (navigation.availableJobsPanel: ${SELECTORS.navigation.availableJobsPanel})`);
+    return problems;
+  }
+  if (probe.table === 0 && probe.noData === 0) {
+    problems.push(`Job list table not found (jobs.jobListTable: ${SELECTORS.jobs.jobListTable})`);
+  }
+  if (probe.jobBodies === 0 && probe.noData === 0) {
+    problems.push(`Neither job cards (jobs.jobBodies: ${SELECTORS.jobs.jobBodies}) nor the no-jobs row (jobs.noDataRow: ${SELECTORS.jobs.noDataRow}) found`);
+  }
+
+  if (jobs.length > 0) {
+    for (const field of REQUIRED_JOB_FIELDS) {
+      const missing = jobs.filter(({ job }) => !job[field] || job[field] === 'N/A').length;
+      if (missing > 0 && missing >= jobs.length * MISSING_FIELD_RATIO) {
+        problems.push(`"${field}" is N/A on ${missing} of ${jobs.length} job(s)`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+// ============================================================================
+// DOCTOR CHECKS
+// ============================================================================
+
+const JOB_CARD = SELECTORS.jobs.jobBodies;
+const SUMMARY_ROW = `${JOB_CARD} ${SELECTORS.jobs.summary.row}`;
+const DETAIL_ROW = `${JOB_CARD} ${SELECTORS.jobs.detail.allRows}`;
+const SCHEDULED_CARD = SELECTORS.jobs.scheduledJobBodies;
+
+/**
+ * What to check in each group. `within` counts the rows/cards that contain a
+ * match instead of matches page-wide; `required` selectors must match whenever
+ * their page (and, for `within`, at least one row) is showing.
+ */
+const SELECTOR_GROUPS = [
+  {
+    group: 'login',
+    page: 'login',
+    checks: [
+      { name: 'usernameField', selector: SELECTORS.login.usernameField, required: true },
+      { name: 'passwordField', selector: SELECTORS.login.passwordField, required: true },
+      { name: 'submitButton', selector: SELECTORS.login.submitButton, required: true },
+    ],
+  },
+  {
+    group: 'popup',
+    page: 'jobs',
+    note: 'only while an announcement is showing',
+    checks: [
+      { name: 'dialog', selector: SELECTORS.popup.dialog },
+      { name: 'dismissButton', selector: SELECTORS.popup.dismissButton },
+    ],
+  },
+  {
+    group: 'navigation',
+    page: 'jobs',
+    checks: [
+      { name: 'availableJobsTab', selector: SELECTORS.navigation.availableJobsTab, required: true },
+      { name: 'availableJobsPanel', selector: SELECTORS.navigation.availableJobsPanel, required: true },
+      // Booking sync only; the daemon keeps scraping without them
+      { name: 'scheduledJobsTab', selector: SELECTORS.navigation.scheduledJobsTab },
+      { name: 'scheduledJobsPanel', selector: SELECTORS.navigation.scheduledJobsPanel },
+    ],
+  },
+  {
+    group: 'jobs',
+    page: 'jobs',
+    checks: [
+      { name: 'jobListTable', selector: SELECTORS.jobs.jobListTable, required: true },
+      { name: 'jobBodies', selector: SELECTORS.jobs.jobBodies, oneOf: 'list' },
+      { name: 'noDataRow', selector: SELECTORS.jobs.noDataRow, oneOf: 'list' },
+      { name: 'summary.row', selector: SELECTORS.jobs.summary.row, within: JOB_CARD, required: true },
+      ...Object.entries(SELECTORS.jobs.summary)
+        .filter(([name]) => name !== 'row')
+        .map(([name, selector]) => ({
+          name: `summary.${name}`, selector, within: SUMMARY_ROW,
+          required: !['teacherName', 'reportTo'].includes(name),
+        })),
+      { name: 'detail.row', selector: SELECTORS.jobs.detail.row, within: JOB_CARD, required: true },
+      ...Object.entries(SELECTORS.jobs.detail)
+        .filter(([name]) => !['row', 'allRows', 'multiEndDate'].includes(name))
+        .map(([name, selector]) => ({ name: `detail.${name}`, selector, within: DETAIL_ROW, required: true })),
+      { name: 'detail.multiEndDate', selector: SELECTORS.jobs.detail.multiEndDate, within: SELECTORS.jobs.multiDay.jobBody },
+      { name: 'multiDay.jobBody', selector: SELECTORS.jobs.multiDay.jobBody },
+      { name: 'multiDay.additionalRows', selector: SELECTORS.jobs.multiDay.additionalRows, within: SELECTORS.jobs.multiDay.jobBody },
+    ],
+  },
+  {
+    // Most cards have no notes, so a miss here only means something on a card that shows some
+    group: 'notes',
+    page: 'jobs',
+    note: 'unconfirmed — on a card that shows notes, both should match',
+    checks: Object.entries(SELECTORS.jobs.notes)
+      .map(([name, selector]) => ({ name, selector, within: JOB_CARD })),
+  },
+  {
+    // Booking sync reads these; an empty match would look like every booking was cancelled
+    group: 'scheduledJobs',
+    page: 'scheduled',
+    note: 'booking sync — confirm before turning on SCHEDULE_SYNC_DETECT_CANCELLATIONS',
+    checks: [
+      { name: 'scheduledJobsPanel', selector: SELECTORS.navigation.scheduledJobsPanel, required: true },
+      { name: 'scheduledJobBodies', selector: SCHEDULED_CARD, oneOf: 'list' },
+      { name: 'scheduledNoDataRow', selector: SELECTORS.jobs.scheduledNoDataRow, oneOf: 'list' },
+      { name: 'summary.confirmationNumber', selector: SELECTORS.jobs.summary.confirmationNumber, within: SCHEDULED_CARD, required: true },
+      { name: 'summary.position', selector: SELECTORS.jobs.summary.position, within: SCHEDULED_CARD, required: true },
+      { name: 'detail.date', selector: SELECTORS.jobs.detail.date, within: SCHEDULED_CARD, required: true },
+      { name: 'detail.location', selector: SELECTORS.jobs.detail.location, within: SCHEDULED_CARD, required: true },
+    ],
+  },
+  {
+    group: 'actions',
+    page: 'jobs',
+    checks: Object.entries(SELECTORS.jobs.actions).map(([name, selector]) => ({
+      name, selector, within: JOB_CARD, required: name === 'acceptButton',
+    })),
+  },
+  {
+    group: 'bookingConfirmation',
+    page: 'jobs',
+    note: 'only after Accept is clicked',
+    checks: Object.entries(SELECTORS.jobs.bookingConfirmation).map(([name, selector]) => ({ name, selector })),
+  },
+];
+
+export const SELECTOR_GROUP_NAMES = SELECTOR_GROUPS.map(g => g.group);
+
+/**
+ * Counter over a live Playwright page (understands Playwright-only selectors too).
+ */
+export function pageSelectorCounter(page) {
+  return {
+    count: selector => page.locator(selector).count(),
+    countWithin: (selector, within) => page.locator(within).filter({ has: page.locator(selector) }).count(),
+  };
+}
+
+/**
+ * Counter over a parsed snapshot (html.mjs). Selectors it can't evaluate throw.
+ */
+export function htmlSelectorCounter(root) {
+  return {
+    count: async selector => root.querySelectorAll(selector).length,
+    countWithin: async (selector, within) => root.querySelectorAll(within).filter(el => el.querySelector(selector)).length,
+  };
+}
+
+/**
+ * Count every selector of the groups shown on the given pages.
+ * @param {{ count: Function, countWithin: Function }} counter
+ * @param {Array<'login'|'jobs'|'scheduled'>} pageKinds - Which page(s) the counter is looking at
+ * @param {Object} [options]
+ * @param {string[]} [options.groups] - Only these groups (default: all)
+ * @returns {Promise<Array<{ group, note, results: Array<{ name, selector, status: 'ok'|'missing'|'partial'|'absent'|'unsupported', count, of, detail }> }>>}
+ *   `missing` = a required selector matched nothing; `absent` = an optional one matched nothing
+ */
+export async function runSelectorChecks(counter, pageKinds, { groups = SELECTOR_GROUP_NAMES } = {}) {
+  const report = [];
+
+  for (const { group, page, note, checks } of SELECTOR_GROUPS) {
+    if (!pageKinds.includes(page) || !groups.includes(group)) continue;
+    const results = [];
+
+    for (const check of checks) {
+      const result = { name: check.name, selector: check.selector, status: 'ok', count: 0, of: null, detail: null };
+      try {
+        if (check.within) {
+          result.of = await counter.count(check.within);
+          result.count = result.of === 0 ? 0 : await counter.countWithin(check.selector, check.within);
+        } else {
+          result.count = await counter.count(check.selector);
+        }
+      } catch (error) {
+        result.status = 'unsupported';
+        result.detail = error.message;
+        results.push(result);
+        continue;
+      }
+
+      if (check.within && result.of === 0) {
+        result.status = 'absent';
+        result.detail = 'nothing to look inside';
+      } else if (result.count === 0) {
+        result.status = check.required ? 'missing' : 'absent';
+      } else if (check.within && check.required && result.count < result.of) {
+        result.status = 'partial';
+      }
+      results.push({ ...result, oneOf: check.oneOf });
+    }
+
+    // "oneOf" selectors are required as a set: at least one of them must match
+    const oneOfSets = new Set(results.map(r => r.oneOf).filter(Boolean));
+    for (const set of oneOfSets) {
+      const members = results.filter(r => r.oneOf === set);
+      if (members.every(r => r.status === 'absent')) {
+        for (const r of members) {
+          r.status = 'missing';
+          r.detail = `one of ${members.map(m => m.name).join(' / ')} must match`;
+        }
+      }
+    }
+    for (const r of results) delete r.oneOf;
+
+    report.push({ group, note: note || null, results });
+  }
+
+  return report;
+}
@@ -2,7 +2,8 @@
  * DOM Selectors for Frontline Education
  *
  * These selectors are based on the actual HTML structure provided by the user.
- * If Frontline updates their UI, update these selectors and test with `pnpm run scrape`.
+ * If Frontline updates their UI, update these selectors and test with `pnpm run scrape`
+ * (or offline against a saved page with `pnpm run parse-snapshot`).
  */
 
 export const SELECTORS = {
@@ -23,6 +24,9 @@ export const SELECTORS = {
     // Tab navigation on the main page
     availableJobsTab: '#availableJobsTab',
     availableJobsPanel: '#availableJobs',
+    // Jobs we're booked for (synced by booking-sync.mjs)
+    scheduledJobsTab: '#scheduledJobsTab',
+    scheduledJobsPanel: '#scheduledJobs',
   },
 
   jobs: {
@@ -31,6 +35,11 @@ export const SELECTORS = {
     jobBodies: '#availableJobs tbody.job', // Each job is a tbody element
     noDataRow: '#availableJobs tr.noData', // Shows "no available assignments" message when empty
 
+    // The Scheduled Jobs tab lists upcoming bookings with the same job card markup
+    // (summary/detail rows below), so the Available Jobs field mapping reads it too
+    scheduledJobBodies: '#scheduledJobs tbody.job',
+    scheduledNoDataRow: '#scheduledJobs tr.noData',
+
     // Within each tbody.job, there are a summary row and one or more detail rows
     summary: {
       row: 'tr.summary',
@@ -60,6 +69,15 @@ export const SELECTORS = {
       additionalRows: 'tr.detail.multiDetail', // Extra detail rows (2nd, 3rd day, etc.)
     },
 
+    // Teacher notes and attachments shown on the job card (the same notes the
+    // "Notes" dialog repeats after Accept is clicked), read without accepting.
+    // Both are optional: most jobs have neither. Not yet confirmed against a job
+    // with notes — check with `pnpm run doctor` when one is listed.
+    notes: {
+      text: '.notes, .jobNotes',
+      attachments: '.attachments a, a.attachment',
+    },
+
     // Job card action buttons (for future auto-booking)
     // Single-day: click acceptButton directly
     // Multi-day: click seeDetailsButton first, then acceptButton (shows "Accept Multi-day")
@@ -0,0 +1,60 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkBookingCaps, setFilterCriteria } from '../filters.mjs';
+import { validateFilterConfig } from '../filter-config.mjs';
+
+// March 2026: the 1st is a Sunday, so 3/2-3/6 is Monday to Friday
+const day = date => ({ date, startTime: '7:45 AM', endTime: '3:15 PM' });
+const withCaps = bookingCaps => setFilterCriteria(validateFilterConfig({ bookingCaps }));
+
+describe('checkBookingCaps', () => {
+  afterEach(() => setFilterCriteria());
+
+  it('never caps without limits', () => {
+    assert.deepEqual(checkBookingCaps(day('Mon, 3/2/2026'), [day('Mon, 3/2/2026')]), { capped: false, action: null });
+  });
+
+  it('counts booked days in the Sunday-to-Saturday week', () => {
+    withCaps({ maxDaysPerWeek: 3 });
+    const booked = [day('Mon, 3/2/2026'), day('Tue, 3/3/2026'), day('Wed, 3/4/2026')];
+    assert.deepEqual(checkBookingCaps(day('Thu, 3/5/2026'), booked), {
+      capped: true, action: 'ask', cap: 'maxDaysPerWeek', detail: 'weekly cap: 4 days in the week of 3/1 (max 3)',
+    });
+    assert.equal(checkBookingCaps(day('Sun, 3/8/2026'), booked).capped, false);
+  });
+
+  it('counts a day with two bookings once', () => {
+    withCaps({ maxDaysPerWeek: 1 });
+    const morning = { date: 'Mon, 3/2/2026', startTime: '7:45 AM', endTime: '11:30 AM' };
+    assert.equal(checkBookingCaps({ ...morning, startTime: '12:00 PM', endTime: '3:15 PM' }, [morning]).capped, false);
+  });
+
+  it('counts booked days in the calendar month', () => {
+    withCaps({ maxDaysPerMonth: 2, action: 'suppress' });
+    const booked = [day('Mon, 3/30/2026'), day('Tue, 3/31/2026')];
+    assert.equal(checkBookingCaps(day('Wed, 4/1/2026'), booked).capped, false);
+    assert.deepEqual(checkBookingCaps(day('Fri, 3/27/2026'), booked), {
+      capped: true, action: 'suppress', cap: 'maxDaysPerMonth', detail: 'monthly cap: 3 days in March 2026 (max 2)',
+    });
+  });
+
+  it('counts a run of calendar days on both sides of the new job', () => {
+    withCaps({ maxConsecutiveDays: 2 });
+    assert.deepEqual(checkBookingCaps(day('Tue, 3/3/2026'), [day('Mon, 3/2/2026'), day('Wed, 3/4/2026')]), {
+      capped: true, action: 'ask', cap: 'maxConsecutiveDays', detail: 'consecutive-day cap: 3 days in a row, 3/2–3/4 (max 2)',
+    });
+    assert.equal(checkBookingCaps(day('Thu, 3/5/2026'), [day('Mon, 3/2/2026'), day('Tue, 3/3/2026')]).capped, false);
+  });
+
+  it('counts every day of a multi-day job', () => {
+    withCaps({ maxDaysPerWeek: 2 });
+    const job = { ...day('Mon, 3/2/2026'), isMultiDay: true, days: [day('Mon, 3/2/2026'), day('Tue, 3/3/2026'), day('Wed, 3/4/2026')] };
+    assert.equal(checkBookingCaps(job, []).cap, 'maxDaysPerWeek');
+  });
+
+  it('skips jobs without a readable date', () => {
+    withCaps({ maxDaysPerWeek: 1 });
+    assert.deepEqual(checkBookingCaps(day('N/A'), [day('Mon, 3/2/2026')]), { capped: false, action: null });
+  });
+});
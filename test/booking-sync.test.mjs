@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { reconcileBookings } from '../booking-sync.mjs';
+import { createJobHash } from '../utils.mjs';
+
+// A date `offset` days from today, as the job cards show it ("Wed, 2/25/2026")
+const dateIn = offset => new Date(Date.now() + offset * 864e5).toLocaleDateString('en-US', {
+  timeZone: 'America/Denver', weekday: 'short', month: 'numeric', day: 'numeric', year: 'numeric',
+});
+
+const job = (jobNumber, offset) => ({
+  jobNumber: String(jobNumber), position: `Math ${jobNumber}`, school: 'Orem High School',
+  date: dateIn(offset), isMultiDay: false, days: [],
+});
+
+const entry = (jobData, status, extra = {}) => ({
+  status, timestamp: Date.now(), expiresAt: null, telegramMessageId: 1, jobData, uncertain: false, ...extra,
+});
+
+function setup() {
+  return {
+    scheduled: entry(job(1, 5), 'booked'),
+    cancelled: entry(job(2, 5), 'booked'),
+    removed: entry(job(3, 5), 'booked'),
+    past: entry(job(4, -2), 'booked'),
+    failed: entry(job(5, 5), 'failed'),
+    justBooked: entry(job(6, 5), 'booked', { bookedAt: Date.now() }),
+    inFlight: entry(job(9, 5), 'book_requested'),
+  };
+}
+
+const scheduledJobs = [job(1, 5), job(5, 5), job(7, 8), job(9, 5)];
+const availableJobs = [job(3, 5)];
+
+describe('reconcileBookings', () => {
+  it('adds bookings seen on the schedule without touching missing ones by default', () => {
+    const notified = setup();
+    const changes = reconcileBookings(notified, scheduledJobs, availableJobs);
+
+    assert.deepEqual(changes.map(c => `${c.job.jobNumber}:${c.from}→${c.change}`), ['5:failed→booked', '7:null→booked']);
+    assert.equal(notified.failed.status, 'booked');
+    assert.equal(notified[createJobHash(job(7, 8))].status, 'booked');
+    assert.equal(notified.cancelled.status, 'booked');
+    assert.equal(notified.removed.status, 'booked');
+    assert.equal(notified.inFlight.status, 'book_requested');
+  });
+
+  it('marks missing bookings cancelled or removed with detectCancellations', () => {
+    const notified = setup();
+    const changes = reconcileBookings(notified, scheduledJobs, availableJobs, { detectCancellations: true });
+
+    assert.deepEqual(changes.map(c => `${c.job.jobNumber}:${c.change}`).sort(), ['2:cancelled', '3:removed', '5:booked', '7:booked']);
+    assert.equal(notified.past.status, 'booked'); // Over: drops off the tab without being cancelled
+    assert.equal(notified.justBooked.status, 'booked'); // Grace period
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateFilterConfig, selectProfile, applyProfile, profileDate } from '../filter-config.mjs';
+
+function withTimeZone(zone, fn) {
+  const tz = process.env.TZ;
+  process.env.TZ = zone;
+  try {
+    return fn();
+  } finally {
+    if (tz === undefined) delete process.env.TZ;
+    else process.env.TZ = tz;
+  }
+}
+
+describe('validateFilterConfig dates', () => {
+  // Local midnight is the previous day in UTC east of UTC, which used to fail every date
+  for (const zone of ['Asia/Tokyo', 'America/Denver', 'UTC']) {
+    it(`accepts valid dates with TZ=${zone}`, () => withTimeZone(zone, () => {
+      const criteria = validateFilterConfig({
+        blackoutDates: [{ start: '2026-03-02' }, { start: '2026-12-31', end: '2027-01-01', label: 'Break' }],
+      });
+      assert.deepEqual(criteria.blackoutDates, [
+        { start: '2026-03-02', end: '2026-03-02', label: 'Blackout' },
+        { start: '2026-12-31', end: '2027-01-01', label: 'Break' },
+      ]);
+    }));
+  }
+
+  it('rejects impossible dates', () => withTimeZone('Asia/Tokyo', () => {
+    assert.throws(() => validateFilterConfig({ blackoutDates: [{ start: '2026-02-30' }] }), /start must be a YYYY-MM-DD date/);
+  }));
+});
+
+describe('selectProfile', () => {
+  const criteria = validateFilterConfig({
+    nearbySchools: ['orem'],
+    profiles: {
+      summer: { dates: [{ from: '2026-06-01', to: '2026-08-15' }], nearbySchools: ['provo'] },
+      testing: { dates: [{ from: '2026-08-10', to: '2026-08-20' }] },
+    },
+  });
+
+  it('picks the first profile whose dates include the day, ends included', () => {
+    assert.deepEqual(selectProfile(criteria, { date: '2026-06-01' }), { name: 'summer', source: 'dates', warning: undefined });
+    assert.equal(selectProfile(criteria, { date: '2026-08-12' }).name, 'summer');
+    assert.equal(selectProfile(criteria, { date: '2026-08-20' }).name, 'testing');
+  });
+
+  it('falls back to the default profile outside every range', () => {
+    assert.deepEqual(selectProfile(criteria, { date: '2026-09-01' }), { name: 'default', source: 'default', warning: undefined });
+  });
+
+  it('prefers a known override, including "default"', () => {
+    assert.deepEqual(selectProfile(criteria, { date: '2026-07-01', override: 'testing' }), { name: 'testing', source: 'override' });
+    assert.deepEqual(selectProfile(criteria, { date: '2026-07-01', override: 'default' }), { name: 'default', source: 'override' });
+  });
+
+  it('ignores an unknown override with a warning and switches by date', () => {
+    assert.deepEqual(selectProfile(criteria, { date: '2026-07-01', override: 'winter' }),
+      { name: 'summer', source: 'dates', warning: 'Profile override "winter" ignored: not in the filter config' });
+  });
+
+  it('selects nothing without profiles', () => {
+    const plain = validateFilterConfig({});
+    assert.deepEqual(selectProfile(plain, { date: '2026-07-01' }), { name: null, source: null });
+    assert.equal(selectProfile(plain, { override: 'summer' }).warning, 'Profile override "summer" ignored: no profiles configured');
+  });
+
+  it('layers the selected profile on the top-level settings', () => {
+    const summer = applyProfile(criteria, 'summer');
+    assert.equal(summer.activeProfile, 'summer');
+    assert.equal('profiles' in summer, false);
+    assert.notDeepEqual(summer.nearbySchools, applyProfile(criteria, 'default').nearbySchools);
+    assert.deepEqual(applyProfile(criteria, 'testing').nearbySchools, applyProfile(criteria, 'default').nearbySchools);
+  });
+
+  it('dates profiles by the Denver calendar day', () => {
+    assert.equal(profileDate(new Date('2026-06-01T05:00:00Z')), '2026-05-31');
+    assert.equal(profileDate(new Date('2026-06-01T07:00:00Z')), '2026-06-01');
+  });
+});
+
+describe('validateFilterConfig profiles', () => {
+  it('reports bad names, ranges and settings with the profile name', () => {
+    assert.throws(() => validateFilterConfig({
+      profiles: {
+        Summer: { dates: [] },
+        late: { dates: [{ from: '2026-08-15', to: '2026-06-01' }], bookingCaps: { maxDaysPerWeek: 0 } },
+      },
+    }), {
+      message: [
+        'Invalid filter config:',
+        '"profiles.Summer": profile names are lowercase letters, digits and dashes ("default" is reserved)',
+        '"profiles.late".dates[0] ends (2026-06-01) before it starts (2026-08-15)',
+        '"profiles.late": "bookingCaps.maxDaysPerWeek" must be a positive whole number',
+      ].join('\n  - '),
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { updateOpenJobs, markJobsGone, reopenListedJobs, MISSES_BEFORE_GONE } from '../gone-jobs.mjs';
+import { createJobHash } from '../utils.mjs';
+
+const job = (jobNumber, school = 'Orem High School') => ({
+  jobNumber, date: 'Wed, 2/25/2026', school, position: `Math ${jobNumber}`,
+});
+
+const A = job('100');
+const B = job('200');
+
+describe('updateOpenJobs', () => {
+  it('needs MISSES_BEFORE_GONE healthy scrapes in a row before a job is gone', () => {
+    assert.equal(MISSES_BEFORE_GONE, 2);
+    const open = new Map();
+    assert.deepEqual(updateOpenJobs(open, [A, B], 1000), []);
+    assert.deepEqual(updateOpenJobs(open, [A], 2000), []); // one miss proves little
+
+    const gone = updateOpenJobs(open, [A], 3000);
+    assert.equal(gone.length, 1);
+    assert.equal(gone[0].job, B);
+    assert.equal(gone[0].key, '#200');
+    assert.equal(gone[0].lastListedAt, 1000);
+    assert.equal(gone[0].goneAt, 2000); // First scrape that missed it
+    assert.equal(open.has('#200'), false);
+
+    assert.deepEqual(updateOpenJobs(open, [A], 4000), []); // Reported once
+  });
+
+  it('resets the miss count when a job shows up again', () => {
+    const open = new Map();
+    updateOpenJobs(open, [A, B], 1000);
+    updateOpenJobs(open, [A], 2000);
+    updateOpenJobs(open, [A, B], 3000); // Back (list was still rendering)
+    assert.deepEqual(updateOpenJobs(open, [A], 4000), []);
+    assert.equal(updateOpenJobs(open, [A], 5000)[0].lastListedAt, 3000);
+  });
+
+  it('reports every job once an empty list is confirmed twice', () => {
+    const open = new Map();
+    updateOpenJobs(open, [A, B], 1000);
+    assert.deepEqual(updateOpenJobs(open, [], 2000), []);
+    assert.deepEqual(updateOpenJobs(open, [], 3000).map(g => g.key).sort(), ['#100', '#200']);
+  });
+});
+
+describe('markJobsGone', () => {
+  it('retracts only entries still waiting on Book/Ignore', () => {
+    const notified = {
+      [createJobHash(A)]: { status: 'notified', telegramMessageId: 1, jobData: A },
+      [createJobHash(B)]: { status: 'booked', telegramMessageId: 2, jobData: B },
+    };
+    const retract = markJobsGone(notified, [{ job: A, goneAt: 2000 }, { job: B, goneAt: 2000 }, { job: job('300'), goneAt: 2000 }]);
+
+    assert.deepEqual(retract.map(r => r.hash), [createJobHash(A)]);
+    assert.equal(notified[createJobHash(A)].status, 'gone');
+    assert.equal(notified[createJobHash(A)].goneAt, 2000);
+    assert.equal(notified[createJobHash(B)].status, 'booked');
+    assert.equal(notified[createJobHash(B)].goneAt, 2000);
+  });
+});
+
+describe('reopenListedJobs', () => {
+  it('drops gone entries of relisted jobs so they are offered again', () => {
+    const notified = {
+      [createJobHash(A)]: { status: 'gone', goneAt: 2000, jobData: A },
+      [createJobHash(B)]: { status: 'ignored', goneAt: 2000, jobData: B },
+    };
+    const reopened = reopenListedJobs(notified, [A, B]);
+
+    assert.deepEqual(reopened, [{ hash: createJobHash(A), job: A }]);
+    assert.equal(notified[createJobHash(A)], undefined);
+    assert.deepEqual(notified[createJobHash(B)], { status: 'ignored', jobData: B });
+  });
+
+  it('leaves listed jobs that never went away alone', () => {
+    const entry = { status: 'notified', jobData: A };
+    const notified = { [createJobHash(A)]: entry };
+    assert.deepEqual(reopenListedJobs(notified, [A]), []);
+    assert.equal(notified[createJobHash(A)], entry);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseHtml } from '../html.mjs';
+import { parseJobsHtml } from '../job-extract.mjs';
+
+// Hand-written in the shape of a browser "Save page" of Available Jobs (no real
+// capture is committed): doctype, inline script/style, entities, unclosed cells
+const SAVED_PAGE = `<!DOCTYPE html>
+<html><head><title>Jobs &amp; more</title>
+<style>.job > td { color: red } /* <tbody class="job"> */</style>
+<script>if (a < b && "</td>") render('<tbody class="job">');</script>
+</head><body><!-- <tbody class="job"> in a comment -->
+<div id=availableJobs><table class="jobList">
+<tbody class="job">
+  <tr class=summary><td><span class="name">O&#39;Brien, Pat</span><span class="title">Art &amp; Design</span>
+    <span class="reportToLocation">Lakeridge Jr. High</span><span class="confNum">4242</span>
+  <tr class="detail"><td><span class="itemDate">Mon,&nbsp;3/2/2026</span><span class="startTime">8:00 AM</span>
+    <span class="endTime">3:00 PM</span><span class="durationName">Full Day</span>
+    <span class="locationName">Lakeridge Jr. High</span><br><img src=x.png alt="">
+    <td><a class="acceptButton" disabled>Accept</a>
+</table></div></body></html>`;
+
+describe('parseHtml', () => {
+  const doc = parseHtml(SAVED_PAGE);
+
+  it('keeps script, style and comment markup out of the element tree', () => {
+    assert.equal(doc.querySelectorAll('tbody.job').length, 1);
+    assert.match(doc.querySelector('script').textContent, /render\('<tbody class="job">'\)/);
+    assert.equal(doc.querySelector('title').textContent, 'Jobs & more');
+  });
+
+  it('closes the cells and rows the page leaves open', () => {
+    const rows = doc.querySelectorAll('tbody.job > tr');
+    assert.deepEqual(rows.map(row => row.getAttribute('class')), ['summary', 'detail']);
+    assert.equal(rows[1].querySelectorAll('td').length, 2);
+    assert.equal(rows[1].querySelector('td > img').parent, rows[1].querySelector('.locationName').parent);
+  });
+
+  it('decodes character references and reads bare attributes', () => {
+    assert.equal(doc.querySelector('.name').textContent, "O'Brien, Pat");
+    assert.equal(doc.querySelector('.itemDate').textContent, 'Mon, 3/2/2026');
+    assert.equal(doc.querySelector('#availableJobs').id, 'availableJobs');
+    assert.equal(doc.querySelector('a.acceptButton').getAttribute('disabled'), '');
+  });
+
+  it('supports attribute operators, combinators and comma lists', () => {
+    assert.equal(doc.querySelector('img[src$=".png"]').getAttribute('src'), 'x.png');
+    assert.equal(doc.querySelectorAll('[class^="end"], [class*="ocationN"]').length, 2);
+    assert.equal(doc.querySelector('table tbody > tr.detail').matches('tr[class=detail]'), true);
+    assert.equal(doc.querySelector('div > tbody'), null);
+  });
+
+  it('throws on selectors it cannot honor', () => {
+    assert.throws(() => doc.querySelector('tr:first-child'));
+    assert.throws(() => doc.querySelector('a:has-text("Accept")'));
+  });
+});
+
+describe('parseJobsHtml on a saved page', () => {
+  it('reads the same fields the live page extraction does', () => {
+    assert.deepEqual(parseJobsHtml(SAVED_PAGE), [{
+      index: 0,
+      job: {
+        teacher: "O'Brien, Pat",
+        position: 'Art & Design',
+        reportTo: 'Lakeridge Jr. High',
+        jobNumber: '4242',
+        date: 'Mon, 3/2/2026',
+        startTime: '8:00 AM',
+        endTime: '3:00 PM',
+        duration: 'Full Day',
+        school: 'Lakeridge Jr. High',
+        notes: '',
+        attachments: [],
+        isMultiDay: false,
+        days: [],
+      },
+    }]);
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseIcs, expandBusyPeriods } from '../ics.mjs';
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'BEGIN:VEVENT', 'SUMMARY:Busy', ...lines, 'END:VEVENT', 'END:VCALENDAR'].join('\r\n');
+const window = { fromMs: Date.UTC(2026, 2, 2), toMs: Date.UTC(2026, 2, 8) }; // Mon 3/2 – Sun 3/8/2026
+
+describe('expandBusyPeriods recurrences', () => {
+  it('reaches the window for a daily event that started decades before it', () => {
+    const events = parseIcs(calendar('DTSTART;VALUE=DATE:20000103', 'DTEND;VALUE=DATE:20000104', 'RRULE:FREQ=DAILY'));
+    const busy = expandBusyPeriods(events, window);
+    assert.deepEqual(busy.map(b => b.start), ['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06', '2026-03-07']);
+  });
+
+  it('reaches the window for an old timed weekly event', () => {
+    const events = parseIcs(calendar('DTSTART;TZID=America/Denver:19900105T090000', 'DTEND;TZID=America/Denver:19900105T100000', 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE'));
+    const busy = expandBusyPeriods(events, window);
+    assert.deepEqual(busy.map(b => new Date(b.startMs).toISOString()), ['2026-03-02T16:00:00.000Z', '2026-03-04T16:00:00.000Z']);
+  });
+
+  it('still counts COUNT from DTSTART', () => {
+    const events = parseIcs(calendar('DTSTART;VALUE=DATE:20260226', 'RRULE:FREQ=DAILY;COUNT=6'));
+    assert.deepEqual(expandBusyPeriods(events, window).map(b => b.start), ['2026-03-01', '2026-03-02', '2026-03-03']);
+  });
+});
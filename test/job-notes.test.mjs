@@ -0,0 +1,36 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+
+import { parseJobsHtml } from '../job-extract.mjs';
+import { checkJobNotes, setFilterCriteria } from '../filters.mjs';
+import { validateFilterConfig } from '../filter-config.mjs';
+
+// The card markup follows SELECTORS.jobs.notes, which is unconfirmed on a real Frontline page;
+// the Notes dialog text (checked on auto-bookings) is what Frontline is known to show
+const page = new URL('./fixtures/synthetic-available-jobs.html', import.meta.url);
+
+describe('teacher notes', () => {
+  after(() => setFilterCriteria());
+
+  it('reads notes and attachments from a card and leaves other cards empty', async () => {
+    const [first, second] = parseJobsHtml(await fs.readFile(page, 'utf-8')).map(({ job }) => job);
+    assert.equal(first.notes, 'Lunch duty during 4th period. Plans are on the desk.');
+    assert.deepEqual(first.attachments, ['plans.pdf']);
+    assert.equal(second.notes, '');
+    assert.deepEqual(second.attachments, []);
+  });
+
+  it('matches note keywords across line breaks, rejected before uncertain', () => {
+    setFilterCriteria(validateFilterConfig({
+      rejectedNoteKeywords: ['lunch duty'],
+      uncertainNoteKeywords: [{ pattern: 'field trip', type: 'word' }],
+    }));
+    const dialog = 'Notes\n  Lunch\n duty during 4th period.\n Field trip Friday. ';
+
+    assert.deepEqual(checkJobNotes(dialog), { hasNotes: true, action: 'reject', keyword: 'lunch duty' });
+    assert.deepEqual(checkJobNotes('Field trip Friday.'), { hasNotes: true, action: 'uncertain', keyword: 'field trip' });
+    assert.deepEqual(checkJobNotes('Plans on the desk.'), { hasNotes: true, action: null, keyword: null });
+    assert.deepEqual(checkJobNotes(''), { hasNotes: false, action: null, keyword: null });
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizePattern, compilePatterns, findMatch, compileAliases, expandAliases } from '../matcher.mjs';
+
+const matches = (entry, text) => findMatch(text, compilePatterns([entry])) !== null;
+
+describe('findMatch', () => {
+  it('matches plain strings anywhere, case-folded', () => {
+    assert.equal(matches('  History ', 'us history 11'), true);
+    assert.equal(matches('art', 'department chair'), true);
+  });
+
+  it('matches word patterns as whole words, punctuation included', () => {
+    assert.equal(matches({ pattern: 'PE', type: 'word' }, 'pe 9'), true);
+    assert.equal(matches({ pattern: 'pe', type: 'word' }, 'special ed'), false);
+    assert.equal(matches({ pattern: 'jr. high', type: 'word' }, 'orem jr. high school'), true);
+    assert.equal(matches({ pattern: 'jr. high', type: 'word' }, 'orem jrx high'), false);
+  });
+
+  it('matches prefix patterns at the start of a word', () => {
+    assert.equal(matches({ pattern: 'art', type: 'prefix' }, 'visual arts'), true);
+    assert.equal(matches({ pattern: 'art', type: 'prefix' }, 'department'), false);
+  });
+
+  it('matches regex patterns case-insensitively, as written', () => {
+    assert.equal(matches({ pattern: 'AP\\s+CS', type: 'regex' }, 'ap   cs principles'), true);
+    assert.equal(matches({ pattern: '^math$', type: 'regex' }, 'math teacher'), false);
+  });
+
+  it('returns the first matching pattern in list order', () => {
+    const compiled = compilePatterns([{ pattern: 'sci', type: 'prefix' }, 'science', { pattern: 'science', type: 'word' }]);
+    assert.deepEqual(findMatch('earth science', compiled), { pattern: 'sci', type: 'prefix' });
+    assert.equal(findMatch('math', compiled), null);
+  });
+});
+
+describe('normalizePattern', () => {
+  it('rejects empty, unknown and uncompilable patterns', () => {
+    assert.throws(() => normalizePattern('  '), /non-empty string/);
+    assert.throws(() => normalizePattern({ pattern: 'x', type: 'glob' }), /type must be one of: substring, word, prefix, regex/);
+    assert.throws(() => normalizePattern({ pattern: '(', type: 'regex' }), /invalid regex/);
+    assert.throws(() => normalizePattern(42), /string or \{ pattern, type \} object/);
+  });
+});
+
+describe('expandAliases', () => {
+  const aliases = compileAliases({ 'Physical Education': ['PE', 'p.e.'], 'english': ['ela'] });
+
+  it('appends the canonical name of each whole-word alias found', () => {
+    assert.equal(expandAliases('PE 9', aliases), 'pe 9 | physical education');
+    assert.equal(expandAliases('P.E. / ELA', aliases), 'p.e. / ela | physical education | english');
+  });
+
+  it('leaves text alone when the alias is only part of a word or the name is already there', () => {
+    assert.equal(expandAliases('Special Ed', aliases), 'special ed');
+    assert.equal(expandAliases('Physical Education (PE)', aliases), 'physical education (pe)');
+    assert.equal(expandAliases(undefined, aliases), '');
+  });
+
+  it('lets normal patterns match through an alias', () => {
+    const text = expandAliases('PE 9', aliases);
+    assert.equal(matches({ pattern: 'physical education', type: 'word' }, text), true);
+  });
+});
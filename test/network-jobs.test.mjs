@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+
+import { parseJobsPayload, parseRecordedResponses } from '../network-jobs.mjs';
+import { parseJobsHtml } from '../job-extract.mjs';
+
+// Hand-written, not captured from Frontline (see the fixture's "note"): this checks that the
+// two parsers agree, not that FIELD_ALIASES matches Frontline's real payload
+const fixture = name => new URL(`./fixtures/${name}`, import.meta.url);
+
+const job = { confirmationNumber: '12345', position: 'Math 8', date: '2026-02-25T07:45:00', location: 'Orem Junior High' };
+
+describe('parseRecordedResponses', () => {
+  it('maps the synthetic job list to the jobs parseJobsHtml reads from the matching page', async () => {
+    const recording = JSON.parse(await fs.readFile(fixture('synthetic-available-jobs.responses.json'), 'utf-8'));
+    const cards = parseJobsHtml(await fs.readFile(fixture('synthetic-available-jobs.html'), 'utf-8'));
+    const parsed = parseRecordedResponses(recording);
+
+    assert.ok(parsed, 'no job list recognized in the recording (see FIELD_ALIASES)');
+    assert.equal(cards.length, 2);
+    assert.deepEqual(parsed.jobs, cards.map(({ job }) => job));
+  });
+});
+
+describe('parseJobsPayload', () => {
+  it('prefers a job list over a shallower empty array under a job-like key', () => {
+    const jobs = parseJobsPayload({ meta: { jobCategories: [] }, data: [job] });
+    assert.deepEqual(jobs.map(j => [j.jobNumber, j.date, j.startTime, j.school]), [['12345', 'Wed, 2/25/2026', '7:45 AM', 'Orem Junior High']]);
+  });
+
+  it('reads a shallower list before a deeper one', () => {
+    const deeper = { ...job, confirmationNumber: '999' };
+    assert.equal(parseJobsPayload({ extra: { more: { jobs: [deeper] } }, jobs: [job] })[0].jobNumber, '12345');
+  });
+
+  it('returns [] for an empty job list and null for no job list', () => {
+    assert.deepEqual(parseJobsPayload({ data: { jobs: [] } }), []);
+    assert.equal(parseJobsPayload({ data: { districts: [{ id: 1, name: 'Example' }] } }), null);
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateRules, evaluateRules, traceRules, parseTimeOfDay } from '../rules.mjs';
+
+const job = {
+  school: 'Orem High School', position: 'Math Teacher', duration: 'Full Day', date: 'Mon, 2/23/2026',
+  teacher: 'Jane Smith', jobNumber: '12345', startTime: '7:45 AM', endTime: '3:15 PM',
+};
+
+// The facts filterJob would compute for `job`, with overrides
+const facts = (overrides = {}) => ({
+  job,
+  blackout: { blacked: false, label: null, date: null },
+  timeWindow: { outside: false, action: null, label: null, date: null, detail: null },
+  multiDay: { violated: false, action: null, policy: null, detail: null },
+  schoolId: 'orem-hs',
+  schoolBlacklisted: false,
+  schoolLevelAccepted: true,
+  schoolNearby: true,
+  schoolDistanceMiles: 4.2,
+  subjectResult: 'ACCEPT',
+  fullDay: true,
+  date: new Date(2026, 1, 23),
+  teacherPreference: { favorite: false, avoided: false, avoidedAction: null },
+  notes: { hasNotes: false, action: null, keyword: null },
+  text: { school: 'orem high school', position: 'math teacher', duration: 'full day', teacher: 'jane smith', notes: '' },
+  ...overrides,
+});
+
+describe('evaluateRules', () => {
+  const rules = validateRules([
+    { name: 'blackout', when: { blackout: true }, outcome: 'reject', reason: 'Blacked out: {blackoutLabel}' },
+    { name: 'blacklisted', when: { school: { blacklisted: true } }, outcome: 'uncertain', reason: 'Blacklisted: {school}{distance}' },
+    { name: 'full-day', when: { duration: { fullDay: true }, subject: { result: 'accept' } }, outcome: 'match', reason: 'Match: {position} #{jobNumber}' },
+  ]);
+
+  it('returns the first rule whose conditions all hold', () => {
+    assert.deepEqual(evaluateRules(rules, facts()),
+      { match: true, reason: 'Match: Math Teacher #12345', uncertain: false, rule: 'full-day' });
+    assert.deepEqual(evaluateRules(rules, facts({ schoolBlacklisted: true })),
+      { match: true, reason: 'Blacklisted: Orem High School (4.2 mi)', uncertain: true, rule: 'blacklisted' });
+  });
+
+  it('lets an earlier rule win over a later one that also holds', () => {
+    const result = evaluateRules(rules, facts({ schoolBlacklisted: true, blackout: { blacked: true, label: 'Spring break', date: '2026-02-23' } }));
+    assert.deepEqual(result, { match: false, reason: 'Blacked out: Spring break', uncertain: false, rule: 'blackout' });
+  });
+
+  it('rejects with no rule when nothing holds', () => {
+    assert.deepEqual(evaluateRules(rules, facts({ fullDay: false })),
+      { match: false, reason: 'No filter rule matched', uncertain: false, rule: null });
+  });
+
+  it('leaves unknown placeholders and empty distance as they are', () => {
+    const [rule] = validateRules([{ when: {}, outcome: 'match', reason: '{school}{distance} {nope}' }]);
+    assert.equal(evaluateRules([rule], facts({ schoolDistanceMiles: null })).reason, 'Orem High School {nope}');
+    assert.equal(rule.name, 'rule-1');
+  });
+
+  it('checks dates, weekdays, times and contains patterns', () => {
+    const [rule] = validateRules([{
+      when: {
+        date: { from: '2026-02-23', to: '2026-02-23', weekdays: ['Monday'] },
+        time: { startsAtOrAfter: '7:30', endsAtOrBefore: '3:15 PM' },
+        subject: { contains: [{ pattern: 'math', type: 'word' }] },
+      },
+      outcome: 'match', reason: 'ok',
+    }]);
+    assert.equal(evaluateRules([rule], facts()).rule, 'rule-1');
+    assert.equal(evaluateRules([rule], facts({ date: new Date(2026, 1, 24) })).rule, null);
+    assert.equal(evaluateRules([rule], facts({ job: { ...job, endTime: '3:16 PM' } })).rule, null);
+    assert.equal(evaluateRules([rule], facts({ text: { ...facts().text, position: 'mathematics' } })).rule, null);
+  });
+});
+
+describe('traceRules', () => {
+  it('records the first failed condition of each rule checked', () => {
+    const rules = validateRules([
+      { name: 'favorite', when: { school: { nearby: true }, teacher: { favorite: true } }, outcome: 'match', reason: 'fav' },
+      { name: 'far', when: { school: { id: ['lehi-hs'] } }, outcome: 'reject', reason: 'far' },
+      { name: 'rest', when: {}, outcome: 'uncertain', reason: 'rest' },
+      { name: 'never', when: {}, outcome: 'match', reason: 'never' },
+    ]);
+    const { result, steps } = traceRules(rules, facts());
+    assert.equal(result.rule, 'rest');
+    assert.deepEqual(steps, [
+      { rule: 'favorite', outcome: 'match', held: false, failed: 'teacher.favorite' },
+      { rule: 'far', outcome: 'reject', held: false, failed: 'school.id' },
+      { rule: 'rest', outcome: 'uncertain', held: true, failed: null },
+    ]);
+  });
+});
+
+describe('validateRules', () => {
+  it('lists every problem at once', () => {
+    assert.throws(() => validateRules([
+      { outcome: 'maybe', reason: '' },
+      { when: { school: { nearby: 'yes', colour: 'red' }, time: { startsBefore: '25:00' } }, outcome: 'match', reason: 'x' },
+    ]), {
+      message: [
+        '"rules[0]".outcome must be one of: match, uncertain, reject',
+        '"rules[0]".reason must be a non-empty string',
+        '"rules[1]".when.school.colour is not a known condition',
+        '"rules[1]".when.school.nearby must be true or false',
+        '"rules[1]".when.time.startsBefore must be a time like "7:30" or "3:15 PM"',
+      ].join('\n  - '),
+    });
+  });
+
+  it('rejects an empty rule list', () => {
+    assert.throws(() => validateRules([]), /non-empty array/);
+  });
+});
+
+describe('parseTimeOfDay', () => {
+  it('reads 12- and 24-hour times', () => {
+    assert.equal(parseTimeOfDay('7:45 AM'), 465);
+    assert.equal(parseTimeOfDay('12:00 a.m.'), 0);
+    assert.equal(parseTimeOfDay('12 PM'), 720);
+    assert.equal(parseTimeOfDay('15:15'), 915);
+    assert.equal(parseTimeOfDay('13:00 PM'), null);
+    assert.equal(parseTimeOfDay('7:60'), null);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findScheduleConflict, setFilterCriteria } from '../filters.mjs';
+import { validateFilterConfig } from '../filter-config.mjs';
+
+const job = (date, startTime, endTime, extra = {}) => ({ date, startTime, endTime, ...extra });
+const booked = job('Wed, 3/4/2026', '8:00 AM', '11:30 AM', { position: 'Math 8', school: 'Orem HS', jobNumber: '123' });
+
+describe('findScheduleConflict', () => {
+  afterEach(() => setFilterCriteria());
+
+  it('reports a booked job that overlaps in time on the same day', () => {
+    assert.deepEqual(findScheduleConflict(job('Wed, 3/4/2026', '10:00 AM', '2:00 PM'), [booked]), {
+      action: 'suppress',
+      booked,
+      detail: 'already booked Math 8 at Orem HS, Wed, 3/4/2026 8:00 AM-11:30 AM (Job #123)',
+    });
+  });
+
+  it('allows back-to-back half days and other dates', () => {
+    assert.equal(findScheduleConflict(job('Wed, 3/4/2026', '11:30 AM', '3:15 PM'), [booked]), null);
+    assert.equal(findScheduleConflict(job('Thu, 3/5/2026', '8:00 AM', '11:30 AM'), [booked]), null);
+  });
+
+  it('treats unreadable times as the whole day', () => {
+    assert.notEqual(findScheduleConflict(job('Wed, 3/4/2026', 'N/A', 'N/A'), [booked]), null);
+    assert.notEqual(findScheduleConflict(job('Wed, 3/4/2026', '3:00 PM', '1:00 PM'), [booked]), null);
+  });
+
+  it('checks every day of multi-day jobs on both sides', () => {
+    const multiDay = job('Tue, 3/3/2026', '7:45 AM', '3:15 PM', {
+      isMultiDay: true,
+      days: [job('Tue, 3/3/2026', '7:45 AM', '3:15 PM'), job('Wed, 3/4/2026', '12:00 PM', '3:15 PM')],
+    });
+    assert.equal(findScheduleConflict(multiDay, [booked]), null);
+    const bookedMultiDay = { ...multiDay, position: 'Art', school: 'Lehi HS', jobNumber: '456' };
+    assert.equal(findScheduleConflict(job('Wed, 3/4/2026', '1:00 PM', '2:00 PM'), [booked, bookedMultiDay]).booked, bookedMultiDay);
+  });
+
+  it('uses the configured conflict action', () => {
+    setFilterCriteria(validateFilterConfig({ conflictAction: 'flag' }));
+    assert.equal(findScheduleConflict(job('Wed, 3/4/2026', '9:00 AM', '10:00 AM'), [booked]).action, 'flag');
+  });
+
+  it('ignores jobs without a readable date', () => {
+    assert.equal(findScheduleConflict(job('N/A', '8:00 AM', '11:30 AM'), [booked]), null);
+  });
+});
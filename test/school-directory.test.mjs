@@ -0,0 +1,79 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { recordUnmappedSchool, recordUnmappedSchools, pruneUnmappedSchools, loadUnmappedSchools } from '../school-directory.mjs';
+import { setSchoolDirectory } from '../filters.mjs';
+
+const job = (jobNumber, school = 'Canyon Annex') => ({ jobNumber, school, reportTo: 'District Office' });
+
+describe('recordUnmappedSchool', () => {
+  it('counts distinct jobs, not scrapes', () => {
+    const unmapped = {};
+    assert.equal(recordUnmappedSchool(unmapped, job('1'), '2026-03-01T10:00:00.000Z'), true);
+    assert.equal(recordUnmappedSchool(unmapped, job('1'), '2026-03-01T10:00:30.000Z'), false);
+    recordUnmappedSchool(unmapped, job('2'), '2026-03-01T11:00:00.000Z');
+
+    assert.deepEqual(unmapped['Canyon Annex'], {
+      count: 2, jobNumbers: ['1', '2'], reportTo: 'District Office',
+      firstSeen: '2026-03-01T10:00:00.000Z', lastSeen: '2026-03-01T11:00:00.000Z',
+    });
+  });
+
+  it('restarts per-scrape counts written by older versions', () => {
+    const unmapped = { 'Canyon Annex': { count: 240, reportTo: null, firstSeen: 'a', lastSeen: 'b' } };
+    recordUnmappedSchool(unmapped, job('1'), 'c');
+    assert.equal(unmapped['Canyon Annex'].count, 1);
+    assert.equal(unmapped['Canyon Annex'].firstSeen, 'a');
+  });
+
+  it('ignores jobs without a location', () => {
+    const unmapped = {};
+    assert.equal(recordUnmappedSchool(unmapped, job('1', 'N/A')), false);
+    assert.deepEqual(unmapped, {});
+  });
+});
+
+describe('recordUnmappedSchools', () => {
+  let dir;
+  before(async () => { dir = await fs.mkdtemp(path.join(os.tmpdir(), 'unmapped-')); });
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('writes new locations and returns their log lines', async () => {
+    const file = path.join(dir, 'new.json');
+    const messages = await recordUnmappedSchools([job('1'), job('2'), job('3', 'N/A')], { file, now: 't1' });
+
+    assert.deepEqual(messages, ['Unmapped school location: "Canyon Annex" (report to "District Office") — add it to the school directory']);
+    assert.equal((await loadUnmappedSchools(file))['Canyon Annex'].count, 2);
+    assert.deepEqual(await recordUnmappedSchools([job('2')], { file, now: 't2' }), []);
+  });
+
+  it('merges with entries another writer added since', async () => {
+    const file = path.join(dir, 'shared.json');
+    await recordUnmappedSchools([job('1')], { file, now: 't1' }); // daemon
+    await recordUnmappedSchools([job('2'), job('7', 'Hillside Annex')], { file, now: 't2' }); // pnpm run scrape
+    await recordUnmappedSchools([job('3')], { file, now: 't3' }); // daemon again
+
+    const unmapped = await loadUnmappedSchools(file);
+    assert.deepEqual(unmapped['Canyon Annex'].jobNumbers, ['1', '2', '3']);
+    assert.equal(unmapped['Hillside Annex'].count, 1);
+    assert.deepEqual((await fs.readdir(dir)).filter(name => name.endsWith('.tmp')), []);
+  });
+
+  it('prunes locations the reloaded registry maps', async () => {
+    const file = path.join(dir, 'prune.json');
+    await recordUnmappedSchools([job('1'), job('2', 'Hillside Annex')], { file });
+    assert.equal(await pruneUnmappedSchools(file), 0);
+
+    setSchoolDirectory([{ id: 'canyon-annex', name: 'Canyon Annex', level: 'hs' }]);
+    try {
+      assert.equal(await pruneUnmappedSchools(file), 1);
+      assert.deepEqual(Object.keys(await loadUnmappedSchools(file)), ['Hillside Annex']);
+    } finally {
+      setSchoolDirectory([]);
+    }
+    assert.equal(await pruneUnmappedSchools(path.join(dir, 'missing.json')), 0);
+  });
+});
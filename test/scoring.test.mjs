@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeScore } from '../scoring.mjs';
+import { DEFAULT_SCORING } from '../filters.mjs';
+
+const facts = (schoolDistanceMiles) => ({
+  subjectResult: 'ACCEPT', schoolNearby: false, schoolBlacklisted: false, fullDay: true,
+  teacherPreference: { favorite: false, avoided: false }, schoolDistanceMiles,
+});
+const context = { uncertain: false, daysAhead: 5 };
+const withPerMile = distancePerMile => ({ ...DEFAULT_SCORING, points: { ...DEFAULT_SCORING.points, distancePerMile } });
+
+describe('computeScore distancePerMile', () => {
+  it('adds nothing by default', () => {
+    assert.equal(computeScore(facts(12.4), context, DEFAULT_SCORING).score, 100);
+  });
+
+  it('scores the miles from home, rounded, and lists them', () => {
+    const result = computeScore(facts(12.4), context, withPerMile(-1));
+    assert.equal(result.score, 88);
+    assert.deepEqual(result.contributions.find(c => c.factor === 'distancePerMile'),
+      { factor: 'distancePerMile', label: '12.4 mi away', points: -12 });
+  });
+
+  it('skips schools without a distance', () => {
+    assert.equal(computeScore(facts(null), context, withPerMile(-1)).score, 100);
+  });
+});
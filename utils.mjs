@@ -69,6 +69,17 @@ export function createJobHash(job) {
   return crypto.createHash('md5').update(hashString).digest('hex');
 }
 
+/**
+ * Format a duration for logs and messages: "40s", "12 min", "3.5 h", "2.1 days"
+ */
+export function formatDuration(ms) {
+  const minutes = ms / 60_000;
+  if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+  if (minutes < 60) return `${Math.round(minutes)} min`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 6) / 10} h`;
+  return `${Math.round(minutes / 144) / 10} days`;
+}
+
 /**
  * Ensure required directories exist (data, debug, logs)
  */